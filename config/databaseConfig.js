@@ -133,9 +133,11 @@ if (!redis) {
       }
       return item.value;
     },
-    del: async (key) => {
-      delete memoryCache[key];
-      return 1;
+    del: async (...keys) => {
+      // Dukung del(key), del(key1, key2) dan del([key1, key2]) seperti ioredis
+      const keyList = keys.flat();
+      keyList.forEach(key => delete memoryCache[key]);
+      return keyList.length;
     },
     keys: async (pattern) => {
       const regex = new RegExp(pattern.replace('*', '.*'));
@@ -0,0 +1,69 @@
+const Post = require('../models/Post');
+const { logger } = require('../utils/logger');
+const { resolveRequestLanguage } = require('../utils/languageUtils');
+
+const MAX_LIMIT = 50;
+
+// Jumlah post per tahun dan bulan, dipakai untuk membangun sidebar arsip.
+// Arsip hanya difilter oleh ?lang= eksplisit, bukan Accept-Language
+exports.getArchiveIndex = async (req, res) => {
+  try {
+    const language = resolveRequestLanguage(req, { useHeader: false });
+    const years = await Post.getArchiveIndex(language);
+
+    res.json({
+      success: true,
+      data: {
+        language,
+        total: years.reduce((sum, entry) => sum + entry.total, 0),
+        years
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting post archive index:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil indeks arsip',
+      error: error.message
+    });
+  }
+};
+
+// GET /archive/:year, /archive/:year/:month dan /archive/:year/:month/:day
+exports.getArchivePosts = async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    const month = req.params.month ? parseInt(req.params.month, 10) : null;
+    const day = req.params.day ? parseInt(req.params.day, 10) : null;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), MAX_LIMIT);
+    const language = resolveRequestLanguage(req, { useHeader: false });
+
+    const result = await Post.getArchivePosts({ year, month, day, page, limit, language });
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tanggal arsip tidak valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      posts: result.posts,
+      archive: { year, month, day, language },
+      pagination: {
+        currentPage: page,
+        totalPages: result.totalPages,
+        totalItems: result.totalCount,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting archived posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil arsip post',
+      error: error.message
+    });
+  }
+};
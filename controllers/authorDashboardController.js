@@ -0,0 +1,46 @@
+const AuthorDashboard = require('../models/AuthorDashboard');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+
+const MAX_MONTHS = 24;
+
+const sendDashboard = async (req, res, authorId) => {
+  try {
+    const author = await User.findById(authorId);
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Penulis tidak ditemukan'
+      });
+    }
+
+    const months = Math.min(Math.max(parseInt(req.query.months, 10) || 12, 1), MAX_MONTHS);
+    const summary = await AuthorDashboard.getSummary(authorId, { months });
+
+    res.json({
+      success: true,
+      data: {
+        author: {
+          id: author.id,
+          name: author.name || author.username,
+          username: author.username,
+          role: author.role
+        },
+        ...summary
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting author dashboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil dashboard penulis',
+      error: error.message
+    });
+  }
+};
+
+// Dashboard untuk writer yang sedang login
+exports.getMyDashboard = (req, res) => sendDashboard(req, res, req.user.id);
+
+// Admin melihat dashboard penulis mana pun
+exports.getAuthorDashboard = (req, res) => sendDashboard(req, res, req.params.authorId);
@@ -0,0 +1,140 @@
+const PostAutosave = require('../models/PostAutosave');
+const { logger } = require('../utils/logger');
+
+// Batas ukuran konten autosave (karakter), sama longgarnya dengan body JSON
+const MAX_CONTENT_LENGTH = 2 * 1024 * 1024;
+const DRAFT_KEY_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Target autosave dari route: /:id/autosave untuk post yang ada, /autosaves/drafts/:draftKey untuk post baru
+const getTarget = (req) => {
+  if (req.params.draftKey) {
+    return DRAFT_KEY_PATTERN.test(req.params.draftKey) ? { draftKey: req.params.draftKey } : null;
+  }
+  return { postId: req.params.id };
+};
+
+const invalidDraftKey = (res) => res.status(400).json({
+  success: false,
+  message: 'Draft key tidak valid (8-64 karakter huruf, angka, - atau _)'
+});
+
+exports.saveAutosave = async (req, res) => {
+  try {
+    const target = getTarget(req);
+    if (!target) return invalidDraftKey(res);
+
+    const { title, content, excerpt, labels } = req.body;
+
+    if (title === undefined && content === undefined && excerpt === undefined && labels === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tidak ada data untuk disimpan'
+      });
+    }
+
+    if (content && content.length > MAX_CONTENT_LENGTH) {
+      return res.status(413).json({
+        success: false,
+        message: 'Konten autosave terlalu besar'
+      });
+    }
+
+    if (labels !== undefined && !Array.isArray(labels)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Labels harus berupa array'
+      });
+    }
+
+    const autosave = await PostAutosave.save(req.user.id, target, { title, content, excerpt, labels });
+
+    res.json({
+      success: true,
+      data: {
+        id: autosave.id,
+        updated_at: autosave.updated_at
+      }
+    });
+  } catch (error) {
+    logger.error('Error saving autosave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal menyimpan autosave',
+      error: error.message
+    });
+  }
+};
+
+exports.getAutosave = async (req, res) => {
+  try {
+    const target = getTarget(req);
+    if (!target) return invalidDraftKey(res);
+
+    const autosave = await PostAutosave.get(req.user.id, target);
+
+    if (!autosave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Autosave tidak ditemukan'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: autosave
+    });
+  } catch (error) {
+    logger.error('Error getting autosave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengambil autosave',
+      error: error.message
+    });
+  }
+};
+
+exports.discardAutosave = async (req, res) => {
+  try {
+    const target = getTarget(req);
+    if (!target) return invalidDraftKey(res);
+
+    const deleted = await PostAutosave.discard(req.user.id, target);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Autosave tidak ditemukan'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Autosave berhasil dihapus'
+    });
+  } catch (error) {
+    logger.error('Error discarding autosave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal menghapus autosave',
+      error: error.message
+    });
+  }
+};
+
+exports.getMyAutosaves = async (req, res) => {
+  try {
+    const autosaves = await PostAutosave.listForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: autosaves
+    });
+  } catch (error) {
+    logger.error('Error listing autosaves:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengambil daftar autosave',
+      error: error.message
+    });
+  }
+};
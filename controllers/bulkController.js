@@ -0,0 +1,63 @@
+const PostBulkAction = require('../models/PostBulkAction');
+const { logger } = require('../utils/logger');
+const { clearPostsCache } = require('../middleware/cacheMiddleware');
+const RelatedPostsService = require('../services/relatedPostsService');
+
+// Body: { action, ids: [...] } atau { action, filter: { status, label_id, featured, search } },
+// ditambah label_id untuk add_label/remove_label dan author_id untuk change_author
+exports.bulkUpdatePosts = async (req, res) => {
+  try {
+    const { action, ids, filter, label_id: labelId, author_id: authorId } = req.body;
+    const payload = { label_id: labelId, author_id: authorId };
+
+    if (!Array.isArray(ids) && (!filter || typeof filter !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kirim ids berupa array atau filter'
+      });
+    }
+
+    if (Array.isArray(ids) && ids.length > PostBulkAction.MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Maksimal ${PostBulkAction.MAX_ITEMS} post per permintaan`
+      });
+    }
+
+    await PostBulkAction.validatePayload(action, payload);
+
+    const postIds = Array.isArray(ids) ? ids : await PostBulkAction.resolveIds(filter, action);
+
+    if (postIds.length === 0) {
+      return res.json({
+        success: true,
+        message: 'Tidak ada post yang cocok',
+        data: { results: [], summary: { total: 0, updated: 0, skipped: 0, not_found: 0 } }
+      });
+    }
+
+    const { results, summary } = await PostBulkAction.run(postIds, action, payload, req.user.id);
+
+    // Cache cukup dibersihkan sekali untuk seluruh batch
+    if (summary.updated > 0) {
+      await clearPostsCache();
+      RelatedPostsService.schedule(results.filter(item => item.status === 'updated').map(item => item.id));
+    }
+
+    res.json({
+      success: true,
+      message: `${summary.updated} dari ${summary.total} post berhasil diproses`,
+      data: { results, summary }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Error in bulkUpdatePosts controller:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat menjalankan operasi bulk',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,133 @@
+const PostEditLock = require('../models/PostEditLock');
+const Post = require('../models/Post');
+const { logger } = require('../utils/logger');
+
+const postNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Post tidak ditemukan'
+});
+
+// Siapa yang sedang mengedit post ini
+exports.getLock = async (req, res) => {
+  try {
+    const lock = await PostEditLock.getActive(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        locked: Boolean(lock),
+        is_mine: Boolean(lock && lock.user.id === req.user.id),
+        lock
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting post edit lock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil status lock',
+      error: error.message
+    });
+  }
+};
+
+exports.acquireLock = async (req, res) => {
+  try {
+    const post = await Post.getFullPostById(req.params.id);
+    if (!post || post.deleted_at) return postNotFound(res);
+
+    const { acquired, lock } = await PostEditLock.acquire(req.params.id, req.user.id);
+
+    if (!acquired) {
+      return res.status(409).json({
+        success: false,
+        message: `Post sedang diedit oleh ${lock.user.name || 'pengguna lain'}`,
+        data: { lock }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lock berhasil diambil',
+      data: {
+        lock,
+        version: post.version || 1,
+        ttl_seconds: PostEditLock.TTL_SECONDS
+      }
+    });
+  } catch (error) {
+    logger.error('Error acquiring post edit lock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil lock',
+      error: error.message
+    });
+  }
+};
+
+exports.heartbeatLock = async (req, res) => {
+  try {
+    const lock = await PostEditLock.heartbeat(req.params.id, req.user.id);
+
+    if (!lock) {
+      // Lock kedaluwarsa atau direbut admin; editor harus mengambil ulang sebelum menyimpan
+      const current = await PostEditLock.getActive(req.params.id);
+      return res.status(409).json({
+        success: false,
+        message: current
+          ? `Lock sudah diambil oleh ${current.user.name || 'pengguna lain'}`
+          : 'Lock sudah kedaluwarsa, silakan ambil ulang',
+        data: { lock: current }
+      });
+    }
+
+    res.json({ success: true, data: { lock } });
+  } catch (error) {
+    logger.error('Error refreshing post edit lock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat memperpanjang lock',
+      error: error.message
+    });
+  }
+};
+
+exports.releaseLock = async (req, res) => {
+  try {
+    await PostEditLock.release(req.params.id, req.user.id);
+    res.json({ success: true, message: 'Lock berhasil dilepas' });
+  } catch (error) {
+    logger.error('Error releasing post edit lock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat melepas lock',
+      error: error.message
+    });
+  }
+};
+
+// Admin mengambil alih lock dari editor lain
+exports.forceTakeLock = async (req, res) => {
+  try {
+    const post = await Post.getFullPostById(req.params.id);
+    if (!post || post.deleted_at) return postNotFound(res);
+
+    const { lock } = await PostEditLock.acquire(req.params.id, req.user.id, { force: true });
+
+    res.json({
+      success: true,
+      message: 'Lock berhasil diambil alih',
+      data: {
+        lock,
+        version: post.version || 1,
+        ttl_seconds: PostEditLock.TTL_SECONDS
+      }
+    });
+  } catch (error) {
+    logger.error('Error force-taking post edit lock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil alih lock',
+      error: error.message
+    });
+  }
+};
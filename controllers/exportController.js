@@ -0,0 +1,123 @@
+const ContentExport = require('../models/ContentExport');
+const ContentExportService = require('../services/contentExportService');
+const { logger } = require('../utils/logger');
+
+// Mulai ekspor konten di background; status dipantau lewat GET /api/exports/:id
+exports.createExport = async (req, res) => {
+  try {
+    const job = await ContentExportService.start(req.user.id);
+    res.status(202).json({
+      success: true,
+      message: 'Ekspor konten sedang diproses',
+      data: job
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.job || null
+      });
+    }
+    logger.error('Error starting content export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat memulai ekspor konten',
+      error: error.message
+    });
+  }
+};
+
+exports.getExports = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const exportsList = await ContentExport.findAll(limit);
+    res.json({ success: true, data: exportsList });
+  } catch (error) {
+    logger.error('Error getting content exports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil daftar ekspor',
+      error: error.message
+    });
+  }
+};
+
+exports.getExportById = async (req, res) => {
+  try {
+    const job = await ContentExport.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Ekspor tidak ditemukan' });
+    }
+    res.json({
+      success: true,
+      data: {
+        ...job,
+        download_url: job.status === 'completed' ? `/api/exports/${job.id}/download` : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting content export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil status ekspor',
+      error: error.message
+    });
+  }
+};
+
+exports.downloadExport = async (req, res) => {
+  try {
+    const job = await ContentExport.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Ekspor tidak ditemukan' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Ekspor belum selesai',
+        data: { status: job.status }
+      });
+    }
+
+    const filePath = await ContentExportService.getArchivePath(job);
+    if (!filePath) {
+      return res.status(410).json({ success: false, message: 'File ekspor sudah tidak tersedia' });
+    }
+
+    res.download(filePath, job.file_name, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Error sending content export file:', error);
+        res.status(500).json({ success: false, message: 'Gagal mengirim file ekspor' });
+      }
+    });
+  } catch (error) {
+    logger.error('Error downloading content export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengunduh ekspor',
+      error: error.message
+    });
+  }
+};
+
+exports.deleteExport = async (req, res) => {
+  try {
+    const job = await ContentExport.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Ekspor tidak ditemukan' });
+    }
+    await ContentExportService.remove(job);
+    res.json({ success: true, message: 'Ekspor berhasil dihapus' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Error deleting content export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat menghapus ekspor',
+      error: error.message
+    });
+  }
+};
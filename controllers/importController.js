@@ -0,0 +1,52 @@
+const WordpressImportService = require('../services/wordpressImportService');
+const { logger } = require('../utils/logger');
+const { clearPostsCache } = require('../middleware/cacheMiddleware');
+const RelatedPostsService = require('../services/relatedPostsService');
+
+// Upload file WXR. Default dry run; kirim dry_run=false untuk benar-benar mengimpor.
+// allowed_hosts (dipisah koma) menambah host selain situs asal yang boleh dipakai mengunduh attachment
+exports.importWordpress = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'File ekspor WordPress (.xml) wajib diunggah'
+      });
+    }
+
+    const dryRun = String(req.body.dry_run ?? req.query.dry_run ?? 'true') !== 'false';
+    const allowedHosts = String(req.body.allowed_hosts || '')
+      .split(',')
+      .map(host => host.trim())
+      .filter(Boolean);
+
+    const report = await WordpressImportService.importWxr(req.file.buffer.toString('utf8'), {
+      dryRun,
+      actorId: req.user.id,
+      allowedHosts
+    });
+
+    if (!dryRun && report.summary.posts_created > 0) {
+      await clearPostsCache();
+      RelatedPostsService.schedule(report.posts.created
+        .filter(post => post.status === 'published')
+        .map(post => post.id));
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run selesai, belum ada data yang dibuat' : 'Impor WordPress selesai',
+      data: report
+    });
+  } catch (error) {
+    if (error.message.includes('WXR')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Error importing WordPress export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengimpor data WordPress',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,87 @@
+const PostPopularity = require('../models/PostPopularity');
+const { logger } = require('../utils/logger');
+const { formatImageUrl } = require('../utils/imageHandler');
+const { resolveRequestLanguage } = require('../utils/languageUtils');
+
+const MAX_LIMIT = 50;
+
+// Query bersama: limit, label_id dan bahasa. Hanya ?lang= eksplisit yang memfilter;
+// Accept-Language diabaikan agar peringkat tidak kosong untuk browser berbahasa lain
+const parseOptions = (req) => {
+  const labelId = req.query.label_id ? parseInt(req.query.label_id, 10) : null;
+  return {
+    limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_LIMIT),
+    labelId: Number.isNaN(labelId) ? null : labelId,
+    language: resolveRequestLanguage(req, { useHeader: false })
+  };
+};
+
+const formatPopularPost = (post) => ({
+  ...post,
+  image: post.image ? formatImageUrl(post.image) : null
+});
+
+// Post yang sedang ramai dibaca: view terbaru berbobot lebih besar
+exports.getTrendingPosts = async (req, res) => {
+  try {
+    const options = parseOptions(req);
+    const [posts, rolledUpAt] = await Promise.all([
+      PostPopularity.getTopPosts(options),
+      PostPopularity.getLastRollupAt()
+    ]);
+
+    res.json({
+      success: true,
+      data: posts.map(formatPopularPost),
+      meta: {
+        label_id: options.labelId,
+        language: options.language,
+        updated_at: rolledUpAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting trending posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil post trending',
+      error: error.message
+    });
+  }
+};
+
+// ?period=day|week|month|all (default week)
+exports.getMostReadPosts = async (req, res) => {
+  try {
+    const period = req.query.period || 'week';
+    if (!PostPopularity.PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `Period harus salah satu dari: ${PostPopularity.PERIODS.join(', ')}`
+      });
+    }
+
+    const options = parseOptions(req);
+    const [posts, rolledUpAt] = await Promise.all([
+      PostPopularity.getTopPosts({ ...options, period }),
+      PostPopularity.getLastRollupAt()
+    ]);
+
+    res.json({
+      success: true,
+      data: posts.map(formatPopularPost),
+      meta: {
+        period,
+        label_id: options.labelId,
+        language: options.language,
+        updated_at: rolledUpAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting most read posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil post terpopuler',
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,12 @@
 const Post = require('../models/Post');
 const PostLabel = require('../models/PostLabel');
+const PostReview = require('../models/PostReview');
+const PostAutosave = require('../models/PostAutosave');
+const PostPreview = require('../models/PostPreview');
+const PostAuthor = require('../models/PostAuthor');
+const PostSlugHistory = require('../models/PostSlugHistory');
+const Series = require('../models/Series');
+const User = require('../models/User');
 const { logger } = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
@@ -10,7 +17,16 @@ const { validatePostUpdate, handleValidationErrors } = require('../middleware/va
 const { isAdminOrWriter, isAdminOrAuthor } = require('../middleware/authMiddleware');
 const { deleteFile } = require('../uploadConfig');
 const { optimizeAndSaveImage, deleteImageFile, formatImageUrl } = require('../utils/imageHandler');
-const { clearCache } = require('../utils/cacheHandler');
+const { clearCache, getCache, setCache, cacheKeys } = require('../utils/cacheHandler');
+const { clearPostsCache } = require('../middleware/cacheMiddleware');
+const { diffRevisions } = require('../utils/revisionDiff');
+const { parseToc } = require('../utils/contentAnalysis');
+const { renderMarkdown } = require('../utils/markdownRenderer');
+const { resolveRequestLanguage, resolvePreferredLanguage, DEFAULT_LANGUAGE } = require('../utils/languageUtils');
+const { classifyDevice, referrerDomain } = require('../utils/userAgent');
+const PostTranslation = require('../models/PostTranslation');
+const RelatedPostsService = require('../services/relatedPostsService');
+const PostViewDaily = require('../models/PostViewDaily');
 const db = require('../config/databaseConfig');
 const { isAuthenticated } = require('../middleware/authMiddleware');
 
@@ -36,40 +52,13 @@ exports.getAllPosts = async (req, res) => {
       search = ''
     } = req.query;
 
-    let whereConditions = [];
-    let params = [];
-
-    // Filter status
-    if (status && status !== 'all') {
-      whereConditions.push('p.status = ?');
-      params.push(status);
-    }
+    // Endpoint ini juga dipakai dashboard admin, jadi hanya ?lang= eksplisit yang memfilter bahasa
+    const language = resolveRequestLanguage(req, { useHeader: false });
+    const { whereConditions, params } = Post.buildListFilters({ status, label_id, featured, search, language });
 
-    // Filter label
-    if (label_id) {
-      whereConditions.push(`
-        EXISTS (
-          SELECT 1 FROM post_labels pl
-          WHERE pl.post_id = p.id AND pl.label_id = ?
-        )
-      `);
-      params.push(label_id);
-    }
-
-    // Filter featured/spotlight/regular
-    if (featured === 'featured') {
-      whereConditions.push('p.is_featured = 1');
-    } else if (featured === 'spotlight') {
-      whereConditions.push('p.is_spotlight = 1');
-    } else if (featured === 'regular') {
-      whereConditions.push('p.is_featured = 0 AND p.is_spotlight = 0');
-    }
-
-    // Search by keyword
-    if (search) {
-      whereConditions.push('(p.title LIKE ? OR p.content LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`);
-    }
+    // Sembunyikan post published kedaluwarsa yang seharusnya diarsipkan; post berstatus lain
+    // (termasuk yang sudah diarsipkan job expiry) tetap tampil di dashboard
+    whereConditions.push(`(p.status <> 'published' OR ${Post.EXPIRY_VISIBLE_SQL})`);
 
     // Handling different sort options
     let orderBy = '';
@@ -107,6 +96,8 @@ exports.getAllPosts = async (req, res) => {
       SELECT
         p.id, p.title, p.slug, p.content, p.image, p.status,
         p.created_at, p.updated_at, p.is_featured, p.is_spotlight,
+        p.word_count, p.reading_time, p.toc, p.expires_at, ${Post.EXPIRED_FLAG_SQL},
+        p.language, p.translation_group,
         p.author_id, u.name as author_name
       FROM posts p
       LEFT JOIN users u ON p.author_id = u.id
@@ -191,6 +182,8 @@ exports.getAllPosts = async (req, res) => {
           ...post,
           is_spotlight: Boolean(post.is_spotlight),
           is_featured: Boolean(post.is_featured),
+          is_expired: Boolean(post.is_expired),
+          toc: parseToc(post.toc),
           labels: postLabels || []
         };
       });
@@ -284,6 +277,7 @@ exports.getPostById = async (req, res) => {
         ...post,
         image: post.image ? formatImageUrl(post.image) : null,
         thumbnail: post.thumbnail ? formatImageUrl(post.thumbnail) : null,
+        toc: parseToc(post.toc),
         labels: labelRows || [],
         is_featured: Boolean(post.is_featured),
         is_spotlight: Boolean(post.is_spotlight),
@@ -293,6 +287,8 @@ exports.getPostById = async (req, res) => {
         }
       };
 
+      // Editor mengirim balik versi ini lewat If-Match saat menyimpan
+      res.set('ETag', `"${post.version || 1}"`);
       return res.json({
         success: true,
         data: formattedPost
@@ -338,7 +334,10 @@ exports.createPost = async (req, res) => {
     console.log('User role:', req.user.role);
 
     // Dapatkan data dari request
-    const { title, content, status, publish_date, excerpt, is_featured, is_spotlight, labels } = req.body;
+    const {
+      title, content, status, publish_date, excerpt, is_featured, is_spotlight, labels, expires_at, expiry_action
+    } = req.body;
+    const contentFormat = req.body.content_format === 'markdown' ? 'markdown' : 'html';
 
     // Validasi data
     if (!title || !content) {
@@ -353,24 +352,28 @@ exports.createPost = async (req, res) => {
     const postData = {
       title,
       content,
+      content_format: contentFormat,
+      language: req.body.language,
       user_id: req.user.id,
       publish_date: publish_date || new Date(),
-      excerpt: excerpt || generateExcerpt(content)
+      // Excerpt otomatis diambil dari hasil render, bukan dari sintaks Markdown
+      excerpt: excerpt || generateExcerpt(contentFormat === 'markdown' ? renderMarkdown(content) : content),
+      ...Post.resolveExpiry(expires_at, expiry_action)
     };
 
     // Penyesuaian berdasarkan role
     if (req.user.role === 'admin') {
       // Admin dapat mengatur semua properti
-      postData.status = status || 'published';
+      postData.status = Post.resolveScheduledStatus(status || 'published', postData.publish_date);
       postData.is_featured = is_featured === '1' || is_featured === true ? 1 : 0;
       postData.is_spotlight = is_spotlight === '1' || is_spotlight === true ? 1 : 0;
     } else if (req.user.role === 'writer') {
-      // Writer hanya bisa membuat post dengan status draft
-      postData.status = 'draft';
+      // Writer hanya bisa membuat draft atau langsung mengajukan review
+      postData.status = status === 'submitted' ? 'submitted' : 'draft';
       postData.is_featured = 0; // Writer tidak bisa set featured
       postData.is_spotlight = 0; // Writer tidak bisa set spotlight
 
-      console.log('Writer restrictions applied: status=draft, featured=0, spotlight=0');
+      console.log(`Writer restrictions applied: status=${postData.status}, featured=0, spotlight=0`);
     } else {
       // Role tidak dikenal
       return res.status(403).json({
@@ -439,10 +442,32 @@ exports.createPost = async (req, res) => {
     const createdPost = await Post.createPost(postData);
     console.log('Post created with ID:', createdPost.id);
 
+    // Autosave post baru dari editor sudah tidak diperlukan
+    if (req.body.draft_key) {
+      await PostAutosave.prune(req.user.id, { draftKey: req.body.draft_key });
+    }
+
+    if (postData.status === 'submitted') {
+      await PostReview.recordTransition({
+        postId: createdPost.id,
+        fromStatus: null,
+        toStatus: 'submitted',
+        actorId: req.user.id
+      });
+    }
+
+    // Laporan sanitasi dipisah supaya editor tahu bagian mana dari konten yang dibuang
+    const { sanitization, ...post } = createdPost;
+
+    if (post.status === 'published') {
+      RelatedPostsService.schedule(post.id);
+    }
+
     return res.status(201).json({
       success: true,
       message: 'Post created successfully',
-      post: createdPost
+      post,
+      sanitization
     });
   } catch (error) {
     console.error('Error creating post:', error);
@@ -577,7 +602,7 @@ exports.updatePost = async (req, res) => {
         updateData.publish_date = publish_date;
       }
     } else if (req.user.role === 'writer') {
-      // Writer hanya bisa mengubah konten, tidak bisa mengubah status atau fitur khusus
+      // Writer hanya bisa mengubah konten, status diubah lewat alur review (/submit)
       console.log('Writer restrictions applied: cannot change status, featured, or spotlight');
 
       // Writer hanya bisa mengubah publish_date jika post masih draft
@@ -603,6 +628,15 @@ exports.updatePost = async (req, res) => {
     await post.update(updateData);
     console.log('Post updated with ID:', post.id);
 
+    if (updateData.status && updateData.status !== post.status) {
+      await PostReview.recordTransition({
+        postId: post.id,
+        fromStatus: post.status,
+        toStatus: updateData.status,
+        actorId: req.user.id
+      });
+    }
+
     // Update labels jika ada
     if (labels) {
       try {
@@ -718,6 +752,7 @@ exports.deletePost = [isAdminOrWriter, async (req, res) => {
       `, [id]);
 
       await connection.commit();
+      RelatedPostsService.schedule(id);
 
       res.json({
         success: true,
@@ -774,21 +809,35 @@ exports.getFeaturedPosts = async (req, res) => {
       SELECT
         p.id, p.title, p.slug, p.content, p.image, p.status,
         p.created_at, p.updated_at, p.is_featured, p.is_spotlight,
+        p.expires_at, ${Post.EXPIRED_FLAG_SQL}, p.language,
         p.author_id, u.name as author_name, u.email as author_email
       FROM posts p
       LEFT JOIN users u ON p.author_id = u.id
       WHERE p.is_featured = 1
         AND p.deleted_at IS NULL
     `;
+    const params = [];
+    let orderBy = 'p.created_at DESC';
+    const orderParams = [];
 
-    // Jika bukan admin, tambahkan filter status published
+    // Jika bukan admin, tambahkan filter status published dan sembunyikan post kedaluwarsa
     if (!isAdmin) {
-      query += ` AND p.status = 'published'`;
+      query += ` AND p.status = 'published' AND ${Post.EXPIRY_VISIBLE_SQL}`;
+
+      // Hanya ?lang= yang memfilter; Accept-Language cukup mendahulukan bahasa pilihan
+      const language = resolveRequestLanguage(req, { useHeader: false });
+      if (language) {
+        query += ' AND p.language = ?';
+        params.push(language);
+      }
+      orderBy = `p.language = ? DESC, ${orderBy}`;
+      orderParams.push(resolvePreferredLanguage(req));
     }
 
-    query += ` ORDER BY p.created_at DESC LIMIT ?`;
+    query += ` ORDER BY ${orderBy} LIMIT ?`;
+    params.push(...orderParams, limit);
 
-    const [posts] = await connection.query(query, [limit]);
+    const [posts] = await connection.query(query, params);
 
     // Log untuk debugging
     logger.info(`Found ${posts.length} featured posts`);
@@ -830,6 +879,7 @@ exports.getFeaturedPosts = async (req, res) => {
         labels: postLabels || [],
         is_featured: Boolean(post.is_featured),
         is_spotlight: Boolean(post.is_spotlight),
+        is_expired: Boolean(post.is_expired),
         author: {
           name: post.author_name,
           email: post.author_email
@@ -893,11 +943,15 @@ exports.getSpotlightPosts = async (req, res) => {
       return res.status(200).json(FALLBACK_SPOTLIGHT_POSTS);
     }
 
+    // Hanya ?lang= yang memfilter; Accept-Language cukup mendahulukan bahasa pilihan
+    const language = resolveRequestLanguage(req, { useHeader: false });
+
     // Query untuk mengambil spotlight posts - gunakan query yang lebih sederhana
     const [posts] = await connection.query(`
       SELECT
         p.id, p.title, p.slug, p.content, p.image, p.status,
         p.created_at, p.updated_at, p.is_featured, p.is_spotlight,
+        p.expires_at, ${Post.EXPIRED_FLAG_SQL}, p.language,
         u.name as author_name,
         u.email as author_email
       FROM posts p
@@ -905,9 +959,11 @@ exports.getSpotlightPosts = async (req, res) => {
       WHERE p.is_spotlight = 1
         AND p.deleted_at IS NULL
         AND p.status = 'published'
-      ORDER BY p.created_at DESC
+        AND ${Post.EXPIRY_VISIBLE_SQL}
+        ${language ? 'AND p.language = ?' : ''}
+      ORDER BY p.language = ? DESC, p.created_at DESC
       LIMIT 6
-    `);
+    `, [...(language ? [language] : []), resolvePreferredLanguage(req)]);
 
     // Ambil label secara terpisah untuk mengurangi kompleksitas query
     const postIds = posts.map(post => post.id);
@@ -934,6 +990,7 @@ exports.getSpotlightPosts = async (req, res) => {
         ...post,
         is_spotlight: Boolean(post.is_spotlight),
         is_featured: Boolean(post.is_featured),
+        is_expired: Boolean(post.is_expired),
         labels: postLabels || []
       };
     });
@@ -1263,56 +1320,37 @@ exports.toggleSpotlight = [isAdminOrWriter, async (req, res) => {
   }
 }];
 
-// Query untuk mengambil related posts
+// Related posts hasil perhitungan RelatedPostsService, disajikan dari cache
 exports.getRelatedPosts = async (req, res) => {
   try {
     const { id } = req.params;
-    const limit = parseInt(req.query.limit) || 4;
-
-    // Query untuk mendapatkan related posts dengan format tanggal yang benar
-    const [relatedPosts] = await connection.query(`
-      SELECT
-        p.id,
-        p.title,
-        p.slug,
-        p.excerpt,
-        p.image,
-        DATE_FORMAT(p.created_at, '%Y-%m-%dT%H:%i:%s.000Z') as created_at,
-        DATE_FORMAT(p.publish_date, '%Y-%m-%dT%H:%i:%s.000Z') as publish_date,
-        GROUP_CONCAT(DISTINCT l.name) as labels
-      FROM posts p
-      LEFT JOIN post_labels pl ON p.id = pl.post_id
-      LEFT JOIN labels l ON pl.label_id = l.id
-      WHERE p.id != ?
-        AND p.status = 'published'
-        AND p.deleted_at IS NULL
-      GROUP BY p.id, p.title, p.slug, p.excerpt, p.image, p.created_at, p.publish_date
-      ORDER BY COALESCE(p.publish_date, p.created_at) DESC
-      LIMIT ?
-    `, [id, limit]);
-
-    // Format posts
-    const formattedPosts = relatedPosts.map(post => ({
-      id: post.id,
-      title: post.title,
-      slug: post.slug,
-      image: post.image ? formatImageUrl(post.image) : null,
-      publish_date: post.publish_date,
-      created_at: post.created_at,
-      excerpt: post.excerpt,
-      labels: post.labels ? post.labels.split(',').filter(Boolean) : []
-    }));
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 4, 1), 10);
+    const cacheKey = `${cacheKeys.RELATED_POSTS(id)}_${limit}`;
 
-    // Debug log
-    console.log('Formatted posts with dates:', formattedPosts);
+    let relatedPosts = await getCache(cacheKey);
+    if (!relatedPosts) {
+      const rows = await Post.findRelated(id, limit);
+      relatedPosts = rows.map(post => ({
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        image: post.image ? formatImageUrl(post.image) : null,
+        publish_date: post.publish_date,
+        created_at: post.created_at,
+        excerpt: post.excerpt,
+        labels: post.labels,
+        score: post.score
+      }));
+      await setCache(cacheKey, relatedPosts, 3600);
+    }
 
     res.json({
       success: true,
-      data: formattedPosts
+      data: relatedPosts
     });
 
   } catch (error) {
-    console.error('Error getting related posts:', error);
+    logger.error('Error getting related posts:', error);
     res.status(500).json({
       success: false,
       message: 'Terjadi kesalahan saat mengambil related posts'
@@ -1320,7 +1358,21 @@ exports.getRelatedPosts = async (req, res) => {
   }
 };
 
+// Hitung ulang index term dan related posts semua post terbit di background
+exports.rebuildRelatedPosts = async (req, res) => {
+  if (!RelatedPostsService.startRebuild()) {
+    return res.status(409).json({
+      success: false,
+      message: 'Perhitungan ulang related posts masih berjalan'
+    });
+  }
 
+  logger.info(`Related posts rebuild started by ${req.user.id}`);
+  res.status(202).json({
+    success: true,
+    message: 'Perhitungan ulang related posts dimulai'
+  });
+};
 
 exports.getPostBySlug = async (req, res) => {
   try {
@@ -1438,10 +1490,31 @@ exports.incrementViews = async (req, res) => {
   try {
     const { id } = req.params;
     const ip = req.ip;
+    const userAgent = req.get('User-Agent') || null;
+    const deviceClass = classifyDevice(userAgent);
+
+    // Frontend mengirim document.referrer; header Referer hanya berisi halaman frontend itu sendiri
+    const referrer = (req.body && typeof req.body.referrer === 'string' && req.body.referrer) || null;
 
     // Gunakan koneksi langsung dari db
     const connection = await db.getConnection();
     try {
+      // View hanya dicatat untuk post yang terlihat publik
+      const [visible] = await connection.query(
+        `SELECT p.id FROM posts p
+         WHERE p.id = ? AND p.status = 'published' AND p.deleted_at IS NULL
+         AND ${Post.EXPIRY_VISIBLE_SQL}`,
+        [id]
+      );
+      if (visible.length === 0) {
+        return res.status(404).json({ message: 'Post tidak ditemukan' });
+      }
+
+      // Crawler tidak dihitung sebagai pembaca
+      if (deviceClass === 'bot') {
+        return res.json({ message: 'View count updated successfully' });
+      }
+
       // Cek apakah sudah ada view dari IP ini dalam 24 jam terakhir
       const [existingViews] = await connection.query(
         `SELECT id FROM post_views
@@ -1453,8 +1526,16 @@ exports.incrementViews = async (req, res) => {
       if (existingViews.length === 0) {
         // Insert view baru jika belum ada view dalam 24 jam
         await connection.query(
-          'INSERT INTO post_views (id, post_id, viewer_ip) VALUES (UUID(), ?, ?)',
-          [id, ip]
+          `INSERT INTO post_views (id, post_id, viewer_ip, referrer, referrer_domain, user_agent, device_class)
+           VALUES (UUID(), ?, ?, ?, ?, ?, ?)`,
+          [
+            id,
+            ip,
+            referrer ? referrer.slice(0, 500) : null,
+            referrerDomain(referrer),
+            userAgent ? userAgent.slice(0, 500) : null,
+            deviceClass
+          ]
         );
       }
 
@@ -1484,6 +1565,105 @@ exports.getPostVersions = [isAdminOrAuthor, async (req, res) => {
   }
 }];
 
+// Bentuk revisi yang dibandingkan: versi tersimpan atau isi post saat ini ('current')
+const loadRevision = async (postId, versionId) => {
+  if (!versionId || versionId === 'current') {
+    const post = await Post.getFullPostById(postId);
+    if (!post) return null;
+    return {
+      id: 'current',
+      title: post.title,
+      excerpt: post.excerpt,
+      content: post.content,
+      labels: post.labels.filter(label => label && label.id),
+      created_at: post.updated_at
+    };
+  }
+
+  const version = await Post.getVersion(postId, versionId);
+  if (!version) return null;
+  return {
+    id: version.id,
+    title: version.title,
+    excerpt: version.excerpt,
+    content: version.content,
+    labels: version.labels,
+    created_at: version.created_at
+  };
+};
+
+exports.comparePostVersions = [isAdminOrAuthor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parameter from wajib diisi'
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      loadRevision(id, from),
+      loadRevision(id, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Versi post tidak ditemukan'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: { id: fromRevision.id, created_at: fromRevision.created_at },
+        to: { id: toRevision.id, created_at: toRevision.created_at },
+        diff: diffRevisions(fromRevision, toRevision)
+      }
+    });
+  } catch (error) {
+    logger.error('Error comparing post versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal membandingkan versi post',
+      error: error.message
+    });
+  }
+}];
+
+exports.restorePostVersion = [isAdminOrAuthor, async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+
+    const post = await Post.restoreVersion(id, versionId, req.user.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post atau versi tidak ditemukan'
+      });
+    }
+
+    await clearPostsCache();
+
+    res.json({
+      success: true,
+      message: 'Post berhasil dikembalikan ke versi sebelumnya',
+      post
+    });
+  } catch (error) {
+    logger.error('Error restoring post version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengembalikan versi post',
+      error: error.message
+    });
+  }
+}];
+
 exports.previewPost = [isAdminOrWriter, async (req, res) => {
   try {
     const { title, content, image } = req.body;
@@ -1494,11 +1674,45 @@ exports.previewPost = [isAdminOrWriter, async (req, res) => {
   }
 }];
 
+const MAX_ANALYTICS_DAYS = 366;
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, default 30 hari terakhir
 exports.getPostAnalytics = [isAdminOrAuthor, async (req, res) => {
   try {
     const { id } = req.params;
+    const to = req.query.to ? moment(req.query.to, 'YYYY-MM-DD', true) : moment();
+    const from = req.query.from ? moment(req.query.from, 'YYYY-MM-DD', true) : to.clone().subtract(29, 'days');
+
+    if (!from.isValid() || !to.isValid() || from.isAfter(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rentang tanggal tidak valid (format YYYY-MM-DD, from tidak boleh setelah to)'
+      });
+    }
+    if (to.diff(from, 'days') >= MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Rentang tanggal maksimal ${MAX_ANALYTICS_DAYS} hari`
+      });
+    }
+
     const analytics = await Post.getAnalytics(id);
-    res.json(analytics);
+    if (!analytics) {
+      return res.status(404).json({ success: false, message: 'Post tidak ditemukan' });
+    }
+
+    const traffic = await PostViewDaily.getAnalytics(id, {
+      from: from.format('YYYY-MM-DD'),
+      to: to.format('YYYY-MM-DD')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...analytics,
+        ...traffic
+      }
+    });
   } catch (error) {
     logger.error('Error fetching post analytics:', error);
     res.status(500).json({ message: 'Error fetching post analytics', error: error.message });
@@ -1627,6 +1841,8 @@ exports.softDeletePost = async (req, res) => {
       });
     }
 
+    RelatedPostsService.schedule(id);
+
     return res.status(200).json({
       success: true,
       message: 'Post berhasil di-soft delete',
@@ -1657,6 +1873,8 @@ exports.restorePost = async (req, res) => {
       });
     }
 
+    RelatedPostsService.schedule(id);
+
     return res.status(200).json({
       success: true,
       message: 'Post berhasil dipulihkan',
@@ -1687,6 +1905,8 @@ exports.deletePostPermanently = async (req, res) => {
       });
     }
 
+    RelatedPostsService.schedule(id);
+
     return res.status(200).json({
       success: true,
       message: 'Post berhasil dihapus secara permanen'
@@ -1724,15 +1944,50 @@ exports.getDeletedPosts = async (req, res) => {
   }
 };
 
+// Bentuk response post publik, dipakai juga oleh link preview
+const formatPublicPost = (post, labelRows, relatedPosts, authors = [], series = null, translations = []) => ({
+  id: post.id,
+  title: post.title || '',
+  content: post.content || '',
+  image: post.image ? formatImageUrl(post.image) : null,
+  thumbnail: post.thumbnail ? formatImageUrl(post.thumbnail) : null,
+  created_at: post.created_at,
+  updated_at: post.updated_at,
+  version: post.version || 1,
+  is_featured: Boolean(post.is_featured),
+  publish_date: post.publish_date,
+  views: parseInt(post.views || 0),
+  is_spotlight: Boolean(post.is_spotlight),
+  status: post.status,
+  slug: post.slug,
+  language: post.language,
+  translations,
+  excerpt: post.excerpt || '',
+  word_count: post.word_count || 0,
+  reading_time: post.reading_time || 0,
+  toc: parseToc(post.toc),
+  expires_at: post.expires_at || null,
+  is_expired: Boolean(post.expires_at && new Date(post.expires_at) <= new Date()),
+  labels: labelRows || [],
+  author: {
+    name: post.author_name,
+    email: post.author_email
+  },
+  authors,
+  series,
+  related_posts: relatedPosts
+});
+
 exports.getPublicPostBySlug = async (req, res) => {
   try {
     const { slug } = req.params;
-    logger.info(`Mencoba mengambil public post dengan slug: ${slug}`);
+    const language = resolveRequestLanguage(req);
+    logger.info(`Mencoba mengambil public post dengan slug: ${slug}`, { language });
 
     // Gunakan koneksi langsung dari db
     const connection = await db.getConnection();
     try {
-      // Query untuk mendapatkan post dan informasi dasar
+      // Slug hanya unik per bahasa; post dalam bahasa yang diminta didahulukan, lalu bahasa default
       const [rows] = await connection.query(`
         SELECT
           p.*,
@@ -1743,11 +1998,36 @@ exports.getPublicPostBySlug = async (req, res) => {
         WHERE p.slug = ?
           AND p.status = 'published'
           AND p.deleted_at IS NULL
-      `, [slug]);
+          AND ${Post.EXPIRY_VISIBLE_SQL}
+        ORDER BY p.language = ? DESC, p.language = ? DESC, p.created_at ASC
+        LIMIT 1
+      `, [slug, language, DEFAULT_LANGUAGE]);
 
       const post = rows[0];
 
       if (!post) {
+        // Slug lama: arahkan ke slug terbaru. Default berupa petunjuk JSON supaya frontend
+        // bisa mengganti URL-nya sendiri; ?redirect=301 mengirim redirect HTTP sungguhan
+        const moved = await PostSlugHistory.resolveCurrentSlug(slug, language);
+        if (moved) {
+          const location = `/api/posts/public/slug/${encodeURIComponent(moved.slug)}?lang=${moved.language}`;
+          logger.info(`Slug lama ${slug} diarahkan ke ${moved.slug}`);
+
+          if (req.query.redirect === '301') {
+            return res.redirect(301, location);
+          }
+
+          return res.json({
+            success: true,
+            redirect: {
+              status: 301,
+              from: slug,
+              slug: moved.slug,
+              location
+            }
+          });
+        }
+
         logger.warn(`Post tidak ditemukan dengan slug: ${slug}`);
         return res.status(404).json({
           success: false,
@@ -1763,51 +2043,17 @@ exports.getPublicPostBySlug = async (req, res) => {
         WHERE pl.post_id = ?
       `, [post.id]);
 
-      // Ambil related posts berdasarkan kesamaan label
+      // Related posts hasil perhitungan skor relevansi (label, kemiripan isi, kebaruan)
       let relatedPosts = [];
       try {
-        // Jika post memiliki label, cari post lain dengan label yang sama
-        if (labelRows.length > 0) {
-          // Ekstrak ID label
-          const labelIds = labelRows.map(label => label.id);
-
-          // Pendekatan baru: Gunakan GROUP BY alih-alih DISTINCT
-          const [relatedRows] = await connection.query(`
-            SELECT
-              p.id, p.title, p.slug, p.excerpt, p.image
-            FROM posts p
-            JOIN post_labels pl ON p.id = pl.post_id
-            WHERE pl.label_id IN (?)
-              AND p.id != ?
-              AND p.status = 'published'
-              AND p.deleted_at IS NULL
-            GROUP BY p.id, p.title, p.slug, p.excerpt, p.image
-            ORDER BY p.created_at DESC
-            LIMIT 5
-          `, [labelIds, post.id]);
-
-          relatedPosts = relatedRows.map(rp => ({
-            ...rp,
-            image: rp.image ? formatImageUrl(rp.image) : null
-          }));
-        } else {
-          // Jika tidak ada label, ambil post terbaru sebagai related
-          const [recentRows] = await connection.query(`
-            SELECT
-              p.id, p.title, p.slug, p.excerpt, p.image
-            FROM posts p
-            WHERE p.id != ?
-              AND p.status = 'published'
-              AND p.deleted_at IS NULL
-            ORDER BY p.created_at DESC
-            LIMIT 5
-          `, [post.id]);
-
-          relatedPosts = recentRows.map(rp => ({
-            ...rp,
-            image: rp.image ? formatImageUrl(rp.image) : null
-          }));
-        }
+        const relatedRows = await Post.findRelated(post.id, 5);
+        relatedPosts = relatedRows.map(rp => ({
+          id: rp.id,
+          title: rp.title,
+          slug: rp.slug,
+          excerpt: rp.excerpt,
+          image: rp.image ? formatImageUrl(rp.image) : null
+        }));
       } catch (relatedError) {
         logger.error('Error fetching related posts:', {
           error: relatedError.message,
@@ -1817,29 +2063,12 @@ exports.getPublicPostBySlug = async (req, res) => {
       }
 
       // Format response dengan data yang diambil secara terpisah
-      const formattedPost = {
-        id: post.id,
-        title: post.title || '',
-        content: post.content || '',
-        image: post.image ? formatImageUrl(post.image) : null,
-        thumbnail: post.thumbnail ? formatImageUrl(post.thumbnail) : null,
-        created_at: post.created_at,
-        updated_at: post.updated_at,
-        version: post.version || 1,
-        is_featured: Boolean(post.is_featured),
-        publish_date: post.publish_date,
-        views: parseInt(post.views || 0),
-        is_spotlight: Boolean(post.is_spotlight),
-        status: post.status,
-        slug: post.slug,
-        excerpt: post.excerpt || '',
-        labels: labelRows || [],
-        author: {
-          name: post.author_name,
-          email: post.author_email
-        },
-        related_posts: relatedPosts
-      };
+      const [authors, series, translations] = await Promise.all([
+        PostAuthor.getAuthorsForPost(post.id),
+        Series.getNavigationForPost(post.id),
+        PostTranslation.getForPost(post.id, { publicOnly: true })
+      ]);
+      const formattedPost = formatPublicPost(post, labelRows, relatedPosts, authors, series, translations);
 
       return res.json({
         success: true,
@@ -1917,51 +2146,17 @@ exports.getPublicPostById = async (req, res) => {
         WHERE pl.post_id = ?
       `, [post.id]);
 
-      // Ambil related posts berdasarkan kesamaan label
+      // Related posts hasil perhitungan skor relevansi (label, kemiripan isi, kebaruan)
       let relatedPosts = [];
       try {
-        // Jika post memiliki label, cari post lain dengan label yang sama
-        if (labelRows.length > 0) {
-          // Ekstrak ID label
-          const labelIds = labelRows.map(label => label.id);
-
-          // Pendekatan baru: Gunakan GROUP BY alih-alih DISTINCT
-          const [relatedRows] = await connection.query(`
-            SELECT
-              p.id, p.title, p.slug, p.excerpt, p.image
-            FROM posts p
-            JOIN post_labels pl ON p.id = pl.post_id
-            WHERE pl.label_id IN (?)
-              AND p.id != ?
-              AND p.status = 'published'
-              AND p.deleted_at IS NULL
-            GROUP BY p.id, p.title, p.slug, p.excerpt, p.image
-            ORDER BY p.created_at DESC
-            LIMIT 5
-          `, [labelIds, post.id]);
-
-          relatedPosts = relatedRows.map(rp => ({
-            ...rp,
-            image: rp.image ? formatImageUrl(rp.image) : null
-          }));
-        } else {
-          // Jika tidak ada label, ambil post terbaru sebagai related
-          const [recentRows] = await connection.query(`
-            SELECT
-              p.id, p.title, p.slug, p.excerpt, p.image
-            FROM posts p
-            WHERE p.id != ?
-              AND p.status = 'published'
-              AND p.deleted_at IS NULL
-            ORDER BY p.created_at DESC
-            LIMIT 5
-          `, [post.id]);
-
-          relatedPosts = recentRows.map(rp => ({
-            ...rp,
-            image: rp.image ? formatImageUrl(rp.image) : null
-          }));
-        }
+        const relatedRows = await Post.findRelated(post.id, 5);
+        relatedPosts = relatedRows.map(rp => ({
+          id: rp.id,
+          title: rp.title,
+          slug: rp.slug,
+          excerpt: rp.excerpt,
+          image: rp.image ? formatImageUrl(rp.image) : null
+        }));
       } catch (relatedError) {
         logger.error('Error fetching related posts:', {
           error: relatedError.message,
@@ -1975,6 +2170,7 @@ exports.getPublicPostById = async (req, res) => {
         ...post,
         image: post.image ? formatImageUrl(post.image) : null,
         thumbnail: post.thumbnail ? formatImageUrl(post.thumbnail) : null,
+        toc: parseToc(post.toc),
         labels: labelRows || [],
         is_featured: Boolean(post.is_featured),
         is_spotlight: Boolean(post.is_spotlight),
@@ -1982,6 +2178,9 @@ exports.getPublicPostById = async (req, res) => {
           name: post.author_name,
           email: post.author_email
         },
+        authors: await PostAuthor.getAuthorsForPost(post.id),
+        series: await Series.getNavigationForPost(post.id),
+        translations: await PostTranslation.getForPost(post.id, { publicOnly: true }),
         related_posts: relatedPosts
       };
 
@@ -2175,3 +2374,404 @@ exports.getMyDeletedPosts = async (req, res) => {
     });
   }
 };
+
+// Daftar post terjadwal, writer hanya melihat post miliknya sendiri
+exports.getScheduledPosts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await Post.getScheduledPosts({
+      page,
+      limit,
+      authorId: req.user.role === 'admin' ? (req.query.author_id || null) : req.user.id
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.posts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error getting scheduled posts:', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil post terjadwal',
+      error: error.message
+    });
+  }
+};
+
+// Jadwalkan atau jadwalkan ulang waktu terbit post
+exports.schedulePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { publish_date } = req.body;
+
+    if (!publish_date || !moment(publish_date, moment.ISO_8601, true).isValid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'publish_date wajib diisi dengan format ISO 8601'
+      });
+    }
+
+    if (!moment(publish_date).isAfter(moment())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tanggal publikasi harus di masa depan'
+      });
+    }
+
+    const post = await Post.schedulePost(id, publish_date);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post tidak ditemukan atau sudah diterbitkan'
+      });
+    }
+
+    logger.info('Post scheduled:', { postId: id, publish_date, userId: req.user.id });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Post berhasil dijadwalkan',
+      post
+    });
+  } catch (error) {
+    logger.error('Error scheduling post:', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat menjadwalkan post',
+      error: error.message
+    });
+  }
+};
+
+// Batalkan jadwal terbit, post kembali menjadi draft
+exports.cancelSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.cancelSchedule(id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post terjadwal tidak ditemukan'
+      });
+    }
+
+    logger.info('Post schedule cancelled:', { postId: id, userId: req.user.id });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Jadwal post berhasil dibatalkan',
+      post
+    });
+  } catch (error) {
+    logger.error('Error cancelling post schedule:', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat membatalkan jadwal post',
+      error: error.message
+    });
+  }
+};
+
+// Masa berlaku link preview dalam jam
+const DEFAULT_PREVIEW_HOURS = 72;
+const MAX_PREVIEW_HOURS = 24 * 30;
+
+exports.createPreviewLink = [isAdminOrAuthor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version_id: versionId = null } = req.body;
+    const expiresInHours = parseInt(req.body.expires_in_hours || DEFAULT_PREVIEW_HOURS);
+
+    if (isNaN(expiresInHours) || expiresInHours < 1 || expiresInHours > MAX_PREVIEW_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `Masa berlaku preview harus antara 1 dan ${MAX_PREVIEW_HOURS} jam`
+      });
+    }
+
+    const post = await Post.getFullPostById(id);
+    if (!post || post.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post tidak ditemukan'
+      });
+    }
+
+    if (versionId && !(await Post.getVersion(id, versionId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Versi post tidak ditemukan'
+      });
+    }
+
+    const link = await PostPreview.createLink({
+      postId: id,
+      versionId,
+      createdBy: req.user.id,
+      expiresInHours
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Link preview berhasil dibuat',
+      data: {
+        ...link,
+        url: `${process.env.FRONTEND_URL}/preview/${link.token}`
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating preview link:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Gagal membuat link preview',
+      error: error.message
+    });
+  }
+}];
+
+exports.getPreviewLinks = [isAdminOrAuthor, async (req, res) => {
+  try {
+    const links = await PostPreview.getLinksForPost(req.params.id);
+
+    res.json({
+      success: true,
+      data: links
+    });
+  } catch (error) {
+    logger.error('Error getting preview links:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengambil link preview',
+      error: error.message
+    });
+  }
+}];
+
+exports.revokePreviewLink = [isAdminOrAuthor, async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+    const revoked = await PostPreview.revokeLink(id, linkId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link preview tidak ditemukan atau sudah dicabut'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Link preview berhasil dicabut'
+    });
+  } catch (error) {
+    logger.error('Error revoking preview link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mencabut link preview',
+      error: error.message
+    });
+  }
+}];
+
+exports.getPostPreview = async (req, res) => {
+  try {
+    // Preview tidak boleh di-cache atau diindeks mesin pencari
+    res.set({
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow'
+    });
+
+    const preview = await PostPreview.resolveToken(req.params.token);
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link preview tidak valid atau sudah kedaluwarsa'
+      });
+    }
+
+    const rows = await db.executeQuery(`
+      SELECT
+        p.*,
+        u.name as author_name,
+        u.email as author_email
+      FROM posts p
+      LEFT JOIN users u ON p.author_id = u.id
+      WHERE p.id = ?
+        AND p.deleted_at IS NULL
+    `, [preview.postId]);
+
+    const post = rows[0];
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post tidak ditemukan'
+      });
+    }
+
+    let labelRows = await db.executeQuery(`
+      SELECT ul.id, ul.label
+      FROM post_labels pl
+      JOIN unique_labels ul ON pl.label_id = ul.id
+      WHERE pl.post_id = ?
+    `, [post.id]);
+
+    // Link untuk versi tertentu menampilkan isi versi tersebut
+    if (preview.versionId) {
+      const version = await Post.getVersion(post.id, preview.versionId);
+      if (version) {
+        post.content = version.content;
+        post.title = version.title !== null ? version.title : post.title;
+        post.excerpt = version.excerpt !== null ? version.excerpt : post.excerpt;
+        labelRows = version.labels || labelRows;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: formatPublicPost(post, labelRows, [], await PostAuthor.getAuthorsForPost(post.id))
+    });
+  } catch (error) {
+    logger.error('Error getting post preview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan dalam mengambil preview post',
+      error: error.message
+    });
+  }
+};
+
+exports.getPostAuthors = async (req, res) => {
+  try {
+    const authors = await PostAuthor.getAuthorsForPost(req.params.id);
+
+    res.json({
+      success: true,
+      data: authors
+    });
+  } catch (error) {
+    logger.error('Error getting post authors:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengambil daftar penulis',
+      error: error.message
+    });
+  }
+};
+
+exports.updatePostAuthors = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { authors } = req.body;
+
+    const post = await Post.getFullPostById(id);
+    if (!post || post.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post tidak ditemukan'
+      });
+    }
+
+    // Hanya admin dan penulis utama yang boleh mengatur co-author
+    if (req.user.role !== 'admin' && post.author_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Hanya admin atau penulis utama yang dapat mengatur penulis'
+      });
+    }
+
+    if (!Array.isArray(authors) || authors.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authors harus berupa array dan tidak boleh kosong'
+      });
+    }
+
+    const userIds = authors.map(author => author && author.user_id);
+    if (userIds.some(userId => !userId) || new Set(userIds).size !== userIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Setiap penulis harus memiliki user_id yang unik'
+      });
+    }
+
+    const invalidRole = authors.find(author => author.role && !PostAuthor.ROLES.includes(author.role));
+    if (invalidRole) {
+      return res.status(400).json({
+        success: false,
+        message: `Role penulis harus salah satu dari: ${PostAuthor.ROLES.join(', ')}`
+      });
+    }
+
+    for (const userId of userIds) {
+      if (!(await User.findById(userId))) {
+        return res.status(400).json({
+          success: false,
+          message: `User ${userId} tidak ditemukan`
+        });
+      }
+    }
+
+    await PostAuthor.setAuthors(id, post.author_id, authors);
+    await clearPostsCache();
+
+    res.json({
+      success: true,
+      message: 'Daftar penulis berhasil diperbarui',
+      data: await PostAuthor.getAuthorsForPost(id)
+    });
+  } catch (error) {
+    logger.error('Error updating post authors:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal memperbarui daftar penulis',
+      error: error.message
+    });
+  }
+};
+
+exports.duplicatePost = async (req, res) => {
+  try {
+    const post = await Post.duplicate(req.params.id, req.user.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post tidak ditemukan'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Post berhasil diduplikasi sebagai draft',
+      data: post
+    });
+  } catch (error) {
+    logger.error('Error duplicating post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat menduplikasi post',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,134 @@
+const RedirectRule = require('../models/RedirectRule');
+const { logger } = require('../utils/logger');
+
+// Dipanggil router frontend untuk path yang tidak dikenal
+exports.lookupRedirect = async (req, res) => {
+  try {
+    const { path } = req.query;
+
+    if (!path || typeof path !== 'string') {
+      return res.status(400).json({ success: false, message: 'Parameter path wajib diisi' });
+    }
+    if (path.length > RedirectRule.MAX_PATH_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Parameter path maksimal ${RedirectRule.MAX_PATH_LENGTH} karakter`
+      });
+    }
+
+    const result = await RedirectRule.match(path);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Redirect tidak ditemukan' });
+    }
+
+    // Tidak perlu ditunggu, hit counter bukan bagian dari response
+    RedirectRule.recordHit(result.rule.id);
+
+    res.json({
+      success: true,
+      data: {
+        source: RedirectRule.normalizePath(path),
+        target: result.target,
+        status_code: result.rule.status_code,
+        rule_id: result.rule.id
+      }
+    });
+  } catch (error) {
+    logger.error('Error in lookupRedirect controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mencari redirect' });
+  }
+};
+
+exports.getAllRedirects = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search = '' } = req.query;
+    const result = await RedirectRule.findAll({ page: parseInt(page), limit: parseInt(limit), search });
+
+    res.json({
+      success: true,
+      data: result.rules,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error in getAllRedirects controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengambil data redirect' });
+  }
+};
+
+exports.getRedirectById = async (req, res) => {
+  try {
+    const rule = await RedirectRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Redirect tidak ditemukan' });
+    }
+
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    logger.error('Error in getRedirectById controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengambil data redirect' });
+  }
+};
+
+exports.createRedirect = async (req, res) => {
+  try {
+    const validationError = RedirectRule.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const rule = await RedirectRule.create(req.body, req.user.id);
+    res.status(201).json({ success: true, message: 'Redirect berhasil dibuat', data: rule });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'Redirect untuk source ini sudah ada' });
+    }
+    logger.error('Error in createRedirect controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat membuat redirect' });
+  }
+};
+
+exports.updateRedirect = async (req, res) => {
+  try {
+    const current = await RedirectRule.findById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ success: false, message: 'Redirect tidak ditemukan' });
+    }
+
+    const validationError = RedirectRule.validate({
+      source: req.body.source ?? current.source,
+      target: req.body.target ?? current.target,
+      match_type: req.body.match_type ?? current.match_type,
+      status_code: req.body.status_code ?? current.status_code
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const rule = await RedirectRule.update(req.params.id, req.body);
+    res.json({ success: true, message: 'Redirect berhasil diperbarui', data: rule });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'Redirect untuk source ini sudah ada' });
+    }
+    logger.error('Error in updateRedirect controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat memperbarui redirect' });
+  }
+};
+
+exports.deleteRedirect = async (req, res) => {
+  try {
+    const deleted = await RedirectRule.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Redirect tidak ditemukan' });
+    }
+
+    res.json({ success: true, message: 'Redirect berhasil dihapus' });
+  } catch (error) {
+    logger.error('Error in deleteRedirect controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat menghapus redirect' });
+  }
+};
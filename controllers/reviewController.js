@@ -0,0 +1,104 @@
+const Post = require('../models/Post');
+const PostReview = require('../models/PostReview');
+const { logger } = require('../utils/logger');
+const { clearPostsCache } = require('../middleware/cacheMiddleware');
+const RelatedPostsService = require('../services/relatedPostsService');
+
+// Jalankan aksi review dan kirim response dengan post terbaru
+const runTransition = (action, successMessage) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body || {};
+
+    const result = await PostReview.transition(id, action, req.user, note);
+
+    // Post yang baru terbit harus langsung muncul di daftar publik
+    if (result.status === 'published') {
+      await clearPostsCache();
+      RelatedPostsService.schedule(id);
+    }
+
+    const post = await Post.getFullPostById(id);
+
+    res.json({
+      success: true,
+      message: successMessage,
+      post
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Error running review action:', {
+      action,
+      postId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Gagal memproses review post',
+      error: error.message
+    });
+  }
+};
+
+exports.submitPost = runTransition('submit', 'Post berhasil diajukan untuk review');
+exports.withdrawPost = runTransition('withdraw', 'Pengajuan review berhasil dibatalkan');
+exports.startReview = runTransition('start_review', 'Review post dimulai');
+exports.approvePost = runTransition('approve', 'Post berhasil disetujui');
+exports.requestChanges = runTransition('request_changes', 'Permintaan revisi berhasil dikirim');
+exports.rejectPost = runTransition('reject', 'Post berhasil ditolak');
+
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    if (status && !['submitted', 'in_review'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status antrian harus submitted atau in_review'
+      });
+    }
+
+    const result = await PostReview.getQueue({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status
+    });
+
+    res.json({
+      success: true,
+      data: result.posts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error getting review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengambil antrian review',
+      error: error.message
+    });
+  }
+};
+
+exports.getReviewHistory = async (req, res) => {
+  try {
+    const history = await PostReview.getHistory(req.params.id);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Error getting review history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengambil riwayat review',
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,8 @@
 const Post = require('../models/Post');
 const { executeQuery } = require('../config/databaseConfig');
 const { logger } = require('../utils/logger');
+const { parseToc } = require('../utils/contentAnalysis');
+const { resolveRequestLanguage, resolvePreferredLanguage } = require('../utils/languageUtils');
 
 exports.search = async (req, res) => {
   try {
@@ -20,7 +22,7 @@ exports.search = async (req, res) => {
     }
 
     const offset = (page - 1) * limit;
-    let whereConditions = ['p.status = "published"'];
+    let whereConditions = ['p.status = "published"', Post.EXPIRY_VISIBLE_SQL];
     let params = [];
     let orderByClause;
 
@@ -28,6 +30,7 @@ exports.search = async (req, res) => {
     const baseQuery = `
       SELECT DISTINCT
         p.*,
+        ${Post.EXPIRED_FLAG_SQL},
         u.name as author_name,
         GROUP_CONCAT(
           DISTINCT JSON_OBJECT(
@@ -53,12 +56,21 @@ exports.search = async (req, res) => {
       params.push(label_id);
     }
 
+    // Filter bahasa hanya dari ?lang=; Accept-Language cukup mendahulukan bahasa pilihan
+    const language = resolveRequestLanguage(req, { useHeader: false });
+    if (language) {
+      whereConditions.push('p.language = ?');
+      params.push(language);
+    }
+    const whereParamCount = params.length;
+
     // Tentukan ORDER BY dengan single MATCH untuk relevance
     if (sort === 'relevance' && q.trim()) {
-      orderByClause = `MATCH(p.title, p.content) AGAINST(? IN BOOLEAN MODE) DESC`;
-      params.push(`${q}*`);
+      orderByClause = `p.language = ? DESC, MATCH(p.title, p.content) AGAINST(? IN BOOLEAN MODE) DESC`;
+      params.push(resolvePreferredLanguage(req), `${q}*`);
     } else {
-      orderByClause = 'p.publish_date DESC';
+      orderByClause = 'p.language = ? DESC, p.publish_date DESC';
+      params.push(resolvePreferredLanguage(req));
     }
 
     // Gabungkan query
@@ -86,13 +98,15 @@ exports.search = async (req, res) => {
       `;
       
       const [countResult] = await connection.query(countQuery, 
-        params.slice(0, params.length - 2)
+        params.slice(0, whereParamCount)
       );
 
       return {
         success: true,
         data: rows.map(post => ({
           ...post,
+          toc: parseToc(post.toc),
+          is_expired: Boolean(post.is_expired),
           labels: post.labels ? JSON.parse(`[${post.labels}]`).map(label => ({
             ...label,
             id: parseInt(label.id)
@@ -130,11 +144,16 @@ exports.searchByLabel = async (req, res) => {
     }
 
     const offset = (Number(page) - 1) * Number(limit);
+    // Hanya ?lang= yang memfilter; Accept-Language cukup mendahulukan bahasa pilihan
+    const language = resolveRequestLanguage(req, { useHeader: false });
+    const languageCondition = language ? 'AND p.language = ?' : '';
+    const languageParams = language ? [language] : [];
 
     const results = await executeQuery(async (connection) => {
       const sql = `
         SELECT 
           p.*,
+          ${Post.EXPIRED_FLAG_SQL},
           GROUP_CONCAT(
             DISTINCT JSON_OBJECT(
               'id', CAST(ul.id AS UNSIGNED),
@@ -145,13 +164,17 @@ exports.searchByLabel = async (req, res) => {
         JOIN post_labels pl ON p.id = pl.post_id
         JOIN unique_labels ul ON pl.label_id = ul.id
         WHERE ul.id = ?
+        AND ${Post.EXPIRY_VISIBLE_SQL}
+        ${languageCondition}
         GROUP BY p.id
-        ORDER BY p.publish_date DESC
+        ORDER BY p.language = ? DESC, p.publish_date DESC
         LIMIT ? OFFSET ?
       `;
 
       const [rows] = await connection.query(sql, [
         parseInt(label), 
+        ...languageParams,
+        resolvePreferredLanguage(req),
         Number(limit), 
         (Number(page) - 1) * Number(limit)
       ]);
@@ -160,8 +183,10 @@ exports.searchByLabel = async (req, res) => {
          FROM posts p
          JOIN post_labels pl ON p.id = pl.post_id
          JOIN unique_labels ul ON pl.label_id = ul.id
-         WHERE ul.id = ?`,
-        [label]
+         WHERE ul.id = ?
+         AND ${Post.EXPIRY_VISIBLE_SQL}
+         ${languageCondition}`,
+        [label, ...languageParams]
       );
 
       return { results: rows, total: count };
@@ -170,6 +195,8 @@ exports.searchByLabel = async (req, res) => {
     // Format hasil dengan ID number
     const formattedResults = results.results.map(post => ({
       ...post,
+      toc: parseToc(post.toc),
+      is_expired: Boolean(post.is_expired),
       labels: post.labels ? 
         JSON.parse(`[${post.labels}]`).map(label => ({
           ...label,
@@ -224,6 +251,7 @@ exports.advancedSearch = async (req, res) => {
     let sql = `
       SELECT DISTINCT
         p.*,
+        ${Post.EXPIRED_FLAG_SQL},
         u.name as author_name,
         GROUP_CONCAT(
           DISTINCT JSON_OBJECT(
@@ -262,6 +290,13 @@ exports.advancedSearch = async (req, res) => {
       params.push(featured === 'featured' ? 1 : 0);
     }
 
+    // Pencarian lanjutan dipakai admin, hanya ?lang= eksplisit yang memfilter bahasa
+    const language = resolveRequestLanguage(req, { useHeader: false });
+    if (language) {
+      whereConditions.push('p.language = ?');
+      params.push(language);
+    }
+
     sql += whereConditions.join(' AND ');
     sql += ' GROUP BY p.id';
 
@@ -304,6 +339,8 @@ exports.advancedSearch = async (req, res) => {
       success: true,
       data: results.data.map(post => ({
         ...post,
+        toc: parseToc(post.toc),
+        is_expired: Boolean(post.is_expired),
         labels: post.labels ? 
           JSON.parse(`[${post.labels}]`).map(label => ({
             ...label,
@@ -0,0 +1,195 @@
+const Series = require('../models/Series');
+const Post = require('../models/Post');
+const { logger } = require('../utils/logger');
+const { clearPostsCache } = require('../middleware/cacheMiddleware');
+
+exports.getAllSeries = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const result = await Series.findAll({ page: parseInt(page), limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      data: result.series,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error in getAllSeries controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengambil data series' });
+  }
+};
+
+// Detail series publik beserta daftar post yang sudah terbit
+exports.getSeriesBySlug = async (req, res) => {
+  try {
+    const series = await Series.findBySlug(req.params.slug);
+
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series tidak ditemukan' });
+    }
+
+    const posts = await Series.getPosts(series.id, { publicOnly: true });
+    res.json({ success: true, data: { ...series, posts } });
+  } catch (error) {
+    logger.error('Error in getSeriesBySlug controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengambil data series' });
+  }
+};
+
+// Detail series untuk admin, termasuk post yang belum terbit
+exports.getSeriesById = async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series tidak ditemukan' });
+    }
+
+    const posts = await Series.getPosts(series.id, { publicOnly: false });
+    res.json({ success: true, data: { ...series, posts } });
+  } catch (error) {
+    logger.error('Error in getSeriesById controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengambil data series' });
+  }
+};
+
+exports.createSeries = async (req, res) => {
+  try {
+    const { title, description, image, slug } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ success: false, message: 'Judul series wajib diisi' });
+    }
+
+    const series = await Series.create({ title: title.trim(), description, image, slug }, req.user.id);
+    res.status(201).json({ success: true, message: 'Series berhasil dibuat', data: series });
+  } catch (error) {
+    logger.error('Error in createSeries controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat membuat series' });
+  }
+};
+
+exports.updateSeries = async (req, res) => {
+  try {
+    const { title, description, image, slug } = req.body;
+
+    if (title !== undefined && !title.trim()) {
+      return res.status(400).json({ success: false, message: 'Judul series tidak boleh kosong' });
+    }
+
+    const series = await Series.update(req.params.id, {
+      title: title !== undefined ? title.trim() : undefined,
+      description,
+      image,
+      slug
+    });
+
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series tidak ditemukan' });
+    }
+
+    await clearPostsCache();
+    res.json({ success: true, message: 'Series berhasil diperbarui', data: series });
+  } catch (error) {
+    logger.error('Error in updateSeries controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat memperbarui series' });
+  }
+};
+
+exports.deleteSeries = async (req, res) => {
+  try {
+    const deleted = await Series.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Series tidak ditemukan' });
+    }
+
+    await clearPostsCache();
+    res.json({ success: true, message: 'Series berhasil dihapus' });
+  } catch (error) {
+    logger.error('Error in deleteSeries controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat menghapus series' });
+  }
+};
+
+exports.addPostToSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { post_id: postId, position = null } = req.body;
+
+    if (!postId) {
+      return res.status(400).json({ success: false, message: 'post_id wajib diisi' });
+    }
+
+    if (position !== null && (isNaN(parseInt(position)) || parseInt(position) < 1)) {
+      return res.status(400).json({ success: false, message: 'Posisi harus berupa angka mulai dari 1' });
+    }
+
+    const [series, post] = await Promise.all([Series.findById(id), Post.getFullPostById(postId)]);
+
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series tidak ditemukan' });
+    }
+    if (!post || post.deleted_at) {
+      return res.status(404).json({ success: false, message: 'Post tidak ditemukan' });
+    }
+
+    await Series.addPost(id, postId, position);
+    await clearPostsCache();
+
+    const posts = await Series.getPosts(id, { publicOnly: false });
+    res.json({ success: true, message: 'Post berhasil ditambahkan ke series', data: { ...series, posts } });
+  } catch (error) {
+    logger.error('Error in addPostToSeries controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat menambahkan post ke series' });
+  }
+};
+
+exports.removePostFromSeries = async (req, res) => {
+  try {
+    const { id, postId } = req.params;
+    const removed = await Series.removePost(id, postId);
+
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Post tidak ada di series ini' });
+    }
+
+    await clearPostsCache();
+    res.json({ success: true, message: 'Post berhasil dikeluarkan dari series' });
+  } catch (error) {
+    logger.error('Error in removePostFromSeries controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengeluarkan post dari series' });
+  }
+};
+
+exports.reorderSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { post_ids: postIds } = req.body;
+
+    if (!Array.isArray(postIds) || postIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'post_ids harus berupa array' });
+    }
+
+    const series = await Series.findById(id);
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series tidak ditemukan' });
+    }
+
+    const reordered = await Series.reorder(id, postIds);
+    if (!reordered) {
+      return res.status(400).json({
+        success: false,
+        message: 'post_ids harus berisi semua post dalam series tepat satu kali'
+      });
+    }
+
+    await clearPostsCache();
+
+    const posts = await Series.getPosts(id, { publicOnly: false });
+    res.json({ success: true, message: 'Urutan series berhasil diperbarui', data: { ...series, posts } });
+  } catch (error) {
+    logger.error('Error in reorderSeries controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengurutkan series' });
+  }
+};
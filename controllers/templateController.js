@@ -0,0 +1,158 @@
+const PostTemplate = require('../models/PostTemplate');
+const Post = require('../models/Post');
+const PostReview = require('../models/PostReview');
+const { logger } = require('../utils/logger');
+const { clearPostsCache } = require('../middleware/cacheMiddleware');
+const RelatedPostsService = require('../services/relatedPostsService');
+
+const templateNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Template tidak ditemukan'
+});
+
+// Kembalikan pesan error validasi, atau null jika data template valid
+const validateTemplate = (data, { partial = false } = {}) => {
+  if ((!partial || data.name !== undefined) && (!data.name || !String(data.name).trim())) {
+    return 'Nama template wajib diisi';
+  }
+  if ((!partial || data.title_pattern !== undefined) && (!data.title_pattern || !String(data.title_pattern).trim())) {
+    return 'Pola judul wajib diisi';
+  }
+  if (data.default_status !== undefined && !PostTemplate.STATUSES.includes(data.default_status)) {
+    return `Status default harus salah satu dari: ${PostTemplate.STATUSES.join(', ')}`;
+  }
+  if (data.default_labels !== undefined && !Array.isArray(data.default_labels)) {
+    return 'default_labels harus berupa array';
+  }
+  return null;
+};
+
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await PostTemplate.findAll();
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    logger.error('Error in getTemplates controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengambil template' });
+  }
+};
+
+exports.getTemplateById = async (req, res) => {
+  try {
+    const template = await PostTemplate.findById(req.params.id);
+    if (!template) return templateNotFound(res);
+
+    res.json({
+      success: true,
+      data: {
+        ...template,
+        title_preview: PostTemplate.renderTitle(template.title_pattern)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getTemplateById controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat mengambil template' });
+  }
+};
+
+exports.createTemplate = async (req, res) => {
+  try {
+    const validationError = validateTemplate(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const template = await PostTemplate.create(req.body, req.user.id);
+    res.status(201).json({ success: true, message: 'Template berhasil dibuat', data: template });
+  } catch (error) {
+    logger.error('Error in createTemplate controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat membuat template' });
+  }
+};
+
+exports.updateTemplate = async (req, res) => {
+  try {
+    const validationError = validateTemplate(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const template = await PostTemplate.update(req.params.id, req.body);
+    if (!template) return templateNotFound(res);
+
+    res.json({ success: true, message: 'Template berhasil diperbarui', data: template });
+  } catch (error) {
+    logger.error('Error in updateTemplate controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat memperbarui template' });
+  }
+};
+
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const deleted = await PostTemplate.delete(req.params.id);
+    if (!deleted) return templateNotFound(res);
+
+    res.json({ success: true, message: 'Template berhasil dihapus' });
+  } catch (error) {
+    logger.error('Error in deleteTemplate controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat menghapus template' });
+  }
+};
+
+// Buat post baru dari template. Body opsional: date (untuk placeholder judul) dan title
+exports.instantiateTemplate = async (req, res) => {
+  try {
+    const template = await PostTemplate.findById(req.params.id);
+    if (!template) return templateNotFound(res);
+
+    const { date, title } = req.body;
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ success: false, message: 'Format tanggal tidak valid' });
+    }
+
+    const publishDate = new Date();
+
+    // Status mengikuti aturan createPost: writer hanya bisa draft atau langsung mengajukan review
+    const status = req.user.role === 'admin'
+      ? Post.resolveScheduledStatus(template.default_status, publishDate)
+      : (template.default_status === 'draft' ? 'draft' : 'submitted');
+
+    const post = await Post.createPost({
+      title: title || PostTemplate.renderTitle(template.title_pattern, date || publishDate),
+      content: template.content || '',
+      excerpt: template.excerpt || '',
+      image: '',
+      status,
+      user_id: req.user.id,
+      publish_date: publishDate,
+      is_featured: 0,
+      is_spotlight: 0,
+      labels: await PostTemplate.filterExistingLabels(template.default_labels)
+    });
+
+    if (status !== 'draft') {
+      await PostReview.recordTransition({
+        postId: post.id,
+        fromStatus: null,
+        toStatus: status,
+        actorId: req.user.id
+      });
+    }
+
+    if (status === 'published') {
+      await clearPostsCache();
+      RelatedPostsService.schedule(post.id);
+    }
+
+    logger.info('Post created from template:', { templateId: template.id, postId: post.id, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Post berhasil dibuat dari template',
+      data: post
+    });
+  } catch (error) {
+    logger.error('Error in instantiateTemplate controller:', error);
+    res.status(500).json({ success: false, message: 'Terjadi kesalahan saat membuat post dari template' });
+  }
+};
@@ -0,0 +1,94 @@
+const PostTranslation = require('../models/PostTranslation');
+const PostAuthor = require('../models/PostAuthor');
+const Post = require('../models/Post');
+const { logger } = require('../utils/logger');
+const { clearPostsCache } = require('../middleware/cacheMiddleware');
+
+const postNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Post tidak ditemukan'
+});
+
+const isAdmin = (user) => user.is_admin === 1 || user.role === 'admin';
+
+// Semua terjemahan post, termasuk yang belum terbit
+exports.getTranslations = async (req, res) => {
+  try {
+    const post = await Post.getFullPostById(req.params.id);
+    if (!post || post.deleted_at) return postNotFound(res);
+
+    const translations = await PostTranslation.getForPost(req.params.id);
+    res.json({
+      success: true,
+      data: {
+        language: post.language,
+        translation_group: post.translation_group || null,
+        translations
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting post translations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil terjemahan',
+      error: error.message
+    });
+  }
+};
+
+// Body: { post_id } - post lain yang menjadi terjemahan post ini
+exports.linkTranslation = async (req, res) => {
+  try {
+    const targetId = req.body.post_id;
+    if (!targetId || typeof targetId !== 'string') {
+      return res.status(400).json({ success: false, message: 'post_id terjemahan wajib diisi' });
+    }
+
+    // Writer hanya boleh menghubungkan post yang juga ditulisnya
+    if (!isAdmin(req.user) && !(await PostAuthor.isAuthor(targetId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Hanya admin atau penulis kedua post yang bisa menghubungkan terjemahan'
+      });
+    }
+
+    await PostTranslation.link(req.params.id, targetId);
+    await clearPostsCache();
+
+    const translations = await PostTranslation.getForPost(req.params.id);
+    res.json({
+      success: true,
+      message: 'Terjemahan berhasil dihubungkan',
+      data: { translations }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Error linking post translation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat menghubungkan terjemahan',
+      error: error.message
+    });
+  }
+};
+
+exports.unlinkTranslation = async (req, res) => {
+  try {
+    const unlinked = await PostTranslation.unlink(req.params.id);
+    if (!unlinked) {
+      return res.status(404).json({ success: false, message: 'Post ini tidak terhubung dengan terjemahan' });
+    }
+
+    await clearPostsCache();
+    res.json({ success: true, message: 'Post dilepas dari grup terjemahan' });
+  } catch (error) {
+    logger.error('Error unlinking post translation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat melepas terjemahan',
+      error: error.message
+    });
+  }
+};
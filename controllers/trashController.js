@@ -0,0 +1,74 @@
+const TrashPurgeService = require('../services/trashPurgeService');
+const { purgeTrash } = require('../utils/trashPurge');
+const { logger } = require('../utils/logger');
+
+// Post dan file yang akan terhapus pada purge berikutnya
+exports.getPurgePreview = async (req, res) => {
+  try {
+    const preview = await TrashPurgeService.preview();
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    logger.error('Error getting trash purge preview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengambil pratinjau purge trash',
+      error: error.message
+    });
+  }
+};
+
+// Jalankan purge sekarang tanpa menunggu jadwal
+exports.runPurge = async (req, res) => {
+  if (TrashPurgeService.retentionDays === 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Purge trash dimatikan (TRASH_RETENTION_DAYS=0)'
+    });
+  }
+
+  const result = await purgeTrash();
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat menjalankan purge trash',
+      error: result.error
+    });
+  }
+
+  logger.info(`Trash purge triggered by ${req.user.id}`, { count: result.count, files: result.files });
+  res.json({
+    success: true,
+    message: `${result.count} post dihapus permanen`,
+    data: { posts: result.count, files: result.files }
+  });
+};
+
+// Body: { exempt: boolean } - default true
+exports.setPurgeExempt = async (req, res) => {
+  try {
+    const { exempt = true } = req.body;
+    if (typeof exempt !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'exempt harus berupa boolean' });
+    }
+
+    const post = await TrashPurgeService.setExempt(req.params.id, exempt);
+    res.json({
+      success: true,
+      message: exempt ? 'Post dikecualikan dari purge trash' : 'Pengecualian purge trash dicabut',
+      data: post
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('Error updating trash purge exemption:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Terjadi kesalahan saat mengubah pengecualian purge',
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const PostAuthor = require('../models/PostAuthor');
 const { executeQuery } = require('../config/databaseConfig');
 const { logger } = require('../utils/logger');
 
@@ -187,20 +188,13 @@ exports.isAdminOrAuthor = async (req, res, next) => {
     });
   }
 
-  if (req.user.is_admin === 1) {
+  if (req.user.is_admin === 1 || req.user.role === 'admin') {
     return next();
   }
 
   try {
-    const post = await executeQuery(async (connection) => {
-      const [result] = await connection.query(
-        'SELECT * FROM posts WHERE id = ?', 
-        [req.params.id]
-      );
-      return result[0];
-    });
-
-    if (post && post.author_id === req.user.id) {
+    // Co-author di post_authors punya hak edit yang sama dengan penulis utama
+    if (await PostAuthor.isAuthor(req.params.id, req.user.id)) {
       return next();
     }
 
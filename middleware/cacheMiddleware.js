@@ -1,5 +1,6 @@
 const { redis } = require('../config/databaseConfig');
 const { logger } = require('../utils/logger');
+const { resolveRequestLanguage } = require('../utils/languageUtils');
 
 const cacheMiddleware = (duration, key) => {
   return async (req, res, next) => {
@@ -7,7 +8,9 @@ const cacheMiddleware = (duration, key) => {
       return next();
     }
 
-    const cacheKey = key || req.originalUrl;
+    // Response publik bisa berbeda per Accept-Language, jadi bahasa ikut menjadi bagian key
+    const cacheKey = `${key || req.originalUrl}|lang=${resolveRequestLanguage(req) || 'all'}`;
+    res.vary('Accept-Language');
     
     try {
       const cachedData = await redis.get(cacheKey);
@@ -45,4 +48,12 @@ const clearCache = async (pattern) => {
   }
 };
 
-module.exports = { cacheMiddleware, clearCache };
+// Hapus semua cache response post publik (key mengikuti cacheMiddleware di routes/posts.js)
+const clearPostsCache = async () => {
+  await Promise.all([
+    clearCache('/api/posts'),
+    clearCache('spotlight-posts')
+  ]);
+};
+
+module.exports = { cacheMiddleware, clearCache, clearPostsCache };
@@ -1,5 +1,6 @@
 const { executeQuery } = require('../config/databaseConfig');
 const { logger } = require('../utils/logger');
+const PostAuthor = require('../models/PostAuthor');
 
 const isPostOwner = async (req, res, next) => {
   try {
@@ -17,7 +18,7 @@ const isPostOwner = async (req, res, next) => {
       return res.status(404).json({ message: 'Post tidak ditemukan' });
     }
     
-    if (post.author_id !== req.user.id) {
+    if (post.author_id !== req.user.id && !(await PostAuthor.isAuthor(postId, req.user.id))) {
       return res.status(403).json({ message: 'Anda tidak memiliki izin untuk mengedit post ini' });
     }
     
@@ -1,6 +1,7 @@
 // middleware/validationMiddleware.js
 const { body, validationResult, check } = require('express-validator');
 const { slugAlreadyExists } = require('../utils/slugUtils');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/languageUtils');
 const { logger } = require('../utils/logger');
 
 // Fungsi helper untuk menangani hasil validasi
@@ -58,13 +59,17 @@ exports.validatePostCreation = [
   check('title').trim().notEmpty().withMessage('Judul post tidak boleh kosong'),
   check('content').trim().notEmpty().withMessage('Konten post tidak boleh kosong'),
   check('publish_date').optional().isISO8601().toDate().withMessage('Format tanggal publikasi tidak valid'),
+  check('expires_at').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Format tanggal kedaluwarsa tidak valid'),
+  check('expiry_action').optional().isIn(['archive', 'flag']).withMessage('expiry_action harus archive atau flag'),
+  check('content_format').optional().isIn(['html', 'markdown']).withMessage('content_format harus html atau markdown'),
+  check('language').optional().isIn(Object.keys(SUPPORTED_LANGUAGES)).withMessage('Bahasa post tidak didukung'),
   check('is_featured').optional().isBoolean().withMessage('is_featured harus berupa boolean'),
   check('is_spotlight').optional().isBoolean().withMessage('is_spotlight harus berupa boolean'),
   check('slug')
   .optional()
   .isSlug().withMessage('Slug harus berupa string tanpa spasi dan karakter khusus')
-  .custom(async (value) => {
-    if (value && await slugAlreadyExists(value)) {
+  .custom(async (value, { req }) => {
+    if (value && await slugAlreadyExists(value, null, req.body.language || DEFAULT_LANGUAGE)) {
       throw new Error('Slug sudah digunakan');
     }
     return true;
@@ -90,8 +95,8 @@ exports.validatePostCreation = [
     }),
   check('status')
     .optional()
-    .isIn(['published', 'draft', 'archived'])
-    .withMessage('Status harus salah satu dari: published, draft, atau archived'),
+    .isIn(['published', 'draft', 'archived', 'scheduled', 'submitted', 'in_review', 'changes_requested', 'rejected'])
+    .withMessage('Status harus salah satu dari: published, draft, archived, scheduled, submitted, in_review, changes_requested, atau rejected'),
   handleValidationErrors
 ];
 
@@ -100,6 +105,10 @@ exports.validatePostUpdate = [
   check('title').optional().notEmpty().withMessage('Judul tidak boleh kosong'),
   check('content').optional().notEmpty().withMessage('Konten tidak boleh kosong'),
   check('publish_date').optional().isISO8601().toDate().withMessage('Format tanggal publikasi tidak valid'),
+  check('expires_at').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Format tanggal kedaluwarsa tidak valid'),
+  check('expiry_action').optional().isIn(['archive', 'flag']).withMessage('expiry_action harus archive atau flag'),
+  check('content_format').optional().isIn(['html', 'markdown']).withMessage('content_format harus html atau markdown'),
+  check('language').optional().isIn(Object.keys(SUPPORTED_LANGUAGES)).withMessage('Bahasa post tidak didukung'),
   check('is_featured').optional().isBoolean().withMessage('is_featured harus berupa boolean'),
   check('is_spotlight').optional().isBoolean().withMessage('is_spotlight harus berupa boolean'),
   check('excerpt')
@@ -112,7 +121,7 @@ exports.validatePostUpdate = [
     .withMessage('Slug harus berupa string tanpa spasi dan karakter khusus')
     .custom(async (value, { req }) => {
       const postId = req.params.id; // Asumsikan ID post ada di params
-      if (await slugAlreadyExists(value, postId)) {
+      if (await slugAlreadyExists(value, postId, req.body.language || DEFAULT_LANGUAGE)) {
         throw new Error('Slug sudah digunakan');
       }
       return true;
@@ -134,8 +143,8 @@ exports.validatePostUpdate = [
     }),
   check('status')
     .optional()
-    .isIn(['published', 'draft', 'archived'])
-    .withMessage('Status harus salah satu dari: published, draft, atau archived'),
+    .isIn(['published', 'draft', 'archived', 'scheduled', 'submitted', 'in_review', 'changes_requested', 'rejected'])
+    .withMessage('Status harus salah satu dari: published, draft, archived, scheduled, submitted, in_review, changes_requested, atau rejected'),
 ];
 
 // Validasi untuk pembuatan label
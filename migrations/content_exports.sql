@@ -0,0 +1,20 @@
+-- Job ekspor konten (zip Markdown + JSON) yang dibuat admin dan diproses di background
+CREATE TABLE IF NOT EXISTS `content_exports` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `status` ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+  `requested_by` VARCHAR(36) NULL,
+  `file_name` VARCHAR(255) NULL,
+  `file_size` BIGINT NULL,
+  `stats` TEXT NULL,
+  `error_message` TEXT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `started_at` DATETIME NULL,
+  `completed_at` DATETIME NULL,
+  -- Diperbarui selama job berjalan; dipakai untuk mendeteksi job yang macet
+  `heartbeat_at` DATETIME NULL,
+  -- Bernilai 1 selama job pending/processing; unique key menjamin hanya satu job yang berjalan
+  `running_slot` TINYINT AS (IF(`status` IN ('pending', 'processing'), 1, NULL)) STORED,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_content_exports_running` (`running_slot`),
+  KEY `idx_content_exports_status` (`status`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
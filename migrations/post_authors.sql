@@ -0,0 +1,10 @@
+-- Co-author post dengan urutan tampil dan peran; posts.author_id tetap penulis utama
+CREATE TABLE IF NOT EXISTS `post_authors` (
+  `post_id` VARCHAR(36) NOT NULL,
+  `user_id` VARCHAR(36) NOT NULL,
+  `role` VARCHAR(20) NOT NULL DEFAULT 'author',
+  `sort_order` INT NOT NULL DEFAULT 0,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`post_id`, `user_id`),
+  KEY `idx_post_authors_user` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
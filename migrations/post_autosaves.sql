@@ -0,0 +1,17 @@
+-- Working copy editor per user, terpisah dari baris posts
+-- autosave_key berisi id post, atau "new:<draft_key>" untuk post yang belum pernah disimpan
+CREATE TABLE IF NOT EXISTS `post_autosaves` (
+  `id` VARCHAR(36) NOT NULL,
+  `autosave_key` VARCHAR(100) NOT NULL,
+  `post_id` VARCHAR(36) NULL,
+  `user_id` VARCHAR(36) NOT NULL,
+  `title` VARCHAR(255) NULL,
+  `content` MEDIUMTEXT NULL,
+  `excerpt` TEXT NULL,
+  `labels` TEXT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_post_autosaves_user_key` (`user_id`, `autosave_key`),
+  KEY `idx_post_autosaves_post` (`post_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,10 @@
+-- Mode penulisan post: HTML dari editor WYSIWYG atau sumber Markdown.
+-- Kolom content selalu berisi HTML hasil render supaya excerpt, pencarian dan related post tidak berubah
+ALTER TABLE `posts`
+  ADD COLUMN `content_format` ENUM('html', 'markdown') NOT NULL DEFAULT 'html' AFTER `content`,
+  ADD COLUMN `content_markdown` MEDIUMTEXT NULL AFTER `content_format`;
+
+-- Snapshot versi ikut menyimpan sumber Markdown agar restore tidak kehilangan format
+ALTER TABLE `post_versions`
+  ADD COLUMN `content_format` ENUM('html', 'markdown') NOT NULL DEFAULT 'html' AFTER `content`,
+  ADD COLUMN `content_markdown` MEDIUMTEXT NULL AFTER `content_format`;
@@ -0,0 +1,6 @@
+-- Statistik konten yang dihitung saat post disimpan (lihat utils/contentAnalysis.js)
+-- Jalankan scripts/backfillContentStats.js setelah migrasi untuk post yang sudah ada
+ALTER TABLE `posts`
+  ADD COLUMN `word_count` INT NOT NULL DEFAULT 0,
+  ADD COLUMN `reading_time` INT NOT NULL DEFAULT 0,
+  ADD COLUMN `toc` TEXT NULL;
@@ -0,0 +1,19 @@
+-- Soft lock editor post: satu pemegang per post, kedaluwarsa jika heartbeat berhenti
+CREATE TABLE IF NOT EXISTS `post_edit_locks` (
+  `post_id` VARCHAR(36) NOT NULL,
+  `user_id` VARCHAR(36) NOT NULL,
+  `acquired_at` DATETIME NOT NULL,
+  `heartbeat_at` DATETIME NOT NULL,
+  `expires_at` DATETIME NOT NULL,
+  `taken_from` VARCHAR(36) NULL,
+  PRIMARY KEY (`post_id`),
+  KEY `idx_post_edit_locks_user` (`user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Nomor versi post yang diwakili setiap snapshot, untuk respons konflik edit
+ALTER TABLE `post_versions`
+  ADD COLUMN `revision` INT NULL AFTER `restored_from`;
+
+CREATE INDEX `idx_post_versions_revision` ON `post_versions` (`post_id`, `revision`);
+
+UPDATE `posts` SET `version` = 1 WHERE `version` IS NULL;
@@ -0,0 +1,7 @@
+-- Masa tayang post: setelah expires_at lewat, post diarsipkan (archive)
+-- atau tetap tampil dengan tanda kedaluwarsa (flag). expired_at diisi oleh job expiry
+ALTER TABLE `posts`
+  ADD COLUMN `expires_at` DATETIME NULL DEFAULT NULL,
+  ADD COLUMN `expiry_action` VARCHAR(10) NOT NULL DEFAULT 'archive',
+  ADD COLUMN `expired_at` DATETIME NULL DEFAULT NULL,
+  ADD INDEX `idx_posts_status_expires_at` (`status`, `expires_at`);
@@ -0,0 +1,24 @@
+-- Rollup berkala dari post_views supaya daftar trending dan terpopuler tidak memindai
+-- post_views pada setiap request. views_total ditambah bertahap sejak watermark terakhir
+CREATE TABLE IF NOT EXISTS `post_popularity` (
+  `post_id` VARCHAR(36) NOT NULL,
+  `views_day` INT NOT NULL DEFAULT 0,
+  `views_week` INT NOT NULL DEFAULT 0,
+  `views_month` INT NOT NULL DEFAULT 0,
+  `views_total` INT NOT NULL DEFAULT 0,
+  `trending_score` DOUBLE NOT NULL DEFAULT 0,
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`post_id`),
+  KEY `idx_post_popularity_trending` (`trending_score`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Posisi terakhir rollup (viewed_at terbesar yang sudah dijumlahkan)
+CREATE TABLE IF NOT EXISTS `view_rollup_state` (
+  `name` VARCHAR(50) NOT NULL,
+  `last_viewed_at` DATETIME NULL,
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX `idx_post_views_viewed_at` ON `post_views` (`viewed_at`);
+CREATE INDEX `idx_post_views_post_ip` ON `post_views` (`post_id`, `viewer_ip`, `viewed_at`);
@@ -0,0 +1,14 @@
+-- Link preview untuk post yang belum terbit; token JWT menyimpan id link (jti) sehingga bisa dicabut
+CREATE TABLE IF NOT EXISTS `post_preview_links` (
+  `id` VARCHAR(36) NOT NULL,
+  `post_id` VARCHAR(36) NOT NULL,
+  `version_id` VARCHAR(36) NULL,
+  `created_by` VARCHAR(36) NULL,
+  `expires_at` DATETIME NOT NULL,
+  `revoked_at` DATETIME NULL,
+  `view_count` INT NOT NULL DEFAULT 0,
+  `last_viewed_at` DATETIME NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_post_preview_links_post` (`post_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,21 @@
+-- Term hasil tokenisasi judul dan isi post (bobot = frekuensi ternormalisasi), dipakai
+-- untuk menghitung IDF dan kemiripan TF-IDF antar post
+CREATE TABLE IF NOT EXISTS `post_terms` (
+  `post_id` VARCHAR(36) NOT NULL,
+  `term` VARCHAR(64) NOT NULL,
+  `weight` FLOAT NOT NULL,
+  PRIMARY KEY (`post_id`, `term`),
+  KEY `idx_post_terms_term` (`term`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Related post yang sudah dihitung saat post terbit atau diubah
+CREATE TABLE IF NOT EXISTS `post_related` (
+  `post_id` VARCHAR(36) NOT NULL,
+  `related_post_id` VARCHAR(36) NOT NULL,
+  `score` DECIMAL(8,5) NOT NULL,
+  `label_score` DECIMAL(8,5) NOT NULL DEFAULT 0,
+  `text_score` DECIMAL(8,5) NOT NULL DEFAULT 0,
+  `computed_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`post_id`, `related_post_id`),
+  KEY `idx_post_related_score` (`post_id`, `score`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
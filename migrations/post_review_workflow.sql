@@ -0,0 +1,13 @@
+-- Riwayat perpindahan status post dalam alur review editorial
+-- (submitted, in_review, changes_requested, rejected memakai kolom status VARCHAR dari post_scheduling.sql)
+CREATE TABLE IF NOT EXISTS `post_review_events` (
+  `id` VARCHAR(36) NOT NULL,
+  `post_id` VARCHAR(36) NOT NULL,
+  `from_status` VARCHAR(20) NULL,
+  `to_status` VARCHAR(20) NOT NULL,
+  `actor_id` VARCHAR(36) NULL,
+  `note` TEXT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_post_review_events_post` (`post_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
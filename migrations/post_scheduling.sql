@@ -0,0 +1,5 @@
+-- Status 'scheduled' untuk post yang akan terbit otomatis pada publish_date
+ALTER TABLE `posts`
+  MODIFY COLUMN `status` VARCHAR(20) NOT NULL DEFAULT 'draft';
+
+CREATE INDEX `idx_posts_status_publish_date` ON `posts` (`status`, `publish_date`);
@@ -0,0 +1,9 @@
+-- Slug lama post; dipakai untuk redirect ke slug terbaru dan tidak boleh dipakai post lain
+CREATE TABLE IF NOT EXISTS `post_slug_history` (
+  `slug` VARCHAR(255) NOT NULL,
+  `post_id` VARCHAR(36) NOT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`slug`),
+  KEY `idx_post_slug_history_post` (`post_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
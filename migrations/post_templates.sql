@@ -0,0 +1,16 @@
+-- Template post untuk tulisan berulang (intensi misa mingguan, notulen dewan, dll.)
+-- title_pattern boleh memakai {tanggal}, {hari}, {bulan}, {tahun} dan {minggu}
+CREATE TABLE IF NOT EXISTS `post_templates` (
+  `id` VARCHAR(36) NOT NULL,
+  `name` VARCHAR(100) NOT NULL,
+  `description` VARCHAR(255) NULL,
+  `title_pattern` VARCHAR(255) NOT NULL,
+  `content` LONGTEXT NULL,
+  `excerpt` TEXT NULL,
+  `default_labels` TEXT NULL,
+  `default_status` VARCHAR(20) NOT NULL DEFAULT 'draft',
+  `created_by` VARCHAR(36) NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,14 @@
+-- Bahasa post dan pengelompokan terjemahan. Post dalam satu translation_group adalah
+-- terjemahan satu sama lain; slug cukup unik per bahasa
+ALTER TABLE `posts`
+  ADD COLUMN `language` VARCHAR(10) NOT NULL DEFAULT 'id' AFTER `slug`,
+  ADD COLUMN `translation_group` VARCHAR(36) NULL AFTER `language`;
+
+CREATE INDEX `idx_posts_slug_language` ON `posts` (`slug`, `language`);
+CREATE INDEX `idx_posts_translation_group` ON `posts` (`translation_group`);
+
+-- Slug lama juga dicatat per bahasa
+ALTER TABLE `post_slug_history`
+  ADD COLUMN `language` VARCHAR(10) NOT NULL DEFAULT 'id' AFTER `slug`,
+  DROP PRIMARY KEY,
+  ADD PRIMARY KEY (`slug`, `language`);
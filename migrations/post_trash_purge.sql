@@ -0,0 +1,5 @@
+-- Post di trash dihapus permanen setelah masa retensi (TRASH_RETENTION_DAYS).
+-- purge_exempt = 1 membuat post tetap disimpan di trash sampai pengecualiannya dicabut
+ALTER TABLE `posts`
+  ADD COLUMN `purge_exempt` TINYINT(1) NOT NULL DEFAULT 0,
+  ADD INDEX `idx_posts_deleted_at` (`deleted_at`);
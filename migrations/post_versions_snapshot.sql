@@ -0,0 +1,9 @@
+-- Snapshot lengkap di post_versions supaya revisi bisa dibandingkan dan di-restore
+ALTER TABLE `post_versions`
+  ADD COLUMN `title` VARCHAR(255) NULL AFTER `post_id`,
+  ADD COLUMN `excerpt` TEXT NULL AFTER `title`,
+  ADD COLUMN `labels` TEXT NULL AFTER `content`,
+  ADD COLUMN `created_by` VARCHAR(36) NULL AFTER `labels`,
+  ADD COLUMN `restored_from` VARCHAR(36) NULL AFTER `created_by`;
+
+CREATE INDEX `idx_post_versions_post_created` ON `post_versions` (`post_id`, `created_at`);
@@ -0,0 +1,33 @@
+-- Asal kunjungan dan kelas perangkat untuk setiap view. referrer_domain NULL berarti akses langsung
+ALTER TABLE `post_views`
+  ADD COLUMN `referrer` VARCHAR(500) NULL,
+  ADD COLUMN `referrer_domain` VARCHAR(255) NULL,
+  ADD COLUMN `user_agent` VARCHAR(500) NULL,
+  ADD COLUMN `device_class` VARCHAR(10) NULL;
+
+-- Rollup harian post_views; baris hari berjalan dihitung ulang oleh job rollup
+CREATE TABLE IF NOT EXISTS `post_view_daily` (
+  `post_id` VARCHAR(36) NOT NULL,
+  `view_date` DATE NOT NULL,
+  `views` INT NOT NULL DEFAULT 0,
+  `unique_visitors` INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (`post_id`, `view_date`),
+  KEY `idx_post_view_daily_date` (`view_date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- referrer_domain kosong ('') untuk akses langsung supaya bisa menjadi bagian primary key
+CREATE TABLE IF NOT EXISTS `post_view_daily_referrers` (
+  `post_id` VARCHAR(36) NOT NULL,
+  `view_date` DATE NOT NULL,
+  `referrer_domain` VARCHAR(255) NOT NULL DEFAULT '',
+  `views` INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (`post_id`, `view_date`, `referrer_domain`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `post_view_daily_devices` (
+  `post_id` VARCHAR(36) NOT NULL,
+  `view_date` DATE NOT NULL,
+  `device_class` VARCHAR(10) NOT NULL DEFAULT 'unknown',
+  `views` INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (`post_id`, `view_date`, `device_class`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,20 @@
+-- Aturan redirect path lama (situs sebelumnya) ke path baru, dikelola admin
+-- match_type: exact, prefix atau regex (target boleh memakai $1, $2, ...)
+CREATE TABLE IF NOT EXISTS `redirect_rules` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `source` VARCHAR(255) NOT NULL,
+  `target` VARCHAR(500) NOT NULL,
+  `match_type` VARCHAR(10) NOT NULL DEFAULT 'exact',
+  `status_code` SMALLINT NOT NULL DEFAULT 301,
+  `priority` INT NOT NULL DEFAULT 0,
+  `is_active` TINYINT(1) NOT NULL DEFAULT 1,
+  `hit_count` INT NOT NULL DEFAULT 0,
+  `last_hit_at` DATETIME NULL,
+  `note` VARCHAR(255) NULL,
+  `created_by` VARCHAR(36) NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_redirect_rules_source` (`match_type`, `source`),
+  KEY `idx_redirect_rules_active` (`is_active`, `priority`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,23 @@
+-- Series artikel bersambung dan urutan post di dalamnya
+CREATE TABLE IF NOT EXISTS `series` (
+  `id` VARCHAR(36) NOT NULL,
+  `title` VARCHAR(255) NOT NULL,
+  `slug` VARCHAR(255) NOT NULL,
+  `description` TEXT NULL,
+  `image` VARCHAR(255) NULL,
+  `created_by` VARCHAR(36) NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_series_slug` (`slug`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Sebuah post hanya bisa menjadi bagian dari satu series
+CREATE TABLE IF NOT EXISTS `series_posts` (
+  `series_id` VARCHAR(36) NOT NULL,
+  `post_id` VARCHAR(36) NOT NULL,
+  `position` INT NOT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`post_id`),
+  KEY `idx_series_posts_order` (`series_id`, `position`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,9 @@
+-- Pemetaan item WordPress yang sudah diimpor (post dan attachment) supaya impor ulang tidak menggandakan data
+CREATE TABLE IF NOT EXISTS `wordpress_import_map` (
+  `site` VARCHAR(191) NOT NULL,
+  `wp_type` VARCHAR(20) NOT NULL,
+  `wp_id` BIGINT NOT NULL,
+  `target` VARCHAR(255) NOT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`site`, `wp_type`, `wp_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,133 @@
+const moment = require('moment');
+const { executeQuery } = require('../config/databaseConfig');
+const Post = require('./Post');
+
+// Status post yang masih dikerjakan atau menunggu giliran terbit
+const PENDING_STATUSES = ['draft', 'submitted', 'in_review', 'changes_requested', 'scheduled'];
+const TOP_POSTS_LIMIT = 5;
+const LATEST_DRAFTS_LIMIT = 5;
+
+class AuthorDashboard {
+  static get PENDING_STATUSES() {
+    return PENDING_STATUSES;
+  }
+
+  /**
+   * Ringkasan performa tulisan seorang penulis (termasuk post yang ia tulis sebagai co-author).
+   * View diambil dari rollup post_popularity sehingga tidak memindai post_views
+   * @param {string} authorId
+   * @param {Object} [options]
+   * @param {number} [options.months=12] - Jumlah bulan untuk grafik post terbit per bulan
+   * @returns {Promise<Object>}
+   */
+  static async getSummary(authorId, { months = 12 } = {}) {
+    const authored = `${Post.AUTHORED_BY_SQL} AND p.deleted_at IS NULL`;
+    const authorParams = [authorId, authorId];
+    const since = moment().startOf('month').subtract(months - 1, 'months');
+
+    const [
+      [totals],
+      monthlyRows,
+      topPosts,
+      [engagement],
+      pendingRows,
+      latestDrafts
+    ] = await Promise.all([
+      executeQuery(
+        `SELECT
+          COUNT(*) as total_posts,
+          SUM(p.status = 'published') as published_posts,
+          COALESCE(SUM(CASE WHEN p.status = 'published' THEN pp.views_total END), 0) as total_views,
+          COALESCE(SUM(CASE WHEN p.status = 'published' THEN pp.views_month END), 0) as views_last_30_days
+        FROM posts p
+        LEFT JOIN post_popularity pp ON pp.post_id = p.id
+        WHERE ${authored}`,
+        authorParams
+      ),
+      executeQuery(
+        `SELECT DATE_FORMAT(p.publish_date, '%Y-%m') as month, COUNT(*) as total
+        FROM posts p
+        WHERE ${authored}
+        AND p.status = 'published'
+        AND p.publish_date >= ?
+        GROUP BY DATE_FORMAT(p.publish_date, '%Y-%m')`,
+        [...authorParams, since.format('YYYY-MM-DD HH:mm:ss')]
+      ),
+      executeQuery(
+        `SELECT p.id, p.title, p.slug, p.publish_date,
+          COALESCE(pp.views_total, 0) as views,
+          COALESCE(pp.views_month, 0) as views_last_30_days
+        FROM posts p
+        LEFT JOIN post_popularity pp ON pp.post_id = p.id
+        WHERE ${authored}
+        AND p.status = 'published'
+        ORDER BY views DESC, p.publish_date DESC
+        LIMIT ?`,
+        [...authorParams, TOP_POSTS_LIMIT]
+      ),
+      executeQuery(
+        `SELECT
+          (SELECT COUNT(*) FROM likes l JOIN posts p ON p.id = l.post_id WHERE ${authored}) as likes,
+          (SELECT COUNT(*) FROM comments c JOIN posts p ON p.id = c.post_id WHERE ${authored}) as comments`,
+        [...authorParams, ...authorParams]
+      ),
+      executeQuery(
+        `SELECT p.status, COUNT(*) as total
+        FROM posts p
+        WHERE ${authored}
+        AND p.status IN (?)
+        GROUP BY p.status`,
+        [...authorParams, PENDING_STATUSES]
+      ),
+      executeQuery(
+        `SELECT p.id, p.title, p.status, p.publish_date, p.updated_at
+        FROM posts p
+        WHERE ${authored}
+        AND p.status IN (?)
+        ORDER BY p.updated_at DESC
+        LIMIT ?`,
+        [...authorParams, PENDING_STATUSES, LATEST_DRAFTS_LIMIT]
+      )
+    ]);
+
+    const publishedPerMonth = new Map(monthlyRows.map(row => [row.month, Number(row.total)]));
+    const publishedPosts = Number(totals.published_posts || 0);
+    const totalViews = Number(totals.total_views);
+    const pendingByStatus = Object.fromEntries(PENDING_STATUSES.map(status => [status, 0]));
+    pendingRows.forEach(row => {
+      pendingByStatus[row.status] = Number(row.total);
+    });
+
+    return {
+      posts: {
+        total: Number(totals.total_posts),
+        published: publishedPosts
+      },
+      views: {
+        total: totalViews,
+        last_30_days: Number(totals.views_last_30_days),
+        average_per_post: publishedPosts > 0 ? Math.round((totalViews / publishedPosts) * 10) / 10 : 0
+      },
+      engagement: {
+        likes: Number(engagement.likes),
+        comments: Number(engagement.comments)
+      },
+      published_per_month: Array.from({ length: months }, (value, index) => {
+        const month = since.clone().add(index, 'months').format('YYYY-MM');
+        return { month, total: publishedPerMonth.get(month) || 0 };
+      }),
+      top_posts: topPosts.map(post => ({
+        ...post,
+        views: Number(post.views),
+        views_last_30_days: Number(post.views_last_30_days)
+      })),
+      pending: {
+        total: Object.values(pendingByStatus).reduce((sum, total) => sum + total, 0),
+        by_status: pendingByStatus,
+        latest: latestDrafts
+      }
+    };
+  }
+}
+
+module.exports = AuthorDashboard;
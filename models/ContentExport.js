@@ -0,0 +1,114 @@
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+
+// Job tanpa heartbeat selama waktu ini dianggap terputus (misalnya server restart)
+const STALE_AFTER_MINUTES = 60;
+
+const formatExport = (row) => row && ({
+  id: row.id,
+  status: row.status,
+  requested_by: row.requested_by
+    ? { id: row.requested_by, name: row.requester_name || row.requester_username || null }
+    : null,
+  file_name: row.file_name || null,
+  file_size: row.file_size !== null && row.file_size !== undefined ? Number(row.file_size) : null,
+  stats: (() => {
+    if (!row.stats) return null;
+    try {
+      return JSON.parse(row.stats);
+    } catch (error) {
+      return null;
+    }
+  })(),
+  error_message: row.error_message || null,
+  created_at: row.created_at,
+  started_at: row.started_at,
+  heartbeat_at: row.heartbeat_at || null,
+  completed_at: row.completed_at
+});
+
+const SELECT_EXPORT = `SELECT e.*, u.name as requester_name, u.username as requester_username
+  FROM content_exports e
+  LEFT JOIN users u ON e.requested_by = u.id`;
+
+class ContentExport {
+  // Gagal dengan ER_DUP_ENTRY jika masih ada job pending/processing (unique key running_slot)
+  static async create(requestedBy) {
+    const result = await executeQuery(
+      'INSERT INTO content_exports (status, requested_by) VALUES (?, ?)',
+      ['pending', requestedBy]
+    );
+    logger.info(`Content export job ${result.insertId} created by ${requestedBy}`);
+    return this.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const rows = await executeQuery(`${SELECT_EXPORT} WHERE e.id = ?`, [id]);
+    return formatExport(rows[0]);
+  }
+
+  static async findAll(limit = 20) {
+    const rows = await executeQuery(
+      `${SELECT_EXPORT} ORDER BY e.created_at DESC, e.id DESC LIMIT ?`,
+      [limit]
+    );
+    return rows.map(formatExport);
+  }
+
+  // Job yang masih berjalan; job yang lama tidak memberi heartbeat ditandai gagal lebih dulu
+  static async findRunning() {
+    await executeQuery(
+      `UPDATE content_exports
+       SET status = 'failed', error_message = 'Job terputus sebelum selesai', completed_at = NOW()
+       WHERE status IN ('pending', 'processing')
+       AND COALESCE(heartbeat_at, started_at, created_at) < DATE_SUB(NOW(), INTERVAL ${STALE_AFTER_MINUTES} MINUTE)`
+    );
+    const rows = await executeQuery(
+      `${SELECT_EXPORT} WHERE e.status IN ('pending', 'processing') ORDER BY e.id LIMIT 1`
+    );
+    return formatExport(rows[0]);
+  }
+
+  static async markProcessing(id) {
+    await executeQuery(
+      "UPDATE content_exports SET status = 'processing', started_at = NOW(), heartbeat_at = NOW() WHERE id = ?",
+      [id]
+    );
+  }
+
+  // Menandai job masih hidup; false jika job sudah tidak processing (misalnya ditandai terputus)
+  static async heartbeat(id) {
+    const result = await executeQuery(
+      "UPDATE content_exports SET heartbeat_at = NOW() WHERE id = ? AND status = 'processing'",
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Status akhir hanya ditulis untuk job yang masih processing agar tidak menimpa job yang sudah ditandai terputus
+  static async markCompleted(id, { fileName, fileSize, stats }) {
+    const result = await executeQuery(
+      `UPDATE content_exports
+       SET status = 'completed', file_name = ?, file_size = ?, stats = ?, error_message = NULL, completed_at = NOW()
+       WHERE id = ? AND status = 'processing'`,
+      [fileName, fileSize, JSON.stringify(stats), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async markFailed(id, message) {
+    const result = await executeQuery(
+      `UPDATE content_exports SET status = 'failed', error_message = ?, completed_at = NOW()
+       WHERE id = ? AND status IN ('pending', 'processing')`,
+      [String(message).slice(0, 1000), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async delete(id) {
+    const result = await executeQuery('DELETE FROM content_exports WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = ContentExport;
@@ -2,9 +2,16 @@ const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
 const { executeQuery } = require('../config/databaseConfig');
 const moment = require('moment');
-const UniqueLabel = require('./UniqueLabel');
 const PostLabel = require('./PostLabel');
+const PostAuthor = require('./PostAuthor');
+const PostSlugHistory = require('./PostSlugHistory');
 const crypto = require('crypto');
+const { sanitizeHtml } = require('../utils/htmlSanitizer');
+const { analyzeContent } = require('../utils/contentAnalysis');
+const { renderMarkdown } = require('../utils/markdownRenderer');
+const { htmlToMarkdown } = require('../utils/htmlToMarkdown');
+const { AppError } = require('../utils/errorHandler');
+const { DEFAULT_LANGUAGE, normalizeLanguage } = require('../utils/languageUtils');
 const db = require('../config/databaseConfig');
 
 const formatImageUrl = (imagePath) => {
@@ -13,6 +20,36 @@ const formatImageUrl = (imagePath) => {
   return `${process.env.BASE_URL}/uploads/${imagePath.split('/').pop()}`;
 };
 
+// Siapkan content sebelum disimpan: render Markdown bila perlu, sanitasi HTML lalu hitung statistik konten.
+// Laporan sanitasi dikembalikan ke editor sebagai `sanitization`; `source` berisi kolom format dan sumber Markdown
+const prepareContent = (content, contentFormat = 'html') => {
+  if (content === undefined || content === null) {
+    return { content, sanitization: { changed: false, removed: [] }, stats: {}, source: {} };
+  }
+
+  const isMarkdown = contentFormat === 'markdown';
+  const result = sanitizeHtml(isMarkdown ? renderMarkdown(content) : content);
+  if (result.changed) {
+    logger.info('Post content sanitized:', { removed: result.removed });
+  }
+
+  const analysis = analyzeContent(result.html);
+
+  return {
+    content: analysis.html,
+    sanitization: { changed: result.changed, removed: result.removed },
+    stats: {
+      word_count: analysis.word_count,
+      reading_time: analysis.reading_time,
+      toc: JSON.stringify(analysis.toc)
+    },
+    source: {
+      content_format: isMarkdown ? 'markdown' : 'html',
+      content_markdown: isMarkdown ? content : null
+    }
+  };
+};
+
 class Post {
   constructor(data) {
     this.id = data.id;
@@ -147,28 +184,64 @@ class Post {
     });
   }
 
-  static async saveVersion(postId, oldData) {
-    return executeQuery(async (connection) => {
-      // Hanya simpan content ke tabel post_versions
-      const insertQuery = `
-        INSERT INTO post_versions (
-          id,
-          post_id,
-          content,
-          created_at
-        ) VALUES (UUID(), ?, ?, CURRENT_TIMESTAMP)
-      `;
-
-      const values = [
-        postId,
-        oldData.content
-      ];
+  // Simpan snapshot post (sebelum diubah) ke tabel post_versions
+  static async saveVersion(postId, oldData, options = {}) {
+    const { createdBy = null, restoredFrom = null, connection = null } = options;
 
+    const insertQuery = `
+      INSERT INTO post_versions (
+        id,
+        post_id,
+        title,
+        excerpt,
+        content,
+        content_format,
+        content_markdown,
+        labels,
+        created_by,
+        restored_from,
+        revision,
+        created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+
+    const versionId = uuidv4();
+    const labels = Array.isArray(oldData.labels)
+      ? oldData.labels
+        .filter(label => label && label.id)
+        .map(label => ({ id: label.id, label: label.label }))
+      : null;
+
+    const values = [
+      versionId,
+      postId,
+      oldData.title !== undefined ? oldData.title : null,
+      oldData.excerpt !== undefined ? oldData.excerpt : null,
+      oldData.content,
+      oldData.content_format || 'html',
+      oldData.content_markdown || null,
+      labels ? JSON.stringify(labels) : null,
+      createdBy,
+      restoredFrom,
+      // Nomor versi post yang diwakili snapshot ini, dipakai untuk konflik edit
+      oldData.version || 1
+    ];
+
+    if (connection) {
       await connection.query(insertQuery, values);
+      return versionId;
+    }
+
+    await executeQuery(async (conn) => {
+      await conn.query(insertQuery, values);
     });
+    return versionId;
   }
 
   static async update(id, updateData) {
+    const { content: cleanContent, stats } = prepareContent(updateData.content);
+    updateData = { ...updateData, content: cleanContent, ...stats };
+
     return executeQuery(async (connection) => {
       try {
         // Start transaction
@@ -187,6 +260,9 @@ class Post {
             excerpt = ?,
             slug = ?,
             version = ?,
+            word_count = ?,
+            reading_time = ?,
+            toc = ?,
             updated_at = NOW()
            WHERE id = ? AND deleted_at IS NULL`,
           [
@@ -200,6 +276,9 @@ class Post {
             updateData.excerpt,
             updateData.slug,
             updateData.version,
+            updateData.word_count,
+            updateData.reading_time,
+            updateData.toc,
             id
           ]
         );
@@ -454,8 +533,11 @@ class Post {
         const offset = (page - 1) * limit;
 
         // Buat array untuk parameter WHERE
-        const whereConditions = ['p.author_id = ? AND p.deleted_at IS NULL'];
-        const queryParams = [authorId];
+        // Termasuk post di mana user tercatat sebagai co-author
+        const whereConditions = [
+          `${Post.AUTHORED_BY_SQL} AND p.deleted_at IS NULL`
+        ];
+        const queryParams = [authorId, authorId];
 
         // Tambahkan kondisi pencarian jika ada
         if (search) {
@@ -537,6 +619,12 @@ class Post {
           });
         }
 
+        // Daftar penulis (termasuk co-author) untuk setiap post
+        const authorsMap = await PostAuthor.getAuthorsForPosts(posts.map(post => post.id));
+        posts.forEach(post => {
+          post.authors = authorsMap[post.id] || [];
+        });
+
         // Hitung total post untuk pagination dengan filter yang sama
         const countQuery = `
           SELECT COUNT(DISTINCT p.id) as total
@@ -604,9 +692,15 @@ class Post {
       const query = `
         SELECT
           pv.id,
+          pv.title,
+          pv.excerpt,
           pv.content,
+          pv.created_by,
+          u.name as created_by_name,
+          pv.restored_from,
           pv.created_at
         FROM post_versions pv
+        LEFT JOIN users u ON pv.created_by = u.id
         WHERE pv.post_id = ?
         ORDER BY pv.created_at DESC
       `;
@@ -841,60 +935,57 @@ class Post {
     });
   }
 
-  static async findRelated(postId) {
+  /**
+   * Related post yang sudah dihitung RelatedPostsService, urut dari skor tertinggi.
+   * Post yang belum punya hasil perhitungan mendapat post terbaru dalam bahasa yang sama
+   * @param {string} postId
+   * @param {number} [limit=5]
+   * @returns {Promise<Array<{id: string, title: string, slug: string, excerpt: string, image: string, labels: Array}>>}
+   */
+  static async findRelated(postId, limit = 5) {
     return executeQuery(async (connection) => {
-      const post = await Post.findOne({ id: postId });
-      if (!post) return [];
-
-      const labelIds = post.labels && post.labels.length > 0 ? post.labels.map(label => label.id) : [];
-      const titleWords = post.title ? post.title.split(' ').map(word => word.replace(/[^\w\s]/gi, '')) : [];
-
-      // Jika tidak ada label atau kata-kata judul, kembalikan array kosong
-      if (labelIds.length === 0 && titleWords.length === 0) {
-        return [];
-      }
-
-      let query = `
-        SELECT p.*
-        FROM posts p
-        LEFT JOIN post_labels pl ON p.id = pl.post_id
-        WHERE p.id != ? AND (
-          ${labelIds.length > 0 ? 'pl.label_id IN (?)' : '1=0'}
-          ${titleWords.length > 0 ? 'OR ' + titleWords.map(() => 'p.title LIKE ?').join(' OR ') : ''}
-        )
-        GROUP BY p.id
-      `;
-
-      if (labelIds.length > 0) {
-        query += ` ORDER BY (
-          CASE WHEN pl.label_id IN (?) THEN 1 ELSE 0 END
-        ) DESC`;
-      }
-
-      if (titleWords.length > 0) {
-        query += `${labelIds.length > 0 ? ',' : ' ORDER BY'} (
-          ${titleWords.map(() => 'CASE WHEN p.title LIKE ? THEN 1 ELSE 0 END').join(' + ')}
-        ) DESC`;
-      }
-
-      query += ' LIMIT 5';
-
-      const params = [
-        postId,
-        ...(labelIds.length > 0 ? [labelIds] : []),
-        ...titleWords.map(word => `%${word}%`),
-        ...(labelIds.length > 0 ? [labelIds] : []),
-        ...titleWords.map(word => `%${word}%`)
-      ];
-
-      const [rows] = await connection.query(query, params);
-      const relatedPosts = [];
+      let [rows] = await connection.query(`
+        SELECT p.id, p.title, p.slug, p.excerpt, p.image, p.publish_date, p.created_at, pr.score
+        FROM post_related pr
+        JOIN posts p ON p.id = pr.related_post_id
+        WHERE pr.post_id = ?
+        AND p.status = 'published'
+        AND p.deleted_at IS NULL
+        AND ${this.EXPIRY_VISIBLE_SQL}
+        ORDER BY pr.score DESC
+        LIMIT ?
+      `, [postId, limit]);
 
-      for (const row of rows) {
-        const labels = await UniqueLabel.getLabelsForPost(row.id);
-        relatedPosts.push(this.mapRowToPost(row, labels));
+      if (rows.length === 0) {
+        [rows] = await connection.query(`
+          SELECT p.id, p.title, p.slug, p.excerpt, p.image, p.publish_date, p.created_at, NULL as score
+          FROM posts p
+          JOIN posts source ON source.id = ?
+          WHERE p.id != source.id
+          AND p.language = source.language
+          AND p.status = 'published'
+          AND p.deleted_at IS NULL
+          AND ${this.EXPIRY_VISIBLE_SQL}
+          ORDER BY COALESCE(p.publish_date, p.created_at) DESC
+          LIMIT ?
+        `, [postId, limit]);
       }
-      return relatedPosts;
+      if (rows.length === 0) return [];
+
+      const [labelRows] = await connection.query(`
+        SELECT pl.post_id, ul.id, ul.label
+        FROM post_labels pl
+        JOIN unique_labels ul ON pl.label_id = ul.id
+        WHERE pl.post_id IN (?)
+      `, [rows.map(row => row.id)]);
+
+      return rows.map(row => ({
+        ...row,
+        score: row.score !== null ? Number(row.score) : null,
+        labels: labelRows
+          .filter(label => label.post_id === row.id)
+          .map(label => ({ id: label.id, label: label.label }))
+      }));
     });
   }
 
@@ -964,6 +1055,112 @@ class Post {
     });
   }
 
+  // Rentang [start, end) untuk arsip tahun, bulan atau hari; memakai index (status, publish_date)
+  static getArchiveRange(year, month = null, day = null) {
+    const unit = day ? 'day' : month ? 'month' : 'year';
+    const start = moment({ year, month: month ? month - 1 : 0, date: day || 1 });
+    if (!start.isValid() || start.year() !== year) return null;
+    return {
+      start: start.format('YYYY-MM-DD HH:mm:ss'),
+      end: start.clone().add(1, unit).format('YYYY-MM-DD HH:mm:ss')
+    };
+  }
+
+  /**
+   * Post published dalam satu tahun, bulan atau hari, dengan bentuk data yang sama
+   * seperti getAllPublishedPosts (author_name dan labels)
+   * @param {Object} options
+   * @param {number} options.year
+   * @param {number} [options.month]
+   * @param {number} [options.day]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @param {string|null} [options.language] - Kode bahasa, null untuk semua bahasa
+   * @returns {Promise<{posts: Array, totalCount: number, totalPages: number}|null>} null jika tanggal tidak valid
+   */
+  static async getArchivePosts({ year, month = null, day = null, page = 1, limit = 20, language = null }) {
+    const range = this.getArchiveRange(year, month, day);
+    if (!range) return null;
+
+    return executeQuery(async (connection) => {
+      const offset = (page - 1) * limit;
+      const where = `
+        WHERE p.status = 'published'
+        AND p.deleted_at IS NULL
+        AND p.publish_date >= ? AND p.publish_date < ?
+        AND ${this.EXPIRY_VISIBLE_SQL}
+        ${language ? 'AND p.language = ?' : ''}
+      `;
+      const params = [range.start, range.end, ...(language ? [language] : [])];
+
+      const [posts] = await connection.query(`
+        SELECT
+          p.*,
+          u.name as author_name,
+          GROUP_CONCAT(
+            DISTINCT JSON_OBJECT(
+              'id', ul.id,
+              'label', ul.label
+            )
+          ) as labels
+        FROM posts p
+        LEFT JOIN users u ON p.author_id = u.id
+        LEFT JOIN post_labels pl ON p.id = pl.post_id
+        LEFT JOIN unique_labels ul ON pl.label_id = ul.id
+        ${where}
+        GROUP BY p.id, u.name
+        ORDER BY p.publish_date DESC, p.id DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+
+      const [countResult] = await connection.query(
+        `SELECT COUNT(*) as total FROM posts p ${where}`,
+        params
+      );
+
+      return {
+        posts: posts.map(post => ({
+          ...post,
+          labels: post.labels ? JSON.parse(`[${post.labels}]`).filter(label => label.id !== null) : []
+        })),
+        totalCount: countResult[0].total,
+        totalPages: Math.ceil(countResult[0].total / limit)
+      };
+    });
+  }
+
+  /**
+   * Jumlah post published per tahun dan bulan untuk sidebar arsip, terbaru lebih dulu
+   * @param {string|null} [language] - Kode bahasa, null untuk semua bahasa
+   * @returns {Promise<Array<{year: number, total: number, months: Array<{month: number, total: number}>}>>}
+   */
+  static async getArchiveIndex(language = null) {
+    const rows = await executeQuery(
+      `SELECT YEAR(p.publish_date) as year, MONTH(p.publish_date) as month, COUNT(*) as total
+      FROM posts p
+      WHERE p.status = 'published'
+      AND p.deleted_at IS NULL
+      AND p.publish_date IS NOT NULL
+      AND ${this.EXPIRY_VISIBLE_SQL}
+      ${language ? 'AND p.language = ?' : ''}
+      GROUP BY YEAR(p.publish_date), MONTH(p.publish_date)
+      ORDER BY year DESC, month DESC`,
+      language ? [language] : []
+    );
+
+    const years = [];
+    rows.forEach(row => {
+      let entry = years[years.length - 1];
+      if (!entry || entry.year !== row.year) {
+        entry = { year: row.year, total: 0, months: [] };
+        years.push(entry);
+      }
+      entry.total += Number(row.total);
+      entry.months.push({ month: row.month, total: Number(row.total) });
+    });
+    return years;
+  }
+
   static async getPostsByLabel(labelId, page = 1, limit = 20, sort = 'created_at:desc', status = null) {
     const [sortField, sortOrder] = sort.split(':');
     return executeQuery(async (connection) => {
@@ -1028,8 +1225,8 @@ class Post {
     });
   }
 
-  // Tambahkan fungsi generateUniqueSlug yang benar
-  static async generateUniqueSlug(title, existingId = null) {
+  // Tambahkan fungsi generateUniqueSlug yang benar. Slug cukup unik di dalam satu bahasa
+  static async generateUniqueSlug(title, existingId = null, language = DEFAULT_LANGUAGE) {
     return executeQuery(async (connection) => {
       // Buat base slug dari title
       let baseSlug = title
@@ -1050,15 +1247,13 @@ class Post {
       let slugExists = true;
 
       while (slugExists) {
-        const query = existingId
-          ? 'SELECT COUNT(*) as count FROM posts WHERE slug = ? AND id != ?'
-          : 'SELECT COUNT(*) as count FROM posts WHERE slug = ?';
-
-        const params = existingId
-          ? [finalSlug, existingId]
-          : [finalSlug];
-
-        const [result] = await connection.query(query, params);
+        // Slug lama milik post lain tidak boleh dipakai ulang
+        const [result] = await connection.query(
+          `SELECT
+            (SELECT COUNT(*) FROM posts WHERE slug = ? AND language = ? AND id != ?) +
+            (SELECT COUNT(*) FROM post_slug_history WHERE slug = ? AND language = ? AND post_id != ?) as count`,
+          [finalSlug, language, existingId || '', finalSlug, language, existingId || '']
+        );
 
         if (result[0].count === 0) {
           slugExists = false;
@@ -1300,9 +1495,9 @@ class Post {
 
   static async update(id, data) {
     try {
+      const { content, stats } = prepareContent(data.content);
       const {
         title,
-        content,
         status,
         publish_date,
         image,
@@ -1327,6 +1522,7 @@ class Post {
         is_featured: is_featured === '1' || is_featured === true ? 1 : 0,
         is_spotlight: is_spotlight === '1' || is_spotlight === true ? 1 : 0,
         slug,
+        ...stats,
         updated_at: moment().format('YYYY-MM-DD HH:mm:ss')
       };
 
@@ -1491,53 +1687,122 @@ class Post {
     });
   }
 
-  static async updatePost(id, updateData) {
-    return executeQuery(async (connection) => {
+  // expectedVersion (opsional) membuat update gagal dengan 409 jika post sudah diubah orang lain.
+  // snapshot ({ oldData, createdBy }) disimpan ke post_versions dalam transaksi yang sama,
+  // sehingga tidak ada snapshot yatim ketika update ditolak
+  static async updatePost(id, updateData, { expectedVersion = null, snapshot = null } = {}) {
+    const sanitization = await executeQuery(async (connection) => {
       // Validasi data
       if (!id) {
         throw new Error('Post ID is required');
       }
 
-      // Siapkan query update
-      let query = 'UPDATE posts SET ';
-      const updateFields = [];
-      const params = [];
+      await connection.beginTransaction();
+      try {
+        const result = await this.applyUpdate(connection, id, updateData, { expectedVersion, snapshot });
+        await connection.commit();
+        return result;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
 
-      // Tambahkan field yang akan diupdate
-      for (const [key, value] of Object.entries(updateData)) {
-        if (value !== undefined) {
-          updateFields.push(`${key} = ?`);
-          params.push(value);
-        }
+    // Ambil post yang sudah diupdate
+    const post = await this.getFullPostById(id);
+    return post && { ...post, sanitization };
+  }
+
+  // Bagian updatePost yang berjalan di dalam transaksi; mengembalikan laporan sanitasi
+  static async applyUpdate(connection, id, updateData, { expectedVersion, snapshot }) {
+    // Tanpa content_format, content ditafsirkan sesuai format post saat ini
+    let sanitization = { changed: false, removed: [] };
+    if (updateData.content !== undefined || updateData.content_format !== undefined) {
+      const [current] = await connection.query('SELECT content, content_format FROM posts WHERE id = ?', [id]);
+      const currentFormat = current[0] ? current[0].content_format || 'html' : 'html';
+      const contentFormat = updateData.content_format || currentFormat;
+
+      if (updateData.content !== undefined) {
+        const prepared = prepareContent(updateData.content, contentFormat);
+        sanitization = prepared.sanitization;
+        updateData = { ...updateData, content: prepared.content, ...prepared.stats, ...prepared.source };
+      } else if (contentFormat !== currentFormat) {
+        // Hanya pindah mode editor: HTML tetap, sumber Markdown diturunkan dari HTML yang ada
+        updateData = {
+          ...updateData,
+          content_format: contentFormat,
+          content_markdown: contentFormat === 'markdown' ? htmlToMarkdown(current[0] ? current[0].content : '') : null
+        };
+      }
+    }
+
+    // Slug lama disimpan supaya link yang sudah tersebar tetap bisa diarahkan
+    let previousSlug = null;
+    let previousLanguage = DEFAULT_LANGUAGE;
+    if (updateData.slug !== undefined) {
+      const [current] = await connection.query('SELECT slug, language FROM posts WHERE id = ?', [id]);
+      previousSlug = current[0] ? current[0].slug : null;
+      previousLanguage = current[0] ? current[0].language || DEFAULT_LANGUAGE : DEFAULT_LANGUAGE;
+    }
+
+    // Siapkan query update
+    let query = 'UPDATE posts SET ';
+    const updateFields = [];
+    const params = [];
+
+    // Tambahkan field yang akan diupdate
+    for (const [key, value] of Object.entries(updateData)) {
+      if (value !== undefined) {
+        updateFields.push(`${key} = ?`);
+        params.push(value);
       }
+    }
 
-      // Tambahkan updated_at
-      updateFields.push('updated_at = ?');
-      params.push(new Date());
+    // Tambahkan updated_at
+    updateFields.push('updated_at = ?');
+    params.push(new Date());
+    updateFields.push('version = COALESCE(version, 1) + 1');
 
-      // Gabungkan field update
-      query += updateFields.join(', ');
+    // Gabungkan field update
+    query += updateFields.join(', ');
 
-      // Tambahkan kondisi WHERE
-      query += ' WHERE id = ?';
-      params.push(id);
+    // Tambahkan kondisi WHERE
+    query += ' WHERE id = ?';
+    params.push(id);
 
-      // Eksekusi query
-      const [result] = await connection.query(query, params);
+    if (expectedVersion !== null) {
+      query += ' AND COALESCE(version, 1) = ?';
+      params.push(expectedVersion);
+    }
 
-      // Cek apakah update berhasil
-      if (result.affectedRows === 0) {
-        throw new Error('Post not found or no changes made');
+    // Eksekusi query
+    const [result] = await connection.query(query, params);
+
+    // Cek apakah update berhasil
+    if (result.affectedRows === 0) {
+      if (expectedVersion !== null) {
+        throw new AppError('Post sudah diubah oleh pengguna lain', 409);
       }
+      throw new Error('Post not found or no changes made');
+    }
 
-      // Ambil post yang sudah diupdate
-      return this.getFullPostById(id);
-    });
+    if (updateData.slug !== undefined) {
+      await PostSlugHistory.recordChange(id, previousSlug, updateData.slug, connection, previousLanguage);
+    }
+
+    if (snapshot) {
+      await this.saveVersion(id, snapshot.oldData, { createdBy: snapshot.createdBy, connection });
+    }
+
+    return sanitization;
   }
 
   // Fungsi untuk membuat post baru
-  static async createPost(postData) {
+  // onCreated(connection, postId) dijalankan di transaksi yang sama dengan insert post,
+  // sehingga data pendamping (misalnya mapping impor) ikut batal jika salah satunya gagal
+  static async createPost(postData, { onCreated = null } = {}) {
     return executeQuery(async (connection) => {
+      await connection.beginTransaction();
       try {
         // Generate UUID untuk id post
         const postId = crypto.randomUUID(); // Pastikan crypto sudah diimpor
@@ -1552,21 +1817,32 @@ class Post {
           excerpt,
           is_featured,
           is_spotlight,
-          image
+          image,
+          expires_at = null,
+          expiry_action = 'archive',
+          content_format = 'html',
+          translation_group = null
         } = postData;
+        const language = normalizeLanguage(postData.language) || DEFAULT_LANGUAGE;
 
-        // Generate slug dari title
-        const slug = this.generateSlug(title);
+        // Slug unik, termasuk terhadap slug lama post lain. postData.slug dipakai bila ada
+        // (misalnya slug asli dari WordPress) dan hanya diberi akhiran jika sudah terpakai
+        const slug = await this.generateUniqueSlug(postData.slug || title, null, language);
+
+        const { content: cleanContent, sanitization, stats, source } = prepareContent(content, content_format);
 
         // Query untuk insert post
         const [result] = await connection.query(
-          `INSERT INTO posts (id, title, content, image, publish_date, is_featured, is_spotlight, author_id, excerpt,
-slug, status)
-                       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          `INSERT INTO posts (id, title, content, content_format, content_markdown, image, publish_date, is_featured,
+is_spotlight, author_id, excerpt, slug, language, translation_group, status, word_count, reading_time, toc,
+expires_at, expiry_action)
+                       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             postId, // Gunakan UUID yang digenerate
             title,
-            content,
+            cleanContent,
+            source.content_format || 'html',
+            source.content_markdown || null,
             image,
             publish_date,
             is_featured ? 1 : 0,
@@ -1574,7 +1850,14 @@ slug, status)
             user_id, // Gunakan user_id sebagai author_id
             excerpt || '',
             slug,
-            status
+            language,
+            translation_group,
+            status,
+            stats.word_count || 0,
+            stats.reading_time || 0,
+            stats.toc || '[]',
+            expires_at,
+            expiry_action
           ]
         );
 
@@ -1613,15 +1896,49 @@ slug, status)
           }
         }
 
+        if (onCreated) {
+          await onCreated(connection, postId);
+        }
+        await connection.commit();
+
         // Ambil post yang baru dibuat dengan labels
-        return this.getFullPostById(postId);
+        const post = await this.getFullPostById(postId);
+        return post && { ...post, sanitization };
       } catch (error) {
+        await connection.rollback();
         console.error('Error in createPost:', error);
         throw error;
       }
     });
   }
 
+  // Salin post menjadi draft baru milik actorId; slug dibuat ulang lewat generateUniqueSlug di createPost.
+  // Featured/spotlight, jadwal dan expiry sengaja tidak ikut disalin
+  static async duplicate(postId, actorId) {
+    const source = await this.getFullPostById(postId);
+    if (!source || source.deleted_at) {
+      return null;
+    }
+
+    const post = await this.createPost({
+      title: `${source.title} (Salinan)`,
+      content: source.content_format === 'markdown' && source.content_markdown !== null ? source.content_markdown : source.content,
+      content_format: source.content_format === 'markdown' && source.content_markdown !== null ? 'markdown' : 'html',
+      language: source.language,
+      excerpt: source.excerpt,
+      image: source.image || '',
+      status: 'draft',
+      user_id: actorId,
+      publish_date: new Date(),
+      is_featured: 0,
+      is_spotlight: 0,
+      labels: source.labels.filter(label => label && label.id).map(label => label.id)
+    });
+
+    logger.info('Post duplicated:', { sourceId: postId, postId: post.id, actorId });
+    return post;
+  }
+
   // Fungsi untuk generate slug
   static generateSlug(title) {
     return title
@@ -1709,6 +2026,373 @@ slug, status)
       };
     });
   }
+
+  // Post dengan status published dan publish_date di masa depan disimpan sebagai scheduled
+  static resolveScheduledStatus(status, publishDate) {
+    if (status === 'published' && publishDate && moment(publishDate).isAfter(moment())) {
+      return 'scheduled';
+    }
+    return status;
+  }
+
+  // Field expiry dari request; null berarti masa tayang tidak dibatasi.
+  // expired_at direset supaya job memproses ulang post dengan expires_at yang baru
+  static resolveExpiry(expiresAt, expiryAction) {
+    const fields = {};
+
+    if (expiresAt !== undefined) {
+      fields.expires_at = expiresAt ? moment(expiresAt).format('YYYY-MM-DD HH:mm:ss') : null;
+      fields.expired_at = null;
+    }
+
+    if (expiryAction !== undefined && expiryAction !== null && expiryAction !== '') {
+      fields.expiry_action = expiryAction === 'flag' ? 'flag' : 'archive';
+    }
+
+    return fields;
+  }
+
+  // Ambil post terjadwal, urut dari yang paling dekat waktu terbitnya
+  static async getScheduledPosts(options = {}) {
+    const { page = 1, limit = 20, authorId = null } = options;
+    const offset = (page - 1) * limit;
+
+    return executeQuery(async (connection) => {
+      const whereConditions = ["p.status = 'scheduled'", 'p.deleted_at IS NULL'];
+      const params = [];
+
+      if (authorId) {
+        whereConditions.push('p.author_id = ?');
+        params.push(authorId);
+      }
+
+      const [posts] = await connection.query(`
+        SELECT p.id, p.title, p.slug, p.excerpt, p.image, p.status, p.publish_date,
+               p.created_at, p.updated_at, p.author_id, u.name as author_name
+        FROM posts p
+        LEFT JOIN users u ON p.author_id = u.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY p.publish_date ASC
+        LIMIT ? OFFSET ?
+      `, [...params, parseInt(limit), offset]);
+
+      const [countResult] = await connection.query(`
+        SELECT COUNT(*) as total
+        FROM posts p
+        WHERE ${whereConditions.join(' AND ')}
+      `, params);
+
+      const total = countResult[0].total;
+
+      return {
+        posts: posts.map(post => ({
+          ...post,
+          image: post.image ? formatImageUrl(post.image) : null
+        })),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          limit: parseInt(limit)
+        }
+      };
+    });
+  }
+
+  // Jadwalkan (atau jadwalkan ulang) post yang belum terbit
+  static async schedulePost(id, publishDate) {
+    return executeQuery(async (connection) => {
+      const [result] = await connection.query(`
+        UPDATE posts
+        SET status = 'scheduled',
+            publish_date = ?,
+            version = version + 1,
+            updated_at = NOW()
+        WHERE id = ?
+        AND deleted_at IS NULL
+        AND status != 'published'
+      `, [moment(publishDate).format('YYYY-MM-DD HH:mm:ss'), id]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return this.getFullPostById(id);
+    });
+  }
+
+  // Batalkan jadwal terbit, post dikembalikan menjadi draft
+  static async cancelSchedule(id) {
+    return executeQuery(async (connection) => {
+      const [result] = await connection.query(`
+        UPDATE posts
+        SET status = 'draft',
+            version = version + 1,
+            updated_at = NOW()
+        WHERE id = ?
+        AND status = 'scheduled'
+        AND deleted_at IS NULL
+      `, [id]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return this.getFullPostById(id);
+    });
+  }
+
+  // Terbitkan semua post terjadwal yang publish_date-nya sudah lewat
+  static async publishDueScheduledPosts() {
+    return executeQuery(async (connection) => {
+      const [duePosts] = await connection.query(`
+        SELECT id, title, slug, publish_date
+        FROM posts
+        WHERE status = 'scheduled'
+        AND publish_date <= NOW()
+        AND deleted_at IS NULL
+      `);
+
+      if (duePosts.length === 0) {
+        return [];
+      }
+
+      await connection.query(`
+        UPDATE posts
+        SET status = 'published',
+            version = version + 1,
+            updated_at = NOW()
+        WHERE id IN (?)
+        AND status = 'scheduled'
+      `, [duePosts.map(post => post.id)]);
+
+      return duePosts;
+    });
+  }
+
+  // Ambil satu versi milik post, labels di-parse dari JSON
+  static async getVersion(postId, versionId) {
+    return executeQuery(async (connection) => {
+      const [rows] = await connection.query(
+        'SELECT * FROM post_versions WHERE id = ? AND post_id = ?',
+        [versionId, postId]
+      );
+      if (!rows.length) return null;
+
+      return {
+        ...rows[0],
+        labels: rows[0].labels ? JSON.parse(rows[0].labels) : null
+      };
+    });
+  }
+
+  // Snapshot post_versions untuk nomor versi tertentu, yaitu isi post sebelum versi itu ditimpa
+  static async getVersionByRevision(postId, revision) {
+    return executeQuery(async (connection) => {
+      const [rows] = await connection.query(
+        `SELECT pv.id, pv.title, pv.excerpt, pv.content, pv.content_format, pv.content_markdown, pv.labels, pv.revision,
+          pv.created_by, u.name as created_by_name, pv.created_at
+        FROM post_versions pv
+        LEFT JOIN users u ON pv.created_by = u.id
+        WHERE pv.post_id = ? AND pv.revision = ?
+        ORDER BY pv.created_at DESC
+        LIMIT 1`,
+        [postId, revision]
+      );
+      if (!rows.length) return null;
+
+      return {
+        ...rows[0],
+        labels: rows[0].labels ? JSON.parse(rows[0].labels) : null
+      };
+    });
+  }
+
+  // Kembalikan post ke isi versi tertentu. Isi saat ini disimpan dulu sebagai versi baru
+  // sehingga restore bisa dibatalkan dan riwayat tidak hilang
+  static async restoreVersion(postId, versionId, actorId) {
+    const current = await this.getFullPostById(postId);
+    if (!current || current.deleted_at) {
+      return null;
+    }
+
+    const version = await this.getVersion(postId, versionId);
+    if (!version) {
+      return null;
+    }
+
+    await executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await this.saveVersion(postId, current, {
+          createdBy: actorId,
+          restoredFrom: versionId,
+          connection
+        });
+
+        // Snapshot Markdown dirender ulang dari sumbernya
+        const isMarkdown = version.content_format === 'markdown' && version.content_markdown !== null;
+        const { content, stats, source } = prepareContent(
+          isMarkdown ? version.content_markdown : version.content,
+          isMarkdown ? 'markdown' : 'html'
+        );
+
+        // Versi lama hanya menyimpan content, title dan excerpt dipertahankan bila kosong
+        await connection.query(
+          `UPDATE posts SET
+            content = ?,
+            content_format = ?,
+            content_markdown = ?,
+            title = COALESCE(?, title),
+            excerpt = COALESCE(?, excerpt),
+            word_count = ?,
+            reading_time = ?,
+            toc = ?,
+            version = version + 1,
+            updated_at = NOW()
+           WHERE id = ?`,
+          [
+            content,
+            source.content_format || 'html',
+            source.content_markdown || null,
+            version.title,
+            version.excerpt,
+            stats.word_count,
+            stats.reading_time,
+            stats.toc,
+            postId
+          ]
+        );
+
+        if (Array.isArray(version.labels)) {
+          await connection.query('DELETE FROM post_labels WHERE post_id = ?', [postId]);
+
+          // Label yang sudah dihapus dari unique_labels dilewati
+          const labelIds = version.labels.map(label => label.id);
+          if (labelIds.length > 0) {
+            await connection.query(
+              'INSERT INTO post_labels (post_id, label_id) SELECT ?, id FROM unique_labels WHERE id IN (?)',
+              [postId, labelIds]
+            );
+          }
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+
+    logger.info('Post restored from version:', { postId, versionId, actorId });
+    return this.getFullPostById(postId);
+  }
+
+  // Filter daftar post (status, label, featured/spotlight/regular, kata kunci) untuk alias tabel p.
+  // Dipakai bersama oleh getAllPosts dan operasi bulk supaya hasil filternya sama persis
+  static buildListFilters({ status = 'all', label_id = null, featured = 'all', search = '', language = null } = {}) {
+    const whereConditions = [];
+    const params = [];
+
+    if (language) {
+      whereConditions.push('p.language = ?');
+      params.push(language);
+    }
+
+    if (status && status !== 'all') {
+      whereConditions.push('p.status = ?');
+      params.push(status);
+    }
+
+    if (label_id) {
+      whereConditions.push(`
+        EXISTS (
+          SELECT 1 FROM post_labels pl
+          WHERE pl.post_id = p.id AND pl.label_id = ?
+        )
+      `);
+      params.push(label_id);
+    }
+
+    if (featured === 'featured') {
+      whereConditions.push('p.is_featured = 1');
+    } else if (featured === 'spotlight') {
+      whereConditions.push('p.is_spotlight = 1');
+    } else if (featured === 'regular') {
+      whereConditions.push('p.is_featured = 0 AND p.is_spotlight = 0');
+    }
+
+    if (search) {
+      whereConditions.push('(p.title LIKE ? OR p.content LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    return { whereConditions, params };
+  }
+
+  // Kondisi SQL post milik seorang user, sebagai penulis utama maupun co-author.
+  // Butuh dua parameter id user
+  static get AUTHORED_BY_SQL() {
+    return '(p.author_id = ? OR EXISTS (SELECT 1 FROM post_authors pa WHERE pa.post_id = p.id AND pa.user_id = ?))';
+  }
+
+  // Kondisi SQL untuk listing publik: post kedaluwarsa dengan expiry_action 'archive' disembunyikan
+  // meskipun job belum sempat mengarsipkannya
+  static get EXPIRY_VISIBLE_SQL() {
+    return "(p.expires_at IS NULL OR p.expires_at > NOW() OR p.expiry_action = 'flag')";
+  }
+
+  // Kolom turunan untuk menandai post yang tetap tampil setelah kedaluwarsa
+  static get EXPIRED_FLAG_SQL() {
+    return '(p.expires_at IS NOT NULL AND p.expires_at <= NOW()) AS is_expired';
+  }
+
+  // Proses post published yang expires_at-nya sudah lewat: diarsipkan atau hanya ditandai
+  static async expireDuePosts() {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [duePosts] = await connection.query(`
+          SELECT id, slug, expiry_action
+          FROM posts
+          WHERE status = 'published'
+          AND expires_at IS NOT NULL
+          AND expires_at <= NOW()
+          AND expired_at IS NULL
+          AND deleted_at IS NULL
+          FOR UPDATE
+        `);
+
+        if (duePosts.length > 0) {
+          const archiveIds = duePosts.filter(post => post.expiry_action !== 'flag').map(post => post.id);
+          const flagIds = duePosts.filter(post => post.expiry_action === 'flag').map(post => post.id);
+
+          if (archiveIds.length > 0) {
+            await connection.query(
+              `UPDATE posts
+              SET status = 'archived', expired_at = NOW(), is_featured = 0, is_spotlight = 0,
+                version = COALESCE(version, 1) + 1, updated_at = NOW()
+              WHERE id IN (?)`,
+              [archiveIds]
+            );
+          }
+
+          if (flagIds.length > 0) {
+            await connection.query(
+              'UPDATE posts SET expired_at = NOW(), version = COALESCE(version, 1) + 1 WHERE id IN (?)',
+              [flagIds]
+            );
+          }
+        }
+
+        await connection.commit();
+        return duePosts;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
 }
 
 module.exports = Post;
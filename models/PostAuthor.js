@@ -0,0 +1,124 @@
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+
+const AUTHOR_ROLES = ['author', 'contributor', 'photographer'];
+
+const formatAuthor = (row) => ({
+  id: row.user_id,
+  name: row.name || row.username || null,
+  username: row.username || null,
+  role: row.role || 'author',
+  sort_order: row.sort_order || 0
+});
+
+class PostAuthor {
+  static get ROLES() {
+    return AUTHOR_ROLES;
+  }
+
+  // Daftar penulis untuk beberapa post sekaligus, dikelompokkan per post_id.
+  // Post yang belum punya baris di post_authors memakai posts.author_id sebagai satu-satunya penulis
+  static async getAuthorsForPosts(postIds) {
+    try {
+      if (!postIds || postIds.length === 0) {
+        return {};
+      }
+
+      const rows = await executeQuery(
+        `SELECT pa.post_id, pa.user_id, pa.role, pa.sort_order, u.name, u.username
+        FROM post_authors pa
+        JOIN users u ON pa.user_id = u.id
+        WHERE pa.post_id IN (?)
+        ORDER BY pa.post_id, pa.sort_order ASC`,
+        [postIds]
+      );
+
+      const authorsMap = {};
+      rows.forEach(row => {
+        if (!authorsMap[row.post_id]) {
+          authorsMap[row.post_id] = [];
+        }
+        authorsMap[row.post_id].push(formatAuthor(row));
+      });
+
+      const missingIds = postIds.filter(id => !authorsMap[id]);
+      if (missingIds.length > 0) {
+        const primaryRows = await executeQuery(
+          `SELECT p.id as post_id, p.author_id as user_id, u.name, u.username
+          FROM posts p
+          JOIN users u ON p.author_id = u.id
+          WHERE p.id IN (?)`,
+          [missingIds]
+        );
+        primaryRows.forEach(row => {
+          authorsMap[row.post_id] = [formatAuthor(row)];
+        });
+      }
+
+      return authorsMap;
+    } catch (error) {
+      logger.error('Error getting post authors:', error);
+      throw error;
+    }
+  }
+
+  static async getAuthorsForPost(postId) {
+    const authorsMap = await this.getAuthorsForPosts([postId]);
+    return authorsMap[postId] || [];
+  }
+
+  // Penulis utama (posts.author_id) atau salah satu co-author
+  static async isAuthor(postId, userId) {
+    try {
+      const rows = await executeQuery(
+        `SELECT p.id
+        FROM posts p
+        WHERE p.id = ?
+        AND (
+          p.author_id = ?
+          OR EXISTS (SELECT 1 FROM post_authors pa WHERE pa.post_id = p.id AND pa.user_id = ?)
+        )`,
+        [postId, userId, userId]
+      );
+      return rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking post author:', error);
+      throw error;
+    }
+  }
+
+  // Ganti daftar penulis post; urutan array menjadi urutan tampil.
+  // Penulis utama selalu ikut di daftar supaya kepemilikan post tidak hilang
+  static async setAuthors(postId, primaryAuthorId, authors) {
+    const list = authors.map(author => ({
+      user_id: author.user_id,
+      role: author.role || 'author'
+    }));
+
+    if (!list.some(author => author.user_id === primaryAuthorId)) {
+      list.unshift({ user_id: primaryAuthorId, role: 'author' });
+    }
+
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM post_authors WHERE post_id = ?', [postId]);
+
+        const values = list.map((author, index) => [postId, author.user_id, author.role, index]);
+        await connection.query(
+          'INSERT INTO post_authors (post_id, user_id, role, sort_order) VALUES ?',
+          [values]
+        );
+
+        await connection.commit();
+        logger.info('Post authors updated:', { postId, count: list.length });
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error setting post authors:', error);
+        throw error;
+      }
+    });
+  }
+}
+
+module.exports = PostAuthor;
@@ -0,0 +1,128 @@
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+
+// Autosave untuk post yang belum pernah disimpan memakai key dari editor ("new:<draft_key>"),
+// post yang sudah ada memakai id post-nya
+const buildKey = ({ postId, draftKey }) => (postId ? postId : `new:${draftKey}`);
+
+const parseRow = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    labels: row.labels ? JSON.parse(row.labels) : []
+  };
+};
+
+class PostAutosave {
+  static buildKey(target) {
+    return buildKey(target);
+  }
+
+  // Simpan working copy milik user; satu baris per user per post.
+  // Field yang tidak dikirim (autosave parsial) mempertahankan nilai sebelumnya
+  static async save(userId, target, data) {
+    try {
+      const { title = null, content = null, excerpt = null, labels = null } = data;
+
+      await executeQuery(
+        `INSERT INTO post_autosaves
+        (id, autosave_key, post_id, user_id, title, content, excerpt, labels, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        ON DUPLICATE KEY UPDATE
+          title = COALESCE(VALUES(title), title),
+          content = COALESCE(VALUES(content), content),
+          excerpt = COALESCE(VALUES(excerpt), excerpt),
+          labels = COALESCE(VALUES(labels), labels),
+          updated_at = NOW()`,
+        [
+          uuidv4(),
+          buildKey(target),
+          target.postId || null,
+          userId,
+          title,
+          content,
+          excerpt,
+          Array.isArray(labels) ? JSON.stringify(labels) : null
+        ]
+      );
+
+      return this.get(userId, target);
+    } catch (error) {
+      logger.error('Error saving autosave:', error);
+      throw error;
+    }
+  }
+
+  // Ambil autosave terakhir, sekaligus waktu update post untuk mendeteksi autosave yang sudah basi
+  static async get(userId, target) {
+    try {
+      const rows = await executeQuery(
+        `SELECT a.*, p.updated_at as post_updated_at
+        FROM post_autosaves a
+        LEFT JOIN posts p ON a.post_id = p.id
+        WHERE a.user_id = ? AND a.autosave_key = ?`,
+        [userId, buildKey(target)]
+      );
+
+      const autosave = parseRow(rows[0]);
+      if (autosave) {
+        autosave.is_stale = Boolean(
+          autosave.post_updated_at && new Date(autosave.post_updated_at) > new Date(autosave.updated_at)
+        );
+      }
+      return autosave;
+    } catch (error) {
+      logger.error('Error getting autosave:', error);
+      throw error;
+    }
+  }
+
+  // Daftar autosave milik user, dipakai editor untuk memulihkan post baru yang belum tersimpan
+  static async listForUser(userId) {
+    try {
+      const rows = await executeQuery(
+        `SELECT a.id, a.autosave_key, a.post_id, a.title, a.excerpt, a.updated_at,
+                p.title as post_title
+        FROM post_autosaves a
+        LEFT JOIN posts p ON a.post_id = p.id
+        WHERE a.user_id = ?
+        ORDER BY a.updated_at DESC`,
+        [userId]
+      );
+
+      return rows.map(row => ({
+        ...row,
+        draft_key: row.post_id ? null : row.autosave_key.replace(/^new:/, '')
+      }));
+    } catch (error) {
+      logger.error('Error listing autosaves:', error);
+      throw error;
+    }
+  }
+
+  static async discard(userId, target) {
+    try {
+      const result = await executeQuery(
+        'DELETE FROM post_autosaves WHERE user_id = ? AND autosave_key = ?',
+        [userId, buildKey(target)]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error discarding autosave:', error);
+      throw error;
+    }
+  }
+
+  // Dipanggil setelah post disimpan lewat jalur normal
+  static async prune(userId, target) {
+    try {
+      await this.discard(userId, target);
+    } catch (error) {
+      // Gagal prune tidak boleh menggagalkan penyimpanan post
+      logger.warn('Failed to prune autosave:', { userId, key: buildKey(target), error: error.message });
+    }
+  }
+}
+
+module.exports = PostAutosave;
@@ -0,0 +1,204 @@
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const Post = require('./Post');
+const PostReview = require('./PostReview');
+
+// Batas jumlah post per permintaan supaya transaksi tidak terlalu lama mengunci tabel
+const MAX_BULK_ITEMS = 500;
+
+const BULK_ACTIONS = ['publish', 'archive', 'soft_delete', 'restore', 'add_label', 'remove_label', 'change_author'];
+
+const result = (id, status, message = null) => ({ id, success: status === 'updated', status, message });
+
+class PostBulkAction {
+  static get ACTIONS() {
+    return BULK_ACTIONS;
+  }
+
+  static get MAX_ITEMS() {
+    return MAX_BULK_ITEMS;
+  }
+
+  // Ambil id post dari filter yang sama dengan getAllPosts.
+  // Restore mencari di post terhapus, aksi lain hanya di post yang belum dihapus
+  static async resolveIds(filter, action) {
+    const { whereConditions, params } = Post.buildListFilters(filter);
+    whereConditions.push(action === 'restore' ? 'p.deleted_at IS NOT NULL' : 'p.deleted_at IS NULL');
+
+    const rows = await executeQuery(
+      `SELECT p.id FROM posts p
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY p.created_at DESC
+      LIMIT ?`,
+      [...params, MAX_BULK_ITEMS + 1]
+    );
+
+    if (rows.length > MAX_BULK_ITEMS) {
+      throw new AppError(`Filter mencakup lebih dari ${MAX_BULK_ITEMS} post, persempit filternya`, 400);
+    }
+
+    return rows.map(row => row.id);
+  }
+
+  // Validasi payload per aksi sebelum transaksi dimulai
+  static async validatePayload(action, payload = {}) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new AppError(`Aksi harus salah satu dari: ${BULK_ACTIONS.join(', ')}`, 400);
+    }
+
+    if (action === 'add_label' || action === 'remove_label') {
+      const rows = await executeQuery('SELECT id FROM unique_labels WHERE id = ?', [payload.label_id || 0]);
+      if (!rows.length) {
+        throw new AppError('Label tidak ditemukan', 400);
+      }
+    }
+
+    if (action === 'change_author') {
+      const rows = await executeQuery('SELECT id FROM users WHERE id = ?', [payload.author_id || '']);
+      if (!rows.length) {
+        throw new AppError('Penulis tidak ditemukan', 400);
+      }
+    }
+  }
+
+  static async applyToPost(connection, post, action, payload, actorId) {
+    const isDeleted = Boolean(post.deleted_at);
+
+    if (action === 'restore') {
+      if (!isDeleted) return result(post.id, 'skipped', 'Post tidak berada di trash');
+      await connection.query('UPDATE posts SET deleted_at = NULL WHERE id = ?', [post.id]);
+      return result(post.id, 'updated');
+    }
+
+    if (isDeleted) {
+      return result(post.id, 'skipped', 'Post sudah dihapus');
+    }
+
+    switch (action) {
+      case 'publish':
+      case 'archive': {
+        const toStatus = action === 'archive'
+          ? 'archived'
+          : Post.resolveScheduledStatus('published', post.publish_date);
+
+        if (post.status === toStatus) {
+          return result(post.id, 'skipped', `Status sudah ${toStatus}`);
+        }
+
+        await connection.query(
+          'UPDATE posts SET status = ?, version = COALESCE(version, 1) + 1, updated_at = NOW() WHERE id = ?',
+          [toStatus, post.id]
+        );
+        await PostReview.recordTransition({
+          postId: post.id,
+          fromStatus: post.status,
+          toStatus,
+          actorId,
+          note: 'Bulk action'
+        }, connection);
+        return result(post.id, 'updated');
+      }
+
+      case 'soft_delete':
+        await connection.query('UPDATE posts SET deleted_at = NOW() WHERE id = ?', [post.id]);
+        return result(post.id, 'updated');
+
+      case 'add_label': {
+        const [insert] = await connection.query(
+          `INSERT INTO post_labels (post_id, label_id)
+          SELECT ?, ? FROM DUAL
+          WHERE NOT EXISTS (SELECT 1 FROM post_labels WHERE post_id = ? AND label_id = ?)`,
+          [post.id, payload.label_id, post.id, payload.label_id]
+        );
+        return insert.affectedRows > 0
+          ? result(post.id, 'updated')
+          : result(post.id, 'skipped', 'Label sudah terpasang');
+      }
+
+      case 'remove_label': {
+        const [removal] = await connection.query(
+          'DELETE FROM post_labels WHERE post_id = ? AND label_id = ?',
+          [post.id, payload.label_id]
+        );
+        return removal.affectedRows > 0
+          ? result(post.id, 'updated')
+          : result(post.id, 'skipped', 'Label tidak terpasang');
+      }
+
+      case 'change_author': {
+        if (post.author_id === payload.author_id) {
+          return result(post.id, 'skipped', 'Penulis sudah sama');
+        }
+
+        await connection.query(
+          'UPDATE posts SET author_id = ?, version = COALESCE(version, 1) + 1, updated_at = NOW() WHERE id = ?',
+          [payload.author_id, post.id]
+        );
+
+        // Jika post punya daftar co-author, penulis utama lama diganti di urutan pertama
+        const [[{ total }]] = await connection.query(
+          'SELECT COUNT(*) as total FROM post_authors WHERE post_id = ?',
+          [post.id]
+        );
+        if (total > 0) {
+          await connection.query(
+            'DELETE FROM post_authors WHERE post_id = ? AND user_id IN (?, ?)',
+            [post.id, post.author_id, payload.author_id]
+          );
+          await connection.query(
+            "INSERT INTO post_authors (post_id, user_id, role, sort_order) VALUES (?, ?, 'author', 0)",
+            [post.id, payload.author_id]
+          );
+        }
+        return result(post.id, 'updated');
+      }
+
+      default:
+        return result(post.id, 'skipped', 'Aksi tidak dikenal');
+    }
+  }
+
+  // Jalankan satu aksi untuk banyak post dalam satu transaksi.
+  // Post yang tidak ditemukan atau tidak relevan dilewati; error database membatalkan semuanya
+  static async run(postIds, action, payload, actorId) {
+    const uniqueIds = [...new Set(postIds.map(String))];
+
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [posts] = await connection.query(
+          'SELECT id, status, author_id, publish_date, deleted_at FROM posts WHERE id IN (?) FOR UPDATE',
+          [uniqueIds]
+        );
+        const postsById = new Map(posts.map(post => [post.id, post]));
+
+        const results = [];
+        for (const id of uniqueIds) {
+          const post = postsById.get(id);
+          results.push(post
+            ? await this.applyToPost(connection, post, action, payload, actorId)
+            : result(id, 'not_found', 'Post tidak ditemukan'));
+        }
+
+        await connection.commit();
+
+        const summary = {
+          total: results.length,
+          updated: results.filter(item => item.status === 'updated').length,
+          skipped: results.filter(item => item.status === 'skipped').length,
+          not_found: results.filter(item => item.status === 'not_found').length
+        };
+
+        logger.info('Bulk post action applied:', { action, actorId, ...summary });
+        return { results, summary };
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error applying bulk post action:', { action, error: error.message });
+        throw error;
+      }
+    });
+  }
+}
+
+module.exports = PostBulkAction;
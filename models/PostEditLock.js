@@ -0,0 +1,125 @@
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+
+// Lock dilepas otomatis jika editor tidak mengirim heartbeat selama waktu ini
+const LOCK_TTL_SECONDS = 120;
+
+const formatLock = (row) => row && ({
+  post_id: row.post_id,
+  user: {
+    id: row.user_id,
+    name: row.name || row.username || null,
+    username: row.username || null
+  },
+  acquired_at: row.acquired_at,
+  heartbeat_at: row.heartbeat_at,
+  expires_at: row.expires_at,
+  taken_from: row.taken_from || null
+});
+
+class PostEditLock {
+  static get TTL_SECONDS() {
+    return LOCK_TTL_SECONDS;
+  }
+
+  // Lock yang masih aktif untuk sebuah post, atau null
+  static async getActive(postId, connection = null) {
+    const query = `SELECT l.*, u.name, u.username
+      FROM post_edit_locks l
+      LEFT JOIN users u ON l.user_id = u.id
+      WHERE l.post_id = ? AND l.expires_at > NOW()`;
+
+    if (connection) {
+      const [rows] = await connection.query(query, [postId]);
+      return formatLock(rows[0]);
+    }
+
+    const rows = await executeQuery(query, [postId]);
+    return formatLock(rows[0]);
+  }
+
+  // Ambil lock jika kosong, kedaluwarsa atau sudah dipegang user yang sama.
+  // force dipakai admin untuk merebut lock dari editor lain
+  static async acquire(postId, userId, { force = false } = {}) {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [rows] = await connection.query(
+          'SELECT user_id, expires_at > NOW() as is_active FROM post_edit_locks WHERE post_id = ? FOR UPDATE',
+          [postId]
+        );
+        const existing = rows[0];
+        const heldByOther = existing && existing.is_active && existing.user_id !== userId;
+
+        if (heldByOther && !force) {
+          await connection.rollback();
+          return { acquired: false, lock: await this.getActive(postId) };
+        }
+
+        const takenFrom = heldByOther ? existing.user_id : null;
+        const keepAcquiredAt = existing && existing.is_active && existing.user_id === userId;
+
+        await connection.query(
+          `INSERT INTO post_edit_locks (post_id, user_id, acquired_at, heartbeat_at, expires_at, taken_from)
+          VALUES (?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND), ?)
+          ON DUPLICATE KEY UPDATE
+            user_id = VALUES(user_id),
+            acquired_at = ${keepAcquiredAt ? 'acquired_at' : 'VALUES(acquired_at)'},
+            heartbeat_at = VALUES(heartbeat_at),
+            expires_at = VALUES(expires_at),
+            taken_from = VALUES(taken_from)`,
+          [postId, userId, LOCK_TTL_SECONDS, takenFrom]
+        );
+
+        const lock = await this.getActive(postId, connection);
+        await connection.commit();
+
+        if (takenFrom) {
+          logger.info('Post edit lock force-taken:', { postId, userId, takenFrom });
+        }
+
+        return { acquired: true, lock };
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error acquiring post edit lock:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Perpanjang lock milik user; null jika lock sudah hilang atau direbut orang lain
+  static async heartbeat(postId, userId) {
+    try {
+      const result = await executeQuery(
+        `UPDATE post_edit_locks
+        SET heartbeat_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+        WHERE post_id = ? AND user_id = ? AND expires_at > NOW()`,
+        [LOCK_TTL_SECONDS, postId, userId]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return this.getActive(postId);
+    } catch (error) {
+      logger.error('Error refreshing post edit lock:', error);
+      throw error;
+    }
+  }
+
+  static async release(postId, userId) {
+    try {
+      const result = await executeQuery(
+        'DELETE FROM post_edit_locks WHERE post_id = ? AND user_id = ?',
+        [postId, userId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error releasing post edit lock:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PostEditLock;
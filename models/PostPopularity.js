@@ -0,0 +1,164 @@
+const { executeQuery } = require('../config/databaseConfig');
+const Post = require('./Post');
+
+const ROLLUP_NAME = 'post_popularity';
+// View yang lebih baru dari ini belum dijumlahkan ke total, memberi waktu insert yang sedang berjalan selesai
+const SETTLE_SECONDS = 60;
+// Trending: bobot view turun setengah setiap 24 jam, hanya view 7 hari terakhir yang dihitung
+const TRENDING_HALF_LIFE_HOURS = 24;
+const TRENDING_WINDOW_DAYS = 7;
+
+// Kolom rollup untuk tiap periode "terpopuler"
+const PERIOD_COLUMNS = {
+  day: 'views_day',
+  week: 'views_week',
+  month: 'views_month',
+  all: 'views_total'
+};
+
+class PostPopularity {
+  static get PERIODS() {
+    return Object.keys(PERIOD_COLUMNS);
+  }
+
+  /**
+   * Hitung ulang jumlah view per periode dan skor trending dari post_views.
+   * Jendela hari/minggu/bulan dihitung ulang penuh (cukup 30 hari terakhir),
+   * sedangkan total hanya menambahkan view baru sejak watermark
+   * @returns {Promise<{rolledUpTo: Date}>} Batas viewed_at yang sudah masuk total
+   */
+  static async rollup() {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [[state]] = await connection.query(
+          'SELECT last_viewed_at FROM view_rollup_state WHERE name = ? FOR UPDATE',
+          [ROLLUP_NAME]
+        );
+        const [[{ until }]] = await connection.query(
+          'SELECT DATE_SUB(NOW(), INTERVAL ? SECOND) as until',
+          [SETTLE_SECONDS]
+        );
+        const since = state ? state.last_viewed_at : null;
+
+        await connection.query(
+          `INSERT INTO post_popularity (post_id, views_total)
+          SELECT post_id, COUNT(*) FROM post_views
+          WHERE viewed_at <= ? ${since ? 'AND viewed_at > ?' : ''}
+          GROUP BY post_id
+          ON DUPLICATE KEY UPDATE views_total = views_total + VALUES(views_total)`,
+          since ? [until, since] : [until]
+        );
+
+        await connection.query(
+          'UPDATE post_popularity SET views_day = 0, views_week = 0, views_month = 0, trending_score = 0 WHERE views_month > 0'
+        );
+        await connection.query(
+          `INSERT INTO post_popularity (post_id, views_day, views_week, views_month, trending_score)
+          SELECT
+            post_id,
+            SUM(viewed_at > DATE_SUB(NOW(), INTERVAL 1 DAY)),
+            SUM(viewed_at > DATE_SUB(NOW(), INTERVAL 7 DAY)),
+            COUNT(*),
+            SUM(CASE WHEN viewed_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+              THEN POW(0.5, TIMESTAMPDIFF(MINUTE, viewed_at, NOW()) / (60 * ?))
+              ELSE 0 END)
+          FROM post_views
+          WHERE viewed_at > DATE_SUB(NOW(), INTERVAL 30 DAY)
+          GROUP BY post_id
+          ON DUPLICATE KEY UPDATE
+            views_day = VALUES(views_day),
+            views_week = VALUES(views_week),
+            views_month = VALUES(views_month),
+            trending_score = VALUES(trending_score)`,
+          [TRENDING_WINDOW_DAYS, TRENDING_HALF_LIFE_HOURS]
+        );
+
+        await connection.query(
+          `INSERT INTO view_rollup_state (name, last_viewed_at) VALUES (?, ?)
+          ON DUPLICATE KEY UPDATE last_viewed_at = VALUES(last_viewed_at)`,
+          [ROLLUP_NAME, until]
+        );
+
+        await connection.commit();
+        return { rolledUpTo: until };
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Post terbit teratas berdasarkan rollup
+   * @param {Object} options
+   * @param {string} [options.period] - day, week, month atau all; tanpa period berarti trending
+   * @param {number} [options.limit=10]
+   * @param {number|null} [options.labelId]
+   * @param {string|null} [options.language]
+   * @returns {Promise<Array>}
+   */
+  static async getTopPosts({ period = null, limit = 10, labelId = null, language = null } = {}) {
+    const orderColumn = period ? PERIOD_COLUMNS[period] : 'trending_score';
+    if (!orderColumn) {
+      throw new Error(`Unknown popularity period: ${period}`);
+    }
+
+    return executeQuery(async (connection) => {
+      const params = [];
+      let filters = '';
+      if (labelId) {
+        filters += ' AND EXISTS (SELECT 1 FROM post_labels pl WHERE pl.post_id = p.id AND pl.label_id = ?)';
+        params.push(labelId);
+      }
+      if (language) {
+        filters += ' AND p.language = ?';
+        params.push(language);
+      }
+
+      const [posts] = await connection.query(`
+        SELECT
+          p.id, p.title, p.slug, p.excerpt, p.image, p.publish_date, p.language,
+          u.name as author_name,
+          pp.views_day, pp.views_week, pp.views_month, pp.views_total, pp.trending_score
+        FROM post_popularity pp
+        JOIN posts p ON p.id = pp.post_id
+        LEFT JOIN users u ON p.author_id = u.id
+        WHERE pp.${orderColumn} > 0
+        AND p.status = 'published'
+        AND p.deleted_at IS NULL
+        AND ${Post.EXPIRY_VISIBLE_SQL}
+        ${filters}
+        ORDER BY pp.${orderColumn} DESC, p.publish_date DESC
+        LIMIT ?
+      `, [...params, limit]);
+
+      if (posts.length === 0) return [];
+
+      const [labelRows] = await connection.query(`
+        SELECT pl.post_id, ul.id, ul.label
+        FROM post_labels pl
+        JOIN unique_labels ul ON pl.label_id = ul.id
+        WHERE pl.post_id IN (?)
+      `, [posts.map(post => post.id)]);
+
+      return posts.map(post => ({
+        ...post,
+        trending_score: Number(post.trending_score),
+        labels: labelRows
+          .filter(label => label.post_id === post.id)
+          .map(label => ({ id: label.id, label: label.label }))
+      }));
+    });
+  }
+
+  static async getLastRollupAt() {
+    const rows = await executeQuery(
+      'SELECT updated_at FROM view_rollup_state WHERE name = ?',
+      [ROLLUP_NAME]
+    );
+    return rows[0] ? rows[0].updated_at : null;
+  }
+}
+
+module.exports = PostPopularity;
@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+const TOKEN_TYPE = 'post-preview';
+
+// Secret dibedakan dari JWT_SECRET supaya token preview tidak pernah lolos sebagai token login.
+// Tanpa keduanya secret akan mudah ditebak, jadi preview ditolak sama sekali
+const getSecret = () => {
+  if (process.env.PREVIEW_TOKEN_SECRET) return process.env.PREVIEW_TOKEN_SECRET;
+  if (process.env.JWT_SECRET) return `${process.env.JWT_SECRET}:${TOKEN_TYPE}`;
+  throw new AppError('Link preview tidak tersedia: PREVIEW_TOKEN_SECRET atau JWT_SECRET belum dikonfigurasi', 503);
+};
+
+class PostPreview {
+  // Buat link preview; token ditandatangani dan id-nya (jti) dicatat supaya bisa dicabut
+  static async createLink({ postId, versionId = null, createdBy, expiresInHours }) {
+    try {
+      const id = uuidv4();
+      const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+      const token = jwt.sign(
+        { typ: TOKEN_TYPE, pid: postId, vid: versionId },
+        getSecret(),
+        { jwtid: id, expiresIn: `${expiresInHours}h` }
+      );
+
+      await executeQuery(
+        `INSERT INTO post_preview_links
+        (id, post_id, version_id, created_by, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, NOW())`,
+        [id, postId, versionId, createdBy, expiresAt]
+      );
+
+      return { id, token, post_id: postId, version_id: versionId, expires_at: expiresAt };
+    } catch (error) {
+      logger.error('Error creating preview link:', error);
+      throw error;
+    }
+  }
+
+  static async getLinksForPost(postId) {
+    try {
+      return await executeQuery(
+        `SELECT pl.id, pl.post_id, pl.version_id, pl.created_by, u.name as created_by_name,
+                pl.expires_at, pl.revoked_at, pl.view_count, pl.last_viewed_at, pl.created_at
+        FROM post_preview_links pl
+        LEFT JOIN users u ON pl.created_by = u.id
+        WHERE pl.post_id = ?
+        ORDER BY pl.created_at DESC`,
+        [postId]
+      );
+    } catch (error) {
+      logger.error('Error getting preview links:', error);
+      throw error;
+    }
+  }
+
+  static async revokeLink(postId, linkId) {
+    try {
+      const result = await executeQuery(
+        `UPDATE post_preview_links
+        SET revoked_at = NOW()
+        WHERE id = ? AND post_id = ? AND revoked_at IS NULL`,
+        [linkId, postId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error revoking preview link:', error);
+      throw error;
+    }
+  }
+
+  // Verifikasi token dan pastikan link belum dicabut atau kedaluwarsa.
+  // Mengembalikan { postId, versionId } atau null bila token tidak berlaku
+  static async resolveToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, getSecret());
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.typ !== TOKEN_TYPE || !payload.jti) {
+      return null;
+    }
+
+    const rows = await executeQuery(
+      `SELECT id, post_id, version_id
+      FROM post_preview_links
+      WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+      [payload.jti]
+    );
+
+    const link = rows[0];
+    if (!link || link.post_id !== payload.pid) {
+      return null;
+    }
+
+    await executeQuery(
+      'UPDATE post_preview_links SET view_count = view_count + 1, last_viewed_at = NOW() WHERE id = ?',
+      [link.id]
+    );
+
+    return { linkId: link.id, postId: link.post_id, versionId: link.version_id };
+  }
+}
+
+module.exports = PostPreview;
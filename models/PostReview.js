@@ -0,0 +1,212 @@
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const Post = require('./Post');
+const PostAuthor = require('./PostAuthor');
+
+// Status post yang menjadi bagian dari alur review editorial
+const REVIEW_STATUSES = ['submitted', 'in_review', 'changes_requested', 'rejected'];
+
+// Aksi review yang diizinkan beserta status asal, status tujuan dan role yang boleh menjalankannya
+const REVIEW_ACTIONS = {
+  submit: {
+    from: ['draft', 'changes_requested'],
+    to: 'submitted',
+    roles: ['writer', 'admin'],
+    requiresNote: false
+  },
+  withdraw: {
+    from: ['submitted'],
+    to: 'draft',
+    roles: ['writer', 'admin'],
+    requiresNote: false
+  },
+  start_review: {
+    from: ['submitted'],
+    to: 'in_review',
+    roles: ['admin'],
+    requiresNote: false
+  },
+  approve: {
+    from: ['submitted', 'in_review'],
+    to: 'published',
+    roles: ['admin'],
+    requiresNote: false
+  },
+  request_changes: {
+    from: ['submitted', 'in_review'],
+    to: 'changes_requested',
+    roles: ['admin'],
+    requiresNote: true
+  },
+  reject: {
+    from: ['submitted', 'in_review'],
+    to: 'rejected',
+    roles: ['admin'],
+    requiresNote: true
+  }
+};
+
+class PostReview {
+  static get STATUSES() {
+    return REVIEW_STATUSES;
+  }
+
+  static get ACTIONS() {
+    return REVIEW_ACTIONS;
+  }
+
+  // Writer tidak boleh mengubah status lewat endpoint update, hanya lewat aksi review
+  static resolveStatusForRole(role, requestedStatus, currentStatus) {
+    if (role === 'admin') {
+      return requestedStatus || currentStatus;
+    }
+    return currentStatus || 'draft';
+  }
+
+  // Catat perpindahan status; bisa memakai connection dari transaksi yang sedang berjalan
+  static async recordTransition({ postId, fromStatus, toStatus, actorId, note = null }, connection = null) {
+    const query = `
+      INSERT INTO post_review_events (id, post_id, from_status, to_status, actor_id, note, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, NOW())
+    `;
+    const params = [uuidv4(), postId, fromStatus || null, toStatus, actorId || null, note];
+
+    if (connection) {
+      await connection.query(query, params);
+      return;
+    }
+
+    await executeQuery(query, params);
+  }
+
+  // Jalankan aksi review terhadap post dalam satu transaksi
+  static async transition(postId, action, actor, note = null) {
+    const rule = REVIEW_ACTIONS[action];
+    if (!rule) {
+      throw new AppError('Aksi review tidak valid', 400);
+    }
+
+    if (!rule.roles.includes(actor.role)) {
+      throw new AppError('Anda tidak berhak menjalankan aksi review ini', 403);
+    }
+
+    if (rule.requiresNote && (!note || !note.trim())) {
+      throw new AppError('Catatan wajib diisi untuk aksi ini', 400);
+    }
+
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [rows] = await connection.query(
+          'SELECT id, status, author_id, publish_date FROM posts WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+          [postId]
+        );
+
+        const post = rows[0];
+        if (!post) {
+          throw new AppError('Post tidak ditemukan', 404);
+        }
+
+        if (actor.role !== 'admin' && !(await PostAuthor.isAuthor(postId, actor.id))) {
+          throw new AppError('Anda hanya dapat mengajukan review untuk post milik sendiri', 403);
+        }
+
+        if (!rule.from.includes(post.status)) {
+          throw new AppError(`Post dengan status ${post.status} tidak dapat di-${action.replace('_', ' ')}`, 409);
+        }
+
+        // Post yang disetujui dengan publish_date di masa depan menunggu jadwal terbit
+        const toStatus = Post.resolveScheduledStatus(rule.to, post.publish_date);
+
+        await connection.query(
+          'UPDATE posts SET status = ?, version = COALESCE(version, 1) + 1, updated_at = NOW() WHERE id = ?',
+          [toStatus, postId]
+        );
+
+        await this.recordTransition({
+          postId,
+          fromStatus: post.status,
+          toStatus,
+          actorId: actor.id,
+          note: note ? note.trim() : null
+        }, connection);
+
+        await connection.commit();
+
+        logger.info('Post review transition:', {
+          postId,
+          action,
+          from: post.status,
+          to: toStatus,
+          actorId: actor.id
+        });
+
+        return { id: postId, from_status: post.status, status: toStatus };
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  // Riwayat perpindahan status sebuah post, terbaru di atas
+  static async getHistory(postId) {
+    return executeQuery(async (connection) => {
+      const [rows] = await connection.query(`
+        SELECT e.id, e.post_id, e.from_status, e.to_status, e.note, e.created_at,
+               e.actor_id, u.name as actor_name
+        FROM post_review_events e
+        LEFT JOIN users u ON e.actor_id = u.id
+        WHERE e.post_id = ?
+        ORDER BY e.created_at DESC
+      `, [postId]);
+      return rows;
+    });
+  }
+
+  // Antrian review untuk admin, yang paling lama menunggu di atas
+  static async getQueue(options = {}) {
+    const { page = 1, limit = 20, status = null } = options;
+    const offset = (page - 1) * limit;
+    const statuses = status ? [status] : ['submitted', 'in_review'];
+
+    return executeQuery(async (connection) => {
+      const [posts] = await connection.query(`
+        SELECT p.id, p.title, p.slug, p.excerpt, p.status, p.publish_date,
+               p.created_at, p.updated_at, p.author_id, u.name as author_name,
+               (
+                 SELECT MAX(e.created_at)
+                 FROM post_review_events e
+                 WHERE e.post_id = p.id AND e.to_status = 'submitted'
+               ) as submitted_at
+        FROM posts p
+        LEFT JOIN users u ON p.author_id = u.id
+        WHERE p.status IN (?)
+        AND p.deleted_at IS NULL
+        ORDER BY submitted_at ASC, p.updated_at ASC
+        LIMIT ? OFFSET ?
+      `, [statuses, parseInt(limit), offset]);
+
+      const [countResult] = await connection.query(
+        'SELECT COUNT(*) as total FROM posts WHERE status IN (?) AND deleted_at IS NULL',
+        [statuses]
+      );
+
+      const total = countResult[0].total;
+
+      return {
+        posts,
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          limit: parseInt(limit)
+        }
+      };
+    });
+  }
+}
+
+module.exports = PostReview;
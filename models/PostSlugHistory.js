@@ -0,0 +1,48 @@
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { DEFAULT_LANGUAGE } = require('../utils/languageUtils');
+
+class PostSlugHistory {
+  // Catat perubahan slug. Slug lama disimpan untuk redirect; jika post kembali memakai
+  // salah satu slug lamanya, baris history-nya dihapus karena slug itu aktif lagi
+  static async recordChange(postId, oldSlug, newSlug, connection, language = DEFAULT_LANGUAGE) {
+    if (!oldSlug || oldSlug === newSlug) {
+      return;
+    }
+
+    await connection.query(
+      'INSERT IGNORE INTO post_slug_history (slug, language, post_id, created_at) VALUES (?, ?, ?, NOW())',
+      [oldSlug, language, postId]
+    );
+    await connection.query(
+      'DELETE FROM post_slug_history WHERE slug = ? AND post_id = ?',
+      [newSlug, postId]
+    );
+
+    logger.info('Post slug changed:', { postId, from: oldSlug, to: newSlug });
+  }
+
+  // Cari slug terbaru dari slug lama; hanya untuk post yang masih bisa dilihat publik.
+  // Slug lama yang sama bisa ada di beberapa bahasa, bahasa yang diminta didahulukan
+  static async resolveCurrentSlug(oldSlug, language = null) {
+    try {
+      const rows = await executeQuery(
+        `SELECT p.id, p.slug, p.language
+        FROM post_slug_history h
+        JOIN posts p ON h.post_id = p.id
+        WHERE h.slug = ?
+        AND p.status = 'published'
+        AND p.deleted_at IS NULL
+        ORDER BY h.language = ? DESC, h.language = ? DESC
+        LIMIT 1`,
+        [oldSlug, language, DEFAULT_LANGUAGE]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error resolving old slug:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PostSlugHistory;
@@ -0,0 +1,152 @@
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { sanitizeHtml } = require('../utils/htmlSanitizer');
+
+const TEMPLATE_STATUSES = ['draft', 'submitted', 'published'];
+
+// Placeholder judul, diformat dalam bahasa Indonesia
+const TITLE_PLACEHOLDERS = {
+  tanggal: date => date.format('D MMMM YYYY'),
+  hari: date => date.format('dddd'),
+  bulan: date => date.format('MMMM'),
+  tahun: date => date.format('YYYY'),
+  minggu: date => date.format('w')
+};
+
+const parseLabels = (value) => {
+  if (!value) return [];
+  try {
+    const labels = JSON.parse(value);
+    return Array.isArray(labels) ? labels : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const formatTemplate = (row) => row && ({
+  ...row,
+  default_labels: parseLabels(row.default_labels)
+});
+
+class PostTemplate {
+  static get STATUSES() {
+    return TEMPLATE_STATUSES;
+  }
+
+  // Isi placeholder {tanggal}, {hari}, {bulan}, {tahun} dan {minggu}; placeholder lain dibiarkan
+  static renderTitle(pattern, date = new Date()) {
+    const target = moment(date).locale('id');
+    return pattern.replace(/\{(\w+)\}/g, (match, key) => (
+      TITLE_PLACEHOLDERS[key] ? TITLE_PLACEHOLDERS[key](target) : match
+    ));
+  }
+
+  static async findAll() {
+    try {
+      const rows = await executeQuery(
+        `SELECT t.*, u.name as created_by_name
+        FROM post_templates t
+        LEFT JOIN users u ON t.created_by = u.id
+        ORDER BY t.name ASC`
+      );
+      return rows.map(formatTemplate);
+    } catch (error) {
+      logger.error('Error getting post templates:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const rows = await executeQuery('SELECT * FROM post_templates WHERE id = ?', [id]);
+      return formatTemplate(rows[0]) || null;
+    } catch (error) {
+      logger.error(`Error getting post template with id ${id}:`, error);
+      throw error;
+    }
+  }
+
+  // Hanya label yang masih ada di unique_labels yang disimpan
+  static async filterExistingLabels(labelIds) {
+    if (!Array.isArray(labelIds) || labelIds.length === 0) return [];
+    const rows = await executeQuery('SELECT id FROM unique_labels WHERE id IN (?)', [labelIds]);
+    return rows.map(row => row.id);
+  }
+
+  static async create(data, createdBy) {
+    try {
+      const id = uuidv4();
+      const labels = await this.filterExistingLabels(data.default_labels);
+
+      await executeQuery(
+        `INSERT INTO post_templates
+        (id, name, description, title_pattern, content, excerpt, default_labels, default_status, created_by,
+        created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          id,
+          data.name,
+          data.description || null,
+          data.title_pattern,
+          sanitizeHtml(data.content || '').html,
+          data.excerpt || null,
+          JSON.stringify(labels),
+          data.default_status || 'draft',
+          createdBy
+        ]
+      );
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error creating post template:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const current = await this.findById(id);
+      if (!current) return null;
+
+      const labels = data.default_labels !== undefined
+        ? await this.filterExistingLabels(data.default_labels)
+        : current.default_labels;
+
+      await executeQuery(
+        `UPDATE post_templates
+        SET name = ?, description = ?, title_pattern = ?, content = ?, excerpt = ?, default_labels = ?,
+        default_status = ?, updated_at = NOW()
+        WHERE id = ?`,
+        [
+          data.name !== undefined ? data.name : current.name,
+          data.description !== undefined ? data.description : current.description,
+          data.title_pattern !== undefined ? data.title_pattern : current.title_pattern,
+          data.content !== undefined ? sanitizeHtml(data.content || '').html : current.content,
+          data.excerpt !== undefined ? data.excerpt : current.excerpt,
+          JSON.stringify(labels),
+          data.default_status !== undefined ? data.default_status : current.default_status,
+          id
+        ]
+      );
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error(`Error updating post template with id ${id}:`, error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const result = await executeQuery('DELETE FROM post_templates WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error(`Error deleting post template with id ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PostTemplate;
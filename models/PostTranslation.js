@@ -0,0 +1,125 @@
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { SUPPORTED_LANGUAGES } = require('../utils/languageUtils');
+const Post = require('./Post');
+
+// Terjemahan dikelompokkan lewat posts.translation_group. Id grup diambil dari id post
+// pertama yang dihubungkan; satu grup hanya boleh punya satu post per bahasa
+class PostTranslation {
+  /**
+   * Daftar terjemahan lain dari sebuah post
+   * @param {string} postId
+   * @param {Object} [options]
+   * @param {boolean} [options.publicOnly=false] - Hanya terjemahan yang sudah terbit dan belum kedaluwarsa
+   * @returns {Promise<Array<{id: string, title: string, slug: string, language: string, language_name: string, status: string}>>}
+   */
+  static async getForPost(postId, { publicOnly = false } = {}) {
+    const rows = await executeQuery(
+      `SELECT p.id, p.title, p.slug, p.language, p.status, p.publish_date
+      FROM posts source
+      JOIN posts p ON p.translation_group = source.translation_group AND p.id != source.id
+      WHERE source.id = ?
+      AND source.translation_group IS NOT NULL
+      AND p.deleted_at IS NULL
+      ${publicOnly ? `AND p.status = 'published' AND ${Post.EXPIRY_VISIBLE_SQL}` : ''}
+      ORDER BY p.language`,
+      [postId]
+    );
+
+    return rows.map(row => ({
+      ...row,
+      language_name: SUPPORTED_LANGUAGES[row.language] || row.language
+    }));
+  }
+
+  // Hubungkan targetId sebagai terjemahan postId
+  static async link(postId, targetId) {
+    if (postId === targetId) {
+      throw new AppError('Post tidak bisa menjadi terjemahan dirinya sendiri', 400);
+    }
+
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [posts] = await connection.query(
+          'SELECT id, language, translation_group FROM posts WHERE id IN (?) AND deleted_at IS NULL FOR UPDATE',
+          [[postId, targetId]]
+        );
+        const source = posts.find(post => post.id === postId);
+        const target = posts.find(post => post.id === targetId);
+
+        if (!source || !target) {
+          throw new AppError('Post atau terjemahannya tidak ditemukan', 404);
+        }
+        if (source.language === target.language) {
+          throw new AppError('Terjemahan harus memakai bahasa yang berbeda', 400);
+        }
+
+        const group = source.translation_group || source.id;
+        if (target.translation_group && target.translation_group !== group) {
+          throw new AppError('Post tersebut sudah terhubung dengan terjemahan lain', 409);
+        }
+
+        const [sameLanguage] = await connection.query(
+          `SELECT id FROM posts
+          WHERE translation_group = ? AND language = ? AND id != ? AND deleted_at IS NULL
+          FOR UPDATE`,
+          [group, target.language, target.id]
+        );
+        if (sameLanguage.length > 0) {
+          throw new AppError(`Sudah ada terjemahan dalam bahasa ${SUPPORTED_LANGUAGES[target.language] || target.language}`, 409);
+        }
+
+        await connection.query(
+          'UPDATE posts SET translation_group = ? WHERE id IN (?)',
+          [group, [source.id, target.id]]
+        );
+
+        await connection.commit();
+        logger.info('Post translation linked:', { postId, targetId, group });
+        return group;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  // Lepaskan post dari grup terjemahannya. Grup yang tinggal satu anggota ikut dibubarkan
+  static async unlink(postId) {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [rows] = await connection.query(
+          'SELECT translation_group FROM posts WHERE id = ? FOR UPDATE',
+          [postId]
+        );
+        const group = rows[0] ? rows[0].translation_group : null;
+        if (!group) {
+          await connection.rollback();
+          return false;
+        }
+
+        await connection.query('UPDATE posts SET translation_group = NULL WHERE id = ?', [postId]);
+
+        const [remaining] = await connection.query(
+          'SELECT id FROM posts WHERE translation_group = ? FOR UPDATE',
+          [group]
+        );
+        if (remaining.length === 1) {
+          await connection.query('UPDATE posts SET translation_group = NULL WHERE id = ?', [remaining[0].id]);
+        }
+
+        await connection.commit();
+        logger.info('Post translation unlinked:', { postId, group });
+        return true;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+}
+
+module.exports = PostTranslation;
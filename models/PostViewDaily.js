@@ -0,0 +1,145 @@
+const moment = require('moment');
+const { executeQuery } = require('../config/databaseConfig');
+
+const ROLLUP_NAME = 'post_view_daily';
+const TOP_REFERRERS = 10;
+
+class PostViewDaily {
+  /**
+   * Rollup post_views ke tabel harian. Hari sejak rollup terakhir (termasuk hari ini)
+   * dihitung ulang penuh, sehingga menjalankannya berulang kali tetap aman
+   * @returns {Promise<{fromDate: string|null}>} Tanggal pertama yang dihitung ulang
+   */
+  static async rollup() {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [[state]] = await connection.query(
+          'SELECT last_viewed_at FROM view_rollup_state WHERE name = ? FOR UPDATE',
+          [ROLLUP_NAME]
+        );
+        const [[{ until }]] = await connection.query('SELECT NOW() as until');
+
+        // Rollup pertama mengisi seluruh riwayat post_views
+        const fromDate = state && state.last_viewed_at
+          ? moment(state.last_viewed_at).format('YYYY-MM-DD')
+          : null;
+        const dateFilter = fromDate ? 'WHERE viewed_at >= ?' : '';
+        const dateParams = fromDate ? [`${fromDate} 00:00:00`] : [];
+
+        for (const table of ['post_view_daily', 'post_view_daily_referrers', 'post_view_daily_devices']) {
+          await connection.query(
+            `DELETE FROM ${table} ${fromDate ? 'WHERE view_date >= ?' : ''}`,
+            fromDate ? [fromDate] : []
+          );
+        }
+
+        await connection.query(
+          `INSERT INTO post_view_daily (post_id, view_date, views, unique_visitors)
+          SELECT post_id, DATE(viewed_at), COUNT(*), COUNT(DISTINCT viewer_ip)
+          FROM post_views
+          ${dateFilter}
+          GROUP BY post_id, DATE(viewed_at)`,
+          dateParams
+        );
+        await connection.query(
+          `INSERT INTO post_view_daily_referrers (post_id, view_date, referrer_domain, views)
+          SELECT post_id, DATE(viewed_at), COALESCE(referrer_domain, ''), COUNT(*)
+          FROM post_views
+          ${dateFilter}
+          GROUP BY post_id, DATE(viewed_at), COALESCE(referrer_domain, '')`,
+          dateParams
+        );
+        await connection.query(
+          `INSERT INTO post_view_daily_devices (post_id, view_date, device_class, views)
+          SELECT post_id, DATE(viewed_at), COALESCE(device_class, 'unknown'), COUNT(*)
+          FROM post_views
+          ${dateFilter}
+          GROUP BY post_id, DATE(viewed_at), COALESCE(device_class, 'unknown')`,
+          dateParams
+        );
+
+        await connection.query(
+          `INSERT INTO view_rollup_state (name, last_viewed_at) VALUES (?, ?)
+          ON DUPLICATE KEY UPDATE last_viewed_at = VALUES(last_viewed_at)`,
+          [ROLLUP_NAME, until]
+        );
+
+        await connection.commit();
+        return { fromDate };
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Statistik kunjungan harian satu post dalam rentang tanggal (inklusif)
+   * @param {string} postId
+   * @param {Object} range
+   * @param {string} range.from - YYYY-MM-DD
+   * @param {string} range.to - YYYY-MM-DD
+   * @returns {Promise<Object>} totals, daily (hari tanpa view bernilai 0), referrers dan devices
+   */
+  static async getAnalytics(postId, { from, to }) {
+    const [dailyRows, referrerRows, deviceRows] = await Promise.all([
+      executeQuery(
+        `SELECT DATE_FORMAT(view_date, '%Y-%m-%d') as date, views, unique_visitors
+        FROM post_view_daily
+        WHERE post_id = ? AND view_date BETWEEN ? AND ?
+        ORDER BY view_date`,
+        [postId, from, to]
+      ),
+      executeQuery(
+        `SELECT referrer_domain, SUM(views) as views
+        FROM post_view_daily_referrers
+        WHERE post_id = ? AND view_date BETWEEN ? AND ?
+        GROUP BY referrer_domain
+        ORDER BY views DESC
+        LIMIT ?`,
+        [postId, from, to, TOP_REFERRERS]
+      ),
+      executeQuery(
+        `SELECT device_class, SUM(views) as views
+        FROM post_view_daily_devices
+        WHERE post_id = ? AND view_date BETWEEN ? AND ?
+        GROUP BY device_class
+        ORDER BY views DESC`,
+        [postId, from, to]
+      )
+    ]);
+
+    const byDate = new Map(dailyRows.map(row => [row.date, row]));
+    const daily = [];
+    for (let day = moment(from); !day.isAfter(to, 'day'); day.add(1, 'day')) {
+      const date = day.format('YYYY-MM-DD');
+      const row = byDate.get(date);
+      daily.push({
+        date,
+        views: row ? Number(row.views) : 0,
+        unique_visitors: row ? Number(row.unique_visitors) : 0
+      });
+    }
+
+    return {
+      range: { from, to },
+      totals: {
+        views: daily.reduce((sum, day) => sum + day.views, 0),
+        // Jumlah pengunjung unik per hari; pengunjung yang sama di hari berbeda dihitung lagi
+        unique_visitors: daily.reduce((sum, day) => sum + day.unique_visitors, 0)
+      },
+      daily,
+      referrers: referrerRows.map(row => ({
+        domain: row.referrer_domain || null,
+        views: Number(row.views)
+      })),
+      devices: deviceRows.map(row => ({
+        device: row.device_class,
+        views: Number(row.views)
+      }))
+    };
+  }
+}
+
+module.exports = PostViewDaily;
@@ -0,0 +1,320 @@
+const { executeQuery, redis } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+
+const MATCH_TYPES = ['exact', 'prefix', 'regex'];
+const STATUS_CODES = [301, 302, 307, 308];
+
+// Semua aturan aktif di-cache sebagai satu key; redis di sini bisa berupa in-memory fallback
+const CACHE_KEY = 'redirect_rules:active';
+const CACHE_TTL = 3600;
+// Path lebih panjang dari ini tidak dicocokkan; lookup terbuka untuk publik
+const MAX_PATH_LENGTH = 2048;
+
+// Path dibandingkan tanpa query string dan tanpa slash di akhir
+const normalizePath = (path) => {
+  if (!path) return '/';
+  let normalized = String(path).trim().split(/[?#]/)[0];
+  if (!normalized.startsWith('/')) normalized = `/${normalized}`;
+  if (normalized.length > 1) normalized = normalized.replace(/\/+$/, '');
+  return normalized || '/';
+};
+
+const compileRegex = (source) => {
+  try {
+    return new RegExp(source);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Regex hasil kompilasi per source, supaya lookup tidak mengompilasi ulang setiap request
+const compiledRegexes = new Map();
+const getCompiledRegex = (source) => {
+  if (!compiledRegexes.has(source)) {
+    compiledRegexes.set(source, compileRegex(source));
+  }
+  return compiledRegexes.get(source);
+};
+
+// Kuantifier yang bisa diulang tanpa batas: *, +, atau {n,} / {n,m} dengan m > 1
+const readQuantifier = (source, index) => {
+  const char = source[index];
+  if (char === '*' || char === '+') return true;
+  if (char !== '{') return false;
+  const match = source.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+  return Boolean(match && match[2] && (match[3] === '' || parseInt(match[3], 10) > 1));
+};
+
+/**
+ * Deteksi pola yang rawan backtracking berlebihan: grup berkuantifier yang di dalamnya
+ * ada kuantifier lain atau alternasi, misalnya (a+)+, (.*)* atau (a|ab)+
+ * @param {string} source
+ * @returns {boolean}
+ */
+const hasNestedQuantifier = (source) => {
+  const groups = [{ quantified: false, alternation: false }];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = readQuantifier(source, i + 1);
+      if (repeated && (group.quantified || group.alternation)) return true;
+      if (repeated || group.quantified) groups[groups.length - 1].quantified = true;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+    } else if (readQuantifier(source, i)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return false;
+};
+
+class RedirectRule {
+  static get MATCH_TYPES() {
+    return MATCH_TYPES;
+  }
+
+  static get STATUS_CODES() {
+    return STATUS_CODES;
+  }
+
+  static get MAX_PATH_LENGTH() {
+    return MAX_PATH_LENGTH;
+  }
+
+  static normalizePath(path) {
+    return normalizePath(path);
+  }
+
+  // Kembalikan pesan error validasi, atau null jika aturan valid
+  static validate({ source, target, match_type: matchType = 'exact', status_code: statusCode = 301 }) {
+    if (!source || !target) {
+      return 'source dan target wajib diisi';
+    }
+    if (!MATCH_TYPES.includes(matchType)) {
+      return `match_type harus salah satu dari: ${MATCH_TYPES.join(', ')}`;
+    }
+    if (!STATUS_CODES.includes(parseInt(statusCode))) {
+      return `status_code harus salah satu dari: ${STATUS_CODES.join(', ')}`;
+    }
+    if (source.length > 255 || target.length > 500) {
+      return 'source maksimal 255 karakter dan target maksimal 500 karakter';
+    }
+    if (matchType === 'regex' && !compileRegex(source)) {
+      return 'source bukan regex yang valid';
+    }
+    if (matchType === 'regex' && hasNestedQuantifier(source)) {
+      return 'source regex tidak boleh memakai kuantifier bersarang seperti (a+)+ atau (a|b)*';
+    }
+    if (matchType !== 'regex' && normalizePath(source) === normalizePath(target)) {
+      return 'source dan target tidak boleh sama';
+    }
+    return null;
+  }
+
+  static async findAll({ page = 1, limit = 20, search = '' } = {}) {
+    try {
+      const offset = (page - 1) * limit;
+      const where = search ? 'WHERE source LIKE ? OR target LIKE ?' : '';
+      const searchParams = search ? [`%${search}%`, `%${search}%`] : [];
+
+      const rules = await executeQuery(
+        `SELECT * FROM redirect_rules ${where}
+        ORDER BY priority DESC, id DESC
+        LIMIT ? OFFSET ?`,
+        [...searchParams, parseInt(limit), offset]
+      );
+      const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM redirect_rules ${where}`,
+        searchParams
+      );
+      const total = countResult[0].total;
+
+      return {
+        rules: rules.map(rule => ({ ...rule, is_active: Boolean(rule.is_active) })),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          limit: parseInt(limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting redirect rules:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const rows = await executeQuery('SELECT * FROM redirect_rules WHERE id = ?', [id]);
+      return rows[0] ? { ...rows[0], is_active: Boolean(rows[0].is_active) } : null;
+    } catch (error) {
+      logger.error(`Error getting redirect rule with id ${id}:`, error);
+      throw error;
+    }
+  }
+
+  static async create(data, createdBy) {
+    try {
+      const matchType = data.match_type || 'exact';
+      const result = await executeQuery(
+        `INSERT INTO redirect_rules
+        (source, target, match_type, status_code, priority, is_active, note, created_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          matchType === 'regex' ? data.source : normalizePath(data.source),
+          data.target,
+          matchType,
+          parseInt(data.status_code) || 301,
+          parseInt(data.priority) || 0,
+          data.is_active === undefined || data.is_active === true || data.is_active === '1' ? 1 : 0,
+          data.note || null,
+          createdBy
+        ]
+      );
+
+      await this.clearCache();
+      return this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating redirect rule:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const current = await this.findById(id);
+      if (!current) return null;
+
+      const merged = { ...current, ...Object.fromEntries(Object.entries(data).filter(([_, v]) => v !== undefined)) };
+
+      await executeQuery(
+        `UPDATE redirect_rules
+        SET source = ?, target = ?, match_type = ?, status_code = ?, priority = ?, is_active = ?, note = ?,
+        updated_at = NOW()
+        WHERE id = ?`,
+        [
+          merged.match_type === 'regex' ? merged.source : normalizePath(merged.source),
+          merged.target,
+          merged.match_type,
+          parseInt(merged.status_code) || 301,
+          parseInt(merged.priority) || 0,
+          merged.is_active === true || merged.is_active === '1' || merged.is_active === 1 ? 1 : 0,
+          merged.note || null,
+          id
+        ]
+      );
+
+      await this.clearCache();
+      return this.findById(id);
+    } catch (error) {
+      logger.error(`Error updating redirect rule with id ${id}:`, error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const result = await executeQuery('DELETE FROM redirect_rules WHERE id = ?', [id]);
+      await this.clearCache();
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error(`Error deleting redirect rule with id ${id}:`, error);
+      throw error;
+    }
+  }
+
+  static async clearCache() {
+    compiledRegexes.clear();
+    try {
+      await redis.del(CACHE_KEY);
+    } catch (error) {
+      logger.error('Error clearing redirect rules cache:', error);
+    }
+  }
+
+  // Aturan aktif dari cache; jika cache bermasalah langsung baca database
+  static async getActiveRules() {
+    try {
+      const cached = await redis.get(CACHE_KEY);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      logger.error('Error reading redirect rules cache:', error);
+    }
+
+    const rules = await executeQuery(
+      `SELECT id, source, target, match_type, status_code, priority
+      FROM redirect_rules
+      WHERE is_active = 1
+      ORDER BY priority DESC, id ASC`
+    );
+
+    try {
+      await redis.setex(CACHE_KEY, CACHE_TTL, JSON.stringify(rules));
+    } catch (error) {
+      logger.error('Error caching redirect rules:', error);
+    }
+
+    return rules;
+  }
+
+  // Cari aturan untuk sebuah path. Urutan: exact, lalu prefix terpanjang, lalu regex sesuai priority
+  static async match(path) {
+    if (String(path).length > MAX_PATH_LENGTH) return null;
+    const normalized = normalizePath(path);
+    const rules = await this.getActiveRules();
+
+    const exact = rules.find(rule => rule.match_type === 'exact' && rule.source === normalized);
+    if (exact) {
+      return { rule: exact, target: exact.target };
+    }
+
+    const prefix = rules
+      .filter(rule => rule.match_type === 'prefix' &&
+        (normalized === rule.source || normalized.startsWith(rule.source === '/' ? '/' : `${rule.source}/`)))
+      .sort((a, b) => b.source.length - a.source.length)[0];
+    if (prefix) {
+      // Sisa path setelah prefix ikut dipindahkan ke target
+      const rest = normalized.slice(prefix.source.length);
+      const target = prefix.target.replace(/\/+$/, '') + (rest.startsWith('/') || !rest ? rest : `/${rest}`);
+      return { rule: prefix, target: target || '/' };
+    }
+
+    for (const rule of rules.filter(item => item.match_type === 'regex')) {
+      // Aturan lama yang dibuat sebelum validasi kuantifier bersarang dilewati
+      const regex = hasNestedQuantifier(rule.source) ? null : getCompiledRegex(rule.source);
+      if (regex && regex.test(normalized)) {
+        return { rule, target: normalized.replace(regex, rule.target) };
+      }
+    }
+
+    return null;
+  }
+
+  // Penghitung hit tidak boleh menggagalkan lookup
+  static async recordHit(id) {
+    try {
+      await executeQuery(
+        'UPDATE redirect_rules SET hit_count = hit_count + 1, last_hit_at = NOW() WHERE id = ?',
+        [id]
+      );
+    } catch (error) {
+      logger.error('Error recording redirect hit:', { id, error: error.message });
+    }
+  }
+}
+
+module.exports = RedirectRule;
@@ -0,0 +1,320 @@
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const Post = require('./Post');
+
+const formatImageUrl = (imagePath) => {
+  if (!imagePath) return null;
+  if (imagePath.startsWith('http')) return imagePath;
+  return `${process.env.BASE_URL}/uploads/${imagePath.split('/').pop()}`;
+};
+
+class Series {
+  static async findAll({ page = 1, limit = 10, publicOnly = true } = {}) {
+    try {
+      const offset = (page - 1) * limit;
+      const statusFilter = publicOnly ? `AND p.status = 'published' AND ${Post.EXPIRY_VISIBLE_SQL}` : '';
+
+      const series = await executeQuery(
+        `SELECT s.*, COUNT(p.id) as post_count
+        FROM series s
+        LEFT JOIN series_posts sp ON s.id = sp.series_id
+        LEFT JOIN posts p ON sp.post_id = p.id AND p.deleted_at IS NULL ${statusFilter}
+        GROUP BY s.id
+        ORDER BY s.created_at DESC
+        LIMIT ? OFFSET ?`,
+        [parseInt(limit), offset]
+      );
+
+      const countResult = await executeQuery('SELECT COUNT(*) as total FROM series');
+      const total = countResult[0].total;
+
+      return {
+        series: series.map(item => ({ ...item, image: formatImageUrl(item.image) })),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          limit: parseInt(limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting series list:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const rows = await executeQuery('SELECT * FROM series WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting series with id ${id}:`, error);
+      throw error;
+    }
+  }
+
+  static async findBySlug(slug) {
+    try {
+      const rows = await executeQuery('SELECT * FROM series WHERE slug = ?', [slug]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error(`Error getting series with slug ${slug}:`, error);
+      throw error;
+    }
+  }
+
+  // Post dalam series sesuai urutan; publik hanya melihat post yang sudah terbit dan belum kedaluwarsa
+  static async getPosts(seriesId, { publicOnly = true } = {}) {
+    try {
+      const statusFilter = publicOnly ? `AND p.status = 'published' AND ${Post.EXPIRY_VISIBLE_SQL}` : '';
+      const rows = await executeQuery(
+        `SELECT p.id, p.title, p.slug, p.excerpt, p.image, p.status, p.publish_date, sp.position
+        FROM series_posts sp
+        JOIN posts p ON sp.post_id = p.id
+        WHERE sp.series_id = ?
+        AND p.deleted_at IS NULL
+        ${statusFilter}
+        ORDER BY sp.position ASC`,
+        [seriesId]
+      );
+
+      return rows.map(row => ({ ...row, image: formatImageUrl(row.image) }));
+    } catch (error) {
+      logger.error('Error getting series posts:', error);
+      throw error;
+    }
+  }
+
+  static async generateUniqueSlug(title, excludeId = null) {
+    const baseSlug = Post.generateSlug(title) || 'series';
+    let slug = baseSlug;
+    let counter = 1;
+
+    while ((await executeQuery('SELECT id FROM series WHERE slug = ? AND id != ?', [slug, excludeId || ''])).length > 0) {
+      slug = `${baseSlug}-${counter++}`;
+    }
+
+    return slug;
+  }
+
+  static async create({ title, description = null, image = null, slug = null }, createdBy) {
+    try {
+      const id = uuidv4();
+      const finalSlug = await this.generateUniqueSlug(slug || title);
+
+      await executeQuery(
+        `INSERT INTO series (id, title, slug, description, image, created_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [id, title, finalSlug, description, image, createdBy]
+      );
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error creating series:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, { title, description, image, slug }) {
+    try {
+      const current = await this.findById(id);
+      if (!current) return null;
+
+      const finalSlug = slug && slug !== current.slug
+        ? await this.generateUniqueSlug(slug, id)
+        : current.slug;
+
+      await executeQuery(
+        `UPDATE series
+        SET title = ?, slug = ?, description = ?, image = ?, updated_at = NOW()
+        WHERE id = ?`,
+        [
+          title !== undefined ? title : current.title,
+          finalSlug,
+          description !== undefined ? description : current.description,
+          image !== undefined ? image : current.image,
+          id
+        ]
+      );
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error(`Error updating series with id ${id}:`, error);
+      throw error;
+    }
+  }
+
+  // Hapus series; post di dalamnya tetap ada, hanya keanggotaannya yang hilang
+  static async delete(id) {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM series_posts WHERE series_id = ?', [id]);
+        const [result] = await connection.query('DELETE FROM series WHERE id = ?', [id]);
+        await connection.commit();
+        return result.affectedRows > 0;
+      } catch (error) {
+        await connection.rollback();
+        logger.error(`Error deleting series with id ${id}:`, error);
+        throw error;
+      }
+    });
+  }
+
+  // Tambahkan post ke series; sebuah post hanya bisa menjadi bagian dari satu series.
+  // Tanpa position, post ditaruh di urutan terakhir
+  static async addPost(seriesId, postId, position = null) {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        // Lepas dari series lama (atau posisi lama) dan rapatkan urutannya
+        const [existing] = await connection.query(
+          'SELECT series_id, position FROM series_posts WHERE post_id = ?',
+          [postId]
+        );
+        if (existing.length) {
+          await connection.query('DELETE FROM series_posts WHERE post_id = ?', [postId]);
+          await connection.query(
+            'UPDATE series_posts SET position = position - 1 WHERE series_id = ? AND position > ?',
+            [existing[0].series_id, existing[0].position]
+          );
+        }
+
+        const [[{ total }]] = await connection.query(
+          'SELECT COUNT(*) as total FROM series_posts WHERE series_id = ?',
+          [seriesId]
+        );
+
+        const targetPosition = position === null
+          ? total + 1
+          : Math.min(Math.max(parseInt(position), 1), total + 1);
+
+        // Geser post lain untuk memberi tempat
+        await connection.query(
+          'UPDATE series_posts SET position = position + 1 WHERE series_id = ? AND position >= ?',
+          [seriesId, targetPosition]
+        );
+
+        await connection.query(
+          'INSERT INTO series_posts (series_id, post_id, position) VALUES (?, ?, ?)',
+          [seriesId, postId, targetPosition]
+        );
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error adding post to series:', error);
+        throw error;
+      }
+    });
+  }
+
+  static async removePost(seriesId, postId) {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [rows] = await connection.query(
+          'SELECT position FROM series_posts WHERE series_id = ? AND post_id = ?',
+          [seriesId, postId]
+        );
+        if (!rows.length) {
+          await connection.rollback();
+          return false;
+        }
+
+        await connection.query(
+          'DELETE FROM series_posts WHERE series_id = ? AND post_id = ?',
+          [seriesId, postId]
+        );
+        await connection.query(
+          'UPDATE series_posts SET position = position - 1 WHERE series_id = ? AND position > ?',
+          [seriesId, rows[0].position]
+        );
+
+        await connection.commit();
+        return true;
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error removing post from series:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Atur ulang urutan; postIds harus berisi persis semua post dalam series
+  static async reorder(seriesId, postIds) {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [rows] = await connection.query(
+          'SELECT post_id FROM series_posts WHERE series_id = ?',
+          [seriesId]
+        );
+        const currentIds = rows.map(row => row.post_id).sort();
+        const requestedIds = [...postIds].sort();
+
+        if (currentIds.length !== requestedIds.length ||
+            currentIds.some((postId, index) => postId !== requestedIds[index])) {
+          await connection.rollback();
+          return false;
+        }
+
+        for (const [index, postId] of postIds.entries()) {
+          await connection.query(
+            'UPDATE series_posts SET position = ? WHERE series_id = ? AND post_id = ?',
+            [index + 1, seriesId, postId]
+          );
+        }
+
+        await connection.commit();
+        return true;
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error reordering series:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Info series untuk halaman post publik: daftar isi serta post sebelum/sesudahnya
+  static async getNavigationForPost(postId) {
+    try {
+      const rows = await executeQuery(
+        `SELECT s.id, s.title, s.slug, s.description
+        FROM series_posts sp
+        JOIN series s ON sp.series_id = s.id
+        WHERE sp.post_id = ?`,
+        [postId]
+      );
+
+      const series = rows[0];
+      if (!series) return null;
+
+      const posts = await this.getPosts(series.id, { publicOnly: true });
+      const tableOfContents = posts.map((post, index) => ({
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        part: index + 1
+      }));
+
+      const index = tableOfContents.findIndex(item => item.id === postId);
+
+      return {
+        ...series,
+        total_parts: tableOfContents.length,
+        current_part: index >= 0 ? index + 1 : null,
+        previous: index > 0 ? tableOfContents[index - 1] : null,
+        next: index >= 0 && index < tableOfContents.length - 1 ? tableOfContents[index + 1] : null,
+        table_of_contents: tableOfContents
+      };
+    } catch (error) {
+      // Navigasi series bukan bagian utama halaman post
+      logger.error('Error getting series navigation:', { postId, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = Series;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const exportController = require('../controllers/exportController');
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+
+// Ekspor konten lengkap hanya untuk admin
+router.get('/', verifyToken, isAdmin, exportController.getExports);
+router.post('/', verifyToken, isAdmin, exportController.createExport);
+router.get('/:id', verifyToken, isAdmin, exportController.getExportById);
+router.get('/:id/download', verifyToken, isAdmin, exportController.downloadExport);
+router.delete('/:id', verifyToken, isAdmin, exportController.deleteExport);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+const { handleMulterError } = require('../uploadConfig');
+
+// File ekspor hanya dibaca sekali, jadi cukup disimpan di memori
+const wxrUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.xml') {
+      cb(new Error('File harus berupa ekspor WordPress (.xml)'), false);
+      return;
+    }
+    cb(null, true);
+  }
+});
+
+router.post('/wordpress',
+  verifyToken,
+  isAdmin,
+  wxrUpload.single('file'),
+  handleMulterError,
+  importController.importWordpress
+);
+
+module.exports = router;
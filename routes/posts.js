@@ -6,11 +6,26 @@ const path = require('path');
 
 // Controllers & Models
 const postController = require('../controllers/postController');
+const reviewController = require('../controllers/reviewController');
+const autosaveController = require('../controllers/autosaveController');
+const editLockController = require('../controllers/editLockController');
+const translationController = require('../controllers/translationController');
+const archiveController = require('../controllers/archiveController');
+const trashController = require('../controllers/trashController');
+const popularityController = require('../controllers/popularityController');
+const authorDashboardController = require('../controllers/authorDashboardController');
+const bulkController = require('../controllers/bulkController');
 const uploadController = require('../controllers/uploadController');
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Label = require('../models/Label');
 const PostLabel = require('../models/PostLabel');
+const PostReview = require('../models/PostReview');
+const PostAutosave = require('../models/PostAutosave');
+const PostTranslation = require('../models/PostTranslation');
+const RelatedPostsService = require('../services/relatedPostsService');
+const { slugAlreadyExists } = require('../utils/slugUtils');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/languageUtils');
 
 // Middleware
 const authMiddleware = require('../middleware/authMiddleware');
@@ -27,7 +42,7 @@ const validatePost = [
 
   // Validasi status dengan nilai default
   body('status')
-    .isIn(['published', 'draft', 'archived', 'scheduled'])
+    .isIn(['published', 'draft', 'archived', 'scheduled', 'submitted', 'in_review', 'changes_requested', 'rejected'])
     .withMessage('Status tidak valid')
     .default('draft'),
 
@@ -56,6 +71,33 @@ const validatePost = [
       return true;
     }),
 
+  // expires_at kosong berarti masa tayang tidak dibatasi
+  body('expires_at')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Format tanggal kedaluwarsa harus ISO 8601')
+    .custom((value, { req }) => {
+      if (req.body.publish_date && new Date(value) <= new Date(req.body.publish_date)) {
+        throw new Error('Tanggal kedaluwarsa harus setelah tanggal publikasi');
+      }
+      return true;
+    }),
+
+  body('expiry_action')
+    .optional()
+    .isIn(['archive', 'flag'])
+    .withMessage('expiry_action harus archive atau flag'),
+
+  body('content_format')
+    .optional()
+    .isIn(['html', 'markdown'])
+    .withMessage('content_format harus html atau markdown'),
+
+  body('language')
+    .optional()
+    .isIn(Object.keys(SUPPORTED_LANGUAGES))
+    .withMessage(`language harus salah satu dari: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`),
+
   // Validasi labels yang lebih ketat
   body('labels')
     .optional()
@@ -97,9 +139,19 @@ const validatePost = [
 router.get('/', cacheMiddleware(300), postController.getAllPosts);
 router.get('/featured', cacheMiddleware(300), postController.getFeaturedPosts);
 router.get('/spotlight', cacheMiddleware(300, 'spotlight-posts'), postController.getSpotlightPosts);
+router.get('/trending', cacheMiddleware(600), popularityController.getTrendingPosts);
+router.get('/most-read', cacheMiddleware(600), popularityController.getMostReadPosts);
+
+// Arsip berdasarkan tanggal terbit
+router.get('/archive', cacheMiddleware(600), archiveController.getArchiveIndex);
+router.get('/archive/:year(\\d{4})', cacheMiddleware(300), archiveController.getArchivePosts);
+router.get('/archive/:year(\\d{4})/:month(\\d{1,2})', cacheMiddleware(300), archiveController.getArchivePosts);
+router.get('/archive/:year(\\d{4})/:month(\\d{1,2})/:day(\\d{1,2})', cacheMiddleware(300), archiveController.getArchivePosts);
 
 // 2. PUBLIC ROUTES dengan parameter
 router.get('/public/related/:id', postController.getRelatedPosts);
+router.post('/public/view/:id([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})', postController.incrementViews);
+router.get('/preview/:token', postController.getPostPreview);
 router.get('/public/id/:id([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})',
   postController.getPublicPostById
 );
@@ -337,17 +389,90 @@ router.get('/my-posts',
   postController.getMyPosts
 );
 
+router.get('/dashboard/author',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  authorDashboardController.getMyDashboard
+);
+
+router.get('/dashboard/author/:authorId',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  authorDashboardController.getAuthorDashboard
+);
+
 router.get('/my-deleted',
   authMiddleware.isAuthenticated,
   postController.getMyDeletedPosts
 );
 
+router.get('/scheduled',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  postController.getScheduledPosts
+);
+
+// Autosave working copy editor, tidak menyentuh baris posts
+router.get('/autosaves',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  autosaveController.getMyAutosaves
+);
+
+router.get('/autosaves/drafts/:draftKey',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  autosaveController.getAutosave
+);
+
+router.put('/autosaves/drafts/:draftKey',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  autosaveController.saveAutosave
+);
+
+router.delete('/autosaves/drafts/:draftKey',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  autosaveController.discardAutosave
+);
+
+router.post('/bulk',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  bulkController.bulkUpdatePosts
+);
+
+router.get('/review-queue',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  reviewController.getReviewQueue
+);
+
 router.get('/deleted',
   authMiddleware.isAuthenticated,
   authMiddleware.isAdmin,
   postController.getDeletedPosts
 );
 
+router.post('/related/rebuild',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  postController.rebuildRelatedPosts
+);
+
+router.get('/trash/purge-preview',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  trashController.getPurgePreview
+);
+
+router.post('/trash/purge',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  trashController.runPurge
+);
+
 router.get('/admin-featured',
   authMiddleware.isAuthenticated,
   authMiddleware.isAdmin,
@@ -381,9 +506,55 @@ router.get('/:id([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})',
   postController.getPostById
 );
 
+// Versi yang diharapkan dari body.version atau header If-Match ("3" atau W/"3")
+const parseExpectedVersion = (req) => {
+  const raw = req.body.version !== undefined && req.body.version !== ''
+    ? String(req.body.version)
+    : (req.get('If-Match') || '').replace(/^W\//, '').replace(/"/g, '');
+
+  const version = parseInt(raw, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+// 409 berisi isi post saat ini dan snapshot versi yang dimuat editor dari post_versions
+// (created_by snapshot itu adalah orang yang menimpanya), supaya editor bisa menggabungkan perubahan
+const sendVersionConflict = async (res, postId, expectedVersion) => {
+  const [current, conflicting] = await Promise.all([
+    Post.getFullPostById(postId),
+    Post.getVersionByRevision(postId, expectedVersion)
+  ]);
+
+  // Post dihapus permanen di antara pengecekan dan update
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+  }
+
+  res.set('ETag', `"${current.version || 1}"`);
+  return res.status(409).json({
+    success: false,
+    message: 'Post sudah diubah oleh pengguna lain. Muat ulang atau gabungkan perubahan sebelum menyimpan.',
+    data: {
+      your_version: expectedVersion,
+      current_version: current.version || 1,
+      current: {
+        title: current.title,
+        excerpt: current.excerpt,
+        content: current.content,
+        status: current.status,
+        updated_at: current.updated_at
+      },
+      conflicting_version: conflicting
+    }
+  });
+};
+
 router.put('/:id',
   authMiddleware.isAuthenticated,
   authMiddleware.isAdminOrWriter,
+  authMiddleware.isAdminOrAuthor,
   upload.single('image'),
   handleMulterError,
   validatePost,
@@ -405,19 +576,57 @@ router.put('/:id',
         });
       }
 
+      // Optimistic concurrency: versi yang dimuat editor wajib dikirim lewat body.version atau If-Match,
+      // tanpa itu editor yang basi bisa menimpa perubahan orang lain tanpa sadar
+      const expectedVersion = parseExpectedVersion(req);
+      if (expectedVersion === null) {
+        res.set('ETag', `"${postToUpdate.version || 1}"`);
+        return res.status(428).json({
+          success: false,
+          message: 'Versi post wajib dikirim lewat field version atau header If-Match',
+          data: { current_version: postToUpdate.version || 1 }
+        });
+      }
+      if (expectedVersion !== (postToUpdate.version || 1)) {
+        return sendVersionConflict(res, id, expectedVersion);
+      }
+
       // Siapkan data untuk update
-      const { title, content, status, publish_date, excerpt, is_featured, is_spotlight, slug } = req.body;
+      const {
+        title, content, content_format, status, publish_date, excerpt, is_featured, is_spotlight, slug, expires_at, expiry_action,
+        language
+      } = req.body;
+
+      // Writer tidak bisa mengubah status langsung, harus lewat alur review
+      const requestedStatus = PostReview.resolveStatusForRole(req.user.role, status, postToUpdate.status);
 
       const updateData = {
         title,
         content,
-        status: status || postToUpdate.status,
+        content_format,
+        status: Post.resolveScheduledStatus(requestedStatus, publish_date || postToUpdate.publish_date),
         publish_date: publish_date || postToUpdate.publish_date,
         excerpt,
         is_featured: is_featured === '1' || is_featured === true ? 1 : 0,
-        is_spotlight: is_spotlight === '1' || is_spotlight === true ? 1 : 0
+        is_spotlight: is_spotlight === '1' || is_spotlight === true ? 1 : 0,
+        ...Post.resolveExpiry(expires_at, expiry_action)
       };
 
+      const currentLanguage = postToUpdate.language || DEFAULT_LANGUAGE;
+      const targetLanguage = language || currentLanguage;
+      if (language && language !== currentLanguage) {
+        updateData.language = language;
+
+        // Satu grup terjemahan hanya boleh punya satu post per bahasa
+        const translations = await PostTranslation.getForPost(id);
+        if (translations.some(translation => translation.language === language)) {
+          return res.status(409).json({
+            success: false,
+            message: `Sudah ada terjemahan dalam bahasa ${SUPPORTED_LANGUAGES[language]}`
+          });
+        }
+      }
+
       // Handle slug
       if (slug) {
         // Jika slug adalah array, ambil elemen pertama
@@ -429,6 +638,17 @@ router.put('/:id',
         }
       }
 
+      // Slug yang pernah dipakai post lain dalam bahasa yang sama tidak boleh diambil,
+      // link lamanya akan salah arah. Pindah bahasa juga perlu dicek ulang
+      const slugChanged = updateData.slug && updateData.slug !== postToUpdate.slug;
+      if ((slugChanged || targetLanguage !== currentLanguage)
+        && await slugAlreadyExists(updateData.slug || postToUpdate.slug, id, targetLanguage)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Slug sudah digunakan atau pernah digunakan post lain'
+        });
+      }
+
       // Tambahkan image jika ada
       if (req.file) {
         console.log('New image file received:', req.file.path);
@@ -450,9 +670,45 @@ router.put('/:id',
       console.log('Post data to be updated:', updateData);
 
       // Update post menggunakan metode yang sesuai
-      await Post.updatePost(id, updateData);
+      // Simpan isi sebelum diubah supaya bisa dibandingkan dan di-restore
+      // Untuk post Markdown, content yang dikirim editor dibandingkan dengan sumber Markdown-nya
+      const currentSource = {
+        ...postToUpdate,
+        content: (content_format || postToUpdate.content_format) === 'markdown'
+          ? postToUpdate.content_markdown
+          : postToUpdate.content
+      };
+      const contentChanged = ['title', 'content', 'excerpt', 'content_format'].some(
+        field => updateData[field] !== undefined && updateData[field] !== currentSource[field]
+      );
+      // Snapshot ditulis dalam transaksi update yang sama, jadi tidak tersisa jika update ditolak 409
+      const snapshot = contentChanged ? { oldData: postToUpdate, createdBy: req.user.id } : null;
+
+      // Laporan sanitasi dikirim ke editor supaya tahu bagian konten yang dibuang
+      let sanitization;
+      try {
+        ({ sanitization } = await Post.updatePost(id, updateData, { expectedVersion, snapshot }));
+      } catch (error) {
+        // Editor lain menyimpan di antara pengecekan versi dan update
+        if (error.statusCode === 409) {
+          return sendVersionConflict(res, id, expectedVersion);
+        }
+        throw error;
+      }
       console.log('Post updated with ID:', id);
 
+      // Working copy sudah tersimpan sebagai post, autosave tidak diperlukan lagi
+      await PostAutosave.prune(req.user.id, { postId: id });
+
+      if (updateData.status !== postToUpdate.status) {
+        await PostReview.recordTransition({
+          postId: id,
+          fromStatus: postToUpdate.status,
+          toStatus: updateData.status,
+          actorId: req.user.id
+        });
+      }
+
       // Update labels jika ada
       if (req.body.labels) {
         try {
@@ -497,10 +753,17 @@ router.put('/:id',
       // Ambil post yang sudah diupdate dengan labels
       const updatedPost = await Post.getFullPostById(id);
 
+      // Related posts dihitung ulang saat post terbit, berubah, atau ditarik dari publik
+      if (updatedPost.status === 'published' || postToUpdate.status === 'published') {
+        RelatedPostsService.schedule(id);
+      }
+
+      res.set('ETag', `"${updatedPost.version || 1}"`);
       return res.status(200).json({
         success: true,
         message: 'Post updated successfully',
-        post: updatedPost
+        post: updatedPost,
+        sanitization
       });
     } catch (error) {
       console.error('Post route error:', error);
@@ -541,6 +804,183 @@ router.put('/:id/featured',
   postController.toggleFeatured
 );
 
+router.post('/:id/submit',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  reviewController.submitPost
+);
+
+router.post('/:id/withdraw',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  reviewController.withdrawPost
+);
+
+router.post('/:id/review/start',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  reviewController.startReview
+);
+
+router.post('/:id/review/approve',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  reviewController.approvePost
+);
+
+router.post('/:id/review/request-changes',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  reviewController.requestChanges
+);
+
+router.post('/:id/review/reject',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  reviewController.rejectPost
+);
+
+router.get('/:id/review-history',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  reviewController.getReviewHistory
+);
+
+router.get('/:id/autosave',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  autosaveController.getAutosave
+);
+
+router.put('/:id/autosave',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  autosaveController.saveAutosave
+);
+
+router.delete('/:id/autosave',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  autosaveController.discardAutosave
+);
+
+router.post('/:id/duplicate',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  authMiddleware.isAdminOrAuthor,
+  postController.duplicatePost
+);
+
+router.get('/:id/lock',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  editLockController.getLock
+);
+
+router.post('/:id/lock',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  editLockController.acquireLock
+);
+
+router.put('/:id/lock/heartbeat',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  editLockController.heartbeatLock
+);
+
+router.delete('/:id/lock',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  editLockController.releaseLock
+);
+
+router.post('/:id/lock/force',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  editLockController.forceTakeLock
+);
+
+router.get('/:id/translations',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  authMiddleware.isAdminOrAuthor,
+  translationController.getTranslations
+);
+
+router.post('/:id/translations',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  authMiddleware.isAdminOrAuthor,
+  translationController.linkTranslation
+);
+
+router.delete('/:id/translations',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  authMiddleware.isAdminOrAuthor,
+  translationController.unlinkTranslation
+);
+
+router.get('/:id/authors',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrAuthor,
+  postController.getPostAuthors
+);
+
+router.put('/:id/authors',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdminOrWriter,
+  postController.updatePostAuthors
+);
+
+router.get('/:id/preview-links',
+  authMiddleware.isAuthenticated,
+  postController.getPreviewLinks
+);
+
+router.post('/:id/preview-links',
+  authMiddleware.isAuthenticated,
+  postController.createPreviewLink
+);
+
+router.delete('/:id/preview-links/:linkId',
+  authMiddleware.isAuthenticated,
+  postController.revokePreviewLink
+);
+
+router.get('/:id/versions',
+  authMiddleware.isAuthenticated,
+  postController.getPostVersions
+);
+
+router.get('/:id/analytics',
+  authMiddleware.isAuthenticated,
+  postController.getPostAnalytics
+);
+
+router.get('/:id/versions/compare',
+  authMiddleware.isAuthenticated,
+  postController.comparePostVersions
+);
+
+router.post('/:id/versions/:versionId/restore',
+  authMiddleware.isAuthenticated,
+  postController.restorePostVersion
+);
+
+router.put('/:id/schedule',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  postController.schedulePost
+);
+
+router.delete('/:id/schedule',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  postController.cancelSchedule
+);
+
 router.patch('/:id/toggle-spotlight',
   authMiddleware.isAuthenticated,
   postController.toggleSpotlight
@@ -571,6 +1011,12 @@ router.delete('/:id/permanent',
   postController.deletePostPermanently
 );
 
+router.put('/:id/purge-exempt',
+  authMiddleware.isAuthenticated,
+  authMiddleware.isAdmin,
+  trashController.setPurgeExempt
+);
+
 // 8. ERROR HANDLER
 router.use((error, req, res, next) => {
   logger.error('Post route error:', {
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const redirectController = require('../controllers/redirectController');
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+
+// Public routes
+router.get('/lookup', redirectController.lookupRedirect);
+
+// Admin routes
+router.get('/', verifyToken, isAdmin, redirectController.getAllRedirects);
+router.get('/:id', verifyToken, isAdmin, redirectController.getRedirectById);
+router.post('/', verifyToken, isAdmin, redirectController.createRedirect);
+router.put('/:id', verifyToken, isAdmin, redirectController.updateRedirect);
+router.delete('/:id', verifyToken, isAdmin, redirectController.deleteRedirect);
+
+module.exports = router;
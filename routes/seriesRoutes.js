@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const seriesController = require('../controllers/seriesController');
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+
+// Public routes
+router.get('/', seriesController.getAllSeries);
+router.get('/slug/:slug', seriesController.getSeriesBySlug);
+
+// Admin routes
+router.get('/:id', verifyToken, isAdmin, seriesController.getSeriesById);
+router.post('/', verifyToken, isAdmin, seriesController.createSeries);
+router.put('/:id', verifyToken, isAdmin, seriesController.updateSeries);
+router.delete('/:id', verifyToken, isAdmin, seriesController.deleteSeries);
+router.post('/:id/posts', verifyToken, isAdmin, seriesController.addPostToSeries);
+router.put('/:id/order', verifyToken, isAdmin, seriesController.reorderSeries);
+router.delete('/:id/posts/:postId', verifyToken, isAdmin, seriesController.removePostFromSeries);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const { verifyToken, isAdmin, isAdminOrWriter } = require('../middleware/authMiddleware');
+
+// Admin dan writer bisa melihat dan memakai template
+router.get('/', verifyToken, isAdminOrWriter, templateController.getTemplates);
+router.get('/:id', verifyToken, isAdminOrWriter, templateController.getTemplateById);
+router.post('/:id/instantiate', verifyToken, isAdminOrWriter, templateController.instantiateTemplate);
+
+// Hanya admin yang mengelola template
+router.post('/', verifyToken, isAdmin, templateController.createTemplate);
+router.put('/:id', verifyToken, isAdmin, templateController.updateTemplate);
+router.delete('/:id', verifyToken, isAdmin, templateController.deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { analyzeContent } = require('../utils/contentAnalysis');
+
+const BATCH_SIZE = 100;
+
+// Hitung word_count, reading_time dan toc untuk post yang disimpan sebelum kolom tersebut ada
+async function backfillContentStats() {
+  try {
+    let offset = 0;
+    let updated = 0;
+
+    for (;;) {
+      const posts = await executeQuery(
+        'SELECT id, content FROM posts ORDER BY created_at ASC LIMIT ? OFFSET ?',
+        [BATCH_SIZE, offset]
+      );
+      if (posts.length === 0) break;
+
+      for (const post of posts) {
+        const analysis = analyzeContent(post.content || '');
+
+        await executeQuery(
+          'UPDATE posts SET content = ?, word_count = ?, reading_time = ?, toc = ? WHERE id = ?',
+          [analysis.html, analysis.word_count, analysis.reading_time, JSON.stringify(analysis.toc), post.id]
+        );
+        updated++;
+      }
+
+      offset += posts.length;
+      logger.info(`Processed ${offset} posts`);
+    }
+
+    logger.info(`Finished backfilling content stats for ${updated} posts`);
+  } catch (error) {
+    logger.error('Error backfilling content stats:', error);
+  }
+}
+
+backfillContentStats().then(() => process.exit(0));
@@ -0,0 +1,74 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const WordpressImportService = require('../services/wordpressImportService');
+const RelatedPostsService = require('../services/relatedPostsService');
+
+// Pemakaian:
+//   node scripts/importWordpress.js export.xml --dry-run
+//   node scripts/importWordpress.js export.xml --attachments-dir=/backup/wp-content/uploads --actor=admin@paroki.org
+//   node scripts/importWordpress.js export.xml --allowed-hosts=i0.wp.com,cdn.paroki.org
+const parseArgs = (argv) => {
+  const options = { file: null, dryRun: false, attachmentsDir: null, actor: null, report: null, allowedHosts: [] };
+  argv.forEach(arg => {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--attachments-dir=')) options.attachmentsDir = arg.split('=').slice(1).join('=');
+    else if (arg.startsWith('--actor=')) options.actor = arg.split('=').slice(1).join('=');
+    else if (arg.startsWith('--report=')) options.report = arg.split('=').slice(1).join('=');
+    else if (arg.startsWith('--allowed-hosts=')) options.allowedHosts = arg.split('=').slice(1).join('=').split(',').filter(Boolean);
+    else if (!arg.startsWith('--')) options.file = arg;
+  });
+  return options;
+};
+
+// Post tanpa penulis yang bisa dipetakan diberikan ke admin ini (id, email, atau admin pertama)
+async function resolveActor(actor) {
+  const rows = actor
+    ? await executeQuery('SELECT id FROM users WHERE id = ? OR email = ? LIMIT 1', [actor, actor])
+    : await executeQuery("SELECT id FROM users WHERE role = 'admin' ORDER BY created_at ASC LIMIT 1");
+  return rows[0] ? rows[0].id : null;
+}
+
+async function importWordpress() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.file) {
+    logger.error('Usage: node scripts/importWordpress.js <export.xml> [--dry-run] [--attachments-dir=path] [--actor=id|email] [--allowed-hosts=host,...] [--report=path]');
+    return;
+  }
+
+  try {
+    const actorId = await resolveActor(options.actor);
+    if (!actorId) {
+      logger.error('Admin untuk impor tidak ditemukan');
+      return;
+    }
+
+    const xml = await fs.readFile(options.file, 'utf8');
+    const report = await WordpressImportService.importWxr(xml, {
+      dryRun: options.dryRun,
+      actorId,
+      attachmentsDir: options.attachmentsDir,
+      allowedHosts: options.allowedHosts
+    });
+
+    // Script langsung keluar setelah selesai, jadi related post dihitung di sini, bukan di background
+    if (!options.dryRun) {
+      for (const post of report.posts.created.filter(created => created.status === 'published')) {
+        await RelatedPostsService.refresh(post.id);
+      }
+    }
+
+    if (options.report) {
+      await fs.writeFile(options.report, JSON.stringify(report, null, 2));
+      logger.info(`Report written to ${options.report}`);
+    }
+
+    logger.info(`${options.dryRun ? 'Dry run' : 'Import'} finished`, report.summary);
+  } catch (error) {
+    logger.error('Error importing WordPress export:', error);
+  }
+}
+
+importWordpress().then(() => process.exit(0));
@@ -40,6 +40,9 @@ const User = require('./models/User');
 const { checkUploadPermissions } = require('./utils/checkPermissions');
 const { upload, uploadDir } = require('./uploadConfig');
 const { startCleanupSchedule } = require('./utils/tokenCleanup');
+const { startPublishSchedule } = require('./utils/postScheduler');
+const { startPurgeSchedule } = require('./utils/trashPurge');
+const { startViewRollupSchedule } = require('./utils/viewRollup');
 
 // Route imports
 const authRoutes = require('./routes/authRoutes');
@@ -48,6 +51,11 @@ const postsRouter = require('./routes/posts');
 const searchRoutes = require('./routes/search');
 const uploadRoutes = require('./routes/uploadRoutes');
 const carouselRoutes = require('./routes/carouselRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const redirectRoutes = require('./routes/redirectRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const importRoutes = require('./routes/importRoutes');
+const exportRoutes = require('./routes/exportRoutes');
 
 const app = express();
 
@@ -385,10 +393,20 @@ app.use('/api/posts',
   postsRouter
 );
 
+app.use('/api/redirects', redirectRoutes);
+
 app.use('/api/upload', uploadRoutes);
 
 app.use('/api/carousel', carouselRoutes);
 
+app.use('/api/series', seriesRoutes);
+
+app.use('/api/templates', templateRoutes);
+
+app.use('/api/import', importRoutes);
+
+app.use('/api/exports', exportRoutes);
+
 // Utility routes
 // Endpoint CSRF token dihapus dari server.js dan dikonsolidasikan ke authRoutes.js
 
@@ -686,6 +704,15 @@ async function startServer() {
 
       // Mulai cleanup token setiap 2 jam
       startCleanupSchedule(2 * 60 * 60 * 1000);
+
+      // Terbitkan post terjadwal, dicek setiap menit
+      startPublishSchedule();
+
+      // Hapus permanen post yang terlalu lama di trash
+      startPurgeSchedule();
+
+      // Rollup post_views untuk daftar trending dan terpopuler
+      startViewRollupSchedule();
     });
 
     // Setup shutdown handlers
@@ -0,0 +1,318 @@
+const path = require('path');
+const fs = require('fs').promises;
+const moment = require('moment');
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { uploadDir } = require('../uploadConfig');
+const { AppError } = require('../utils/errorHandler');
+const { htmlToMarkdown } = require('../utils/htmlToMarkdown');
+const { uploadFilename } = require('../utils/imageHandler');
+const ZipWriter = require('../utils/zipWriter');
+const ContentExport = require('../models/ContentExport');
+const Carousel = require('../models/Carousel');
+
+// Arsip disimpan di samping uploads supaya ikut direktori persisten di Render
+const exportDir = process.env.NODE_ENV === 'production' && process.env.RENDER_PERSISTENT_DIR
+  ? path.join(process.env.RENDER_PERSISTENT_DIR, 'exports')
+  : path.join(__dirname, '..', 'exports');
+
+const POST_BATCH_SIZE = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatDate = (value) => (value ? moment(value).format() : null);
+
+// String YAML ditulis dalam bentuk JSON yang juga valid sebagai YAML
+const yamlValue = (value) => {
+  if (value === null || value === undefined || value === '') return 'null';
+  if (Array.isArray(value)) {
+    return value.length ? `\n${value.map(item => `  - ${yamlValue(item)}`).join('\n')}` : '[]';
+  }
+  return JSON.stringify(String(value));
+};
+
+const buildFrontMatter = (fields) => [
+  '---',
+  ...Object.entries(fields).map(([key, value]) => {
+    const formatted = yamlValue(value);
+    return formatted.startsWith('\n') ? `${key}:${formatted}` : `${key}: ${formatted}`;
+  }),
+  '---'
+].join('\n');
+
+const buildLabelTree = (labels) => {
+  const nodes = new Map(labels.map(label => [label.id, { id: label.id, label: label.label, children: [] }]));
+  const roots = [];
+  labels.forEach(label => {
+    const parent = label.parent_id ? nodes.get(label.parent_id) : null;
+    (parent || { children: roots }).children.push(nodes.get(label.id));
+  });
+  return roots;
+};
+
+const runningExportError = (job) => {
+  const error = new AppError('Ekspor lain masih berjalan, tunggu sampai selesai', 409);
+  error.job = job;
+  return error;
+};
+
+class ContentExportService {
+  static get exportDir() {
+    return exportDir;
+  }
+
+  /**
+   * Membuat job ekspor dan menjalankannya di background.
+   * Hanya satu ekspor yang boleh berjalan pada satu waktu.
+   * @param {string} actorId - Admin yang meminta ekspor
+   * @returns {Promise<Object>} Job yang baru dibuat
+   */
+  static async start(actorId) {
+    const running = await ContentExport.findRunning();
+    if (running) {
+      throw runningExportError(running);
+    }
+
+    let job;
+    try {
+      job = await ContentExport.create(actorId);
+    } catch (error) {
+      // Request lain sempat membuat job di antara pengecekan dan insert
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw runningExportError(await ContentExport.findRunning());
+      }
+      throw error;
+    }
+    setImmediate(() => {
+      this.run(job.id).catch(error => {
+        logger.error(`Content export job ${job.id} crashed:`, error);
+      });
+    });
+    return job;
+  }
+
+  static async run(jobId) {
+    const fileName = `ekspor-konten-${moment().format('YYYYMMDD-HHmmss')}-${jobId}.zip`;
+    const partialPath = path.join(exportDir, `${fileName}.part`);
+    let writer = null;
+
+    try {
+      // Kegagalan di tahap persiapan juga menandai job gagal agar tidak memblokir ekspor berikutnya
+      await ContentExport.markProcessing(jobId);
+      await fs.mkdir(exportDir, { recursive: true });
+      writer = await ZipWriter.create(partialPath);
+
+      logger.info(`Content export job ${jobId} started`);
+      const stats = await this.writeArchive(writer, jobId);
+      await writer.close();
+
+      const filePath = path.join(exportDir, fileName);
+      await fs.rename(partialPath, filePath);
+      const { size } = await fs.stat(filePath);
+
+      if (!await ContentExport.markCompleted(jobId, { fileName, fileSize: size, stats })) {
+        // Job sudah ditandai terputus selagi file ditulis; arsipnya tidak lagi dirujuk
+        await fs.unlink(filePath).catch(() => {});
+        logger.warn(`Content export job ${jobId} finished after it was marked as failed`);
+        return;
+      }
+      logger.info(`Content export job ${jobId} completed`, { fileName, size, posts: stats.posts });
+    } catch (error) {
+      if (writer) await writer.abort();
+      await fs.unlink(partialPath).catch(() => {});
+      await ContentExport.markFailed(jobId, error.message);
+      logger.error(`Content export job ${jobId} failed:`, error);
+    }
+  }
+
+  // Isi arsip: posts/*.md, posts.json, labels.json, carousel.json, uploads/ dan manifest.json
+  static async writeArchive(writer, jobId) {
+    // Heartbeat per tahap; berhenti jika job sudah ditandai terputus oleh proses lain
+    const heartbeat = async () => {
+      if (!await ContentExport.heartbeat(jobId)) {
+        throw new Error('Job ekspor sudah dihentikan');
+      }
+    };
+
+    const stats = {
+      posts: 0,
+      labels: 0,
+      carousel_slides: 0,
+      files: 0,
+      missing_files: []
+    };
+
+    const addUpload = async (filename) => {
+      const entryName = `uploads/${filename}`;
+      if (writer.hasEntry(entryName) || stats.missing_files.includes(filename)) return;
+      try {
+        const filePath = path.join(uploadDir, filename);
+        const [content, fileStat] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+        await writer.addFile(entryName, content, fileStat.mtime);
+        stats.files++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        stats.missing_files.push(filename);
+      }
+    };
+
+    const labels = await executeQuery('SELECT id, label, parent_id FROM unique_labels ORDER BY label');
+    stats.labels = labels.length;
+    await writer.addFile('labels.json', JSON.stringify({
+      tree: buildLabelTree(labels),
+      labels: labels.map(label => ({ id: label.id, label: label.label, parent_id: label.parent_id || null }))
+    }, null, 2));
+
+    await heartbeat();
+    const slides = await Carousel.getAllSlidesAdmin();
+    stats.carousel_slides = slides.length;
+    const slideEntries = [];
+    for (const slide of slides) {
+      const filename = uploadFilename(slide.image_url);
+      if (filename) await addUpload(filename);
+      slideEntries.push({ ...slide, archive_image: filename ? `uploads/${filename}` : null });
+    }
+    await writer.addFile('carousel.json', JSON.stringify(slideEntries, null, 2));
+
+    const postsJson = [];
+    for (let offset = 0; ; offset += POST_BATCH_SIZE) {
+      await heartbeat();
+      const posts = await executeQuery(
+        `SELECT p.*, u.name as author_name, u.username as author_username
+         FROM posts p
+         LEFT JOIN users u ON p.author_id = u.id
+         WHERE p.deleted_at IS NULL
+         ORDER BY p.created_at ASC, p.id ASC
+         LIMIT ? OFFSET ?`,
+        [POST_BATCH_SIZE, offset]
+      );
+      if (posts.length === 0) break;
+
+      const postIds = posts.map(post => post.id);
+      const [labelRows, coAuthorRows] = await Promise.all([
+        executeQuery(
+          `SELECT pl.post_id, ul.label
+           FROM post_labels pl
+           JOIN unique_labels ul ON pl.label_id = ul.id
+           WHERE pl.post_id IN (?)
+           ORDER BY ul.label`,
+          [postIds]
+        ),
+        executeQuery(
+          `SELECT pa.post_id, u.name, u.username
+           FROM post_authors pa
+           JOIN users u ON pa.user_id = u.id
+           WHERE pa.post_id IN (?)
+           ORDER BY pa.sort_order, u.name`,
+          [postIds]
+        )
+      ]);
+
+      for (const post of posts) {
+        const postLabels = labelRows.filter(row => row.post_id === post.id).map(row => row.label);
+        const coAuthors = coAuthorRows.filter(row => row.post_id === post.id).map(row => row.name || row.username);
+        const author = post.author_name || post.author_username || null;
+
+        // Gambar lokal ikut masuk arsip dan dirujuk relatif dari folder posts/
+        const imageFilename = post.image && !post.image.includes('/') ? post.image : uploadFilename(post.image);
+        if (imageFilename) await addUpload(imageFilename);
+
+        let content = post.content || '';
+        // Post Markdown diekspor dari sumbernya, post HTML dikonversi
+        let markdown = post.content_format === 'markdown' && post.content_markdown !== null ? post.content_markdown : null;
+        const referencedUrls = new Set();
+        content.replace(/\s(?:src|href)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi, (match, doubleQuoted, singleQuoted) => {
+          referencedUrls.add(doubleQuoted ?? singleQuoted);
+          return match;
+        });
+        for (const url of referencedUrls) {
+          const filename = uploadFilename(url);
+          if (!filename) continue;
+          await addUpload(filename);
+          content = content.replace(
+            new RegExp(`(\\s(?:src|href)\\s*=\\s*["'])${escapeRegex(url)}(["'])`, 'g'),
+            (match, before, after) => `${before}../uploads/${filename}${after}`
+          );
+          if (markdown !== null) markdown = markdown.split(url).join(`../uploads/${filename}`);
+        }
+
+        const slug = post.slug || String(post.id);
+        const entryName = writer.hasEntry(`posts/${slug}.md`) ? `posts/${slug}-${post.id}.md` : `posts/${slug}.md`;
+        const frontMatter = buildFrontMatter({
+          id: post.id,
+          title: post.title,
+          slug: post.slug,
+          language: post.language || null,
+          status: post.status,
+          publish_date: formatDate(post.publish_date),
+          author,
+          co_authors: coAuthors,
+          labels: postLabels,
+          excerpt: post.excerpt,
+          image: imageFilename ? `../uploads/${imageFilename}` : post.image
+        });
+
+        await writer.addFile(entryName, `${frontMatter}\n\n${markdown !== null ? markdown.trim() : htmlToMarkdown(content)}\n`, post.updated_at || post.created_at);
+
+        postsJson.push({
+          id: post.id,
+          title: post.title,
+          slug: post.slug,
+          language: post.language || null,
+          translation_group: post.translation_group || null,
+          status: post.status,
+          publish_date: formatDate(post.publish_date),
+          created_at: formatDate(post.created_at),
+          updated_at: formatDate(post.updated_at),
+          author,
+          co_authors: coAuthors,
+          labels: postLabels,
+          excerpt: post.excerpt,
+          image: post.image,
+          is_featured: Boolean(post.is_featured),
+          is_spotlight: Boolean(post.is_spotlight),
+          content: post.content,
+          content_format: post.content_format || 'html',
+          content_markdown: post.content_markdown || null,
+          markdown_file: entryName
+        });
+        stats.posts++;
+      }
+    }
+
+    await writer.addFile('posts.json', JSON.stringify(postsJson, null, 2));
+    await writer.addFile('manifest.json', JSON.stringify({
+      generated_at: moment().format(),
+      base_url: process.env.BASE_URL || null,
+      ...stats
+    }, null, 2));
+
+    return stats;
+  }
+
+  // Path file arsip untuk job yang sudah selesai, atau null jika file sudah tidak ada
+  static async getArchivePath(job) {
+    if (!job || job.status !== 'completed' || !job.file_name) return null;
+    const filePath = path.join(exportDir, path.basename(job.file_name));
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static async remove(job) {
+    if (job.status === 'pending' || job.status === 'processing') {
+      throw new AppError('Ekspor yang masih berjalan tidak bisa dihapus', 409);
+    }
+    if (job.file_name) {
+      await fs.unlink(path.join(exportDir, path.basename(job.file_name))).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await ContentExport.delete(job.id);
+  }
+}
+
+module.exports = ContentExportService;
@@ -0,0 +1,321 @@
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { clearCache, cacheKeys } = require('../utils/cacheHandler');
+const { termFrequencies, cosineSimilarity } = require('../utils/textSimilarity');
+const Post = require('../models/Post');
+
+// Jumlah related post yang disimpan per post
+const RELATED_LIMIT = 10;
+// Kandidat terbaik dari kecocokan term dan label yang dinilai lengkap
+const CANDIDATE_LIMIT = 50;
+const REBUILD_BATCH_SIZE = 100;
+
+// Bobot komponen skor; totalnya 1 sehingga skor akhir tetap 0-1
+const WEIGHTS = { label: 0.45, text: 0.45, recency: 0.1 };
+// Bobot kebaruan turun setengah setiap 180 hari
+const RECENCY_HALF_LIFE_DAYS = 180;
+
+// Post yang boleh menjadi related: terbit, tidak di trash, belum kedaluwarsa, bahasa sama
+const candidateScope = () => `p.status = 'published'
+  AND p.deleted_at IS NULL
+  AND p.language = ?
+  AND ${Post.EXPIRY_VISIBLE_SQL}`;
+
+// IDF dengan smoothing supaya term yang muncul di semua post tetap bernilai positif
+const inverseFrequency = (totalDocs, docFrequency) => Math.log((totalDocs + 1) / (docFrequency + 1)) + 1;
+
+let rebuildRunning = false;
+
+class RelatedPostsService {
+  static get isRebuilding() {
+    return rebuildRunning;
+  }
+
+  // Hitung ulang di background supaya simpan/terbit post tidak ikut menunggu.
+  // Beberapa post diproses berurutan agar tidak membanjiri pool koneksi
+  static schedule(postIds) {
+    const ids = Array.isArray(postIds) ? postIds : [postIds];
+    setImmediate(async () => {
+      for (const postId of ids) {
+        try {
+          await this.refresh(postId, { cascade: ids.length === 1 });
+        } catch (error) {
+          logger.error(`Related posts refresh for ${postId} failed:`, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Index ulang term post lalu hitung related post-nya. Dengan cascade, daftar related
+   * milik post-post yang terkait ikut dihitung ulang supaya post ini muncul di sana
+   * @param {string} postId
+   * @param {Object} [options]
+   * @param {boolean} [options.cascade=true]
+   * @returns {Promise<Array<{id: string, score: number}>>}
+   */
+  static async refresh(postId, { cascade = true } = {}) {
+    const [post] = await executeQuery(
+      'SELECT id, title, content, status, language, deleted_at FROM posts WHERE id = ?',
+      [postId]
+    );
+    if (!post || post.status !== 'published' || post.deleted_at) {
+      await this.remove(postId);
+      return [];
+    }
+
+    const terms = await this.indexTerms(post);
+    const related = await this.computeAndSave(post, terms);
+
+    if (cascade) {
+      for (const item of related) {
+        await this.computeAndSave(item.id);
+      }
+    }
+    return related;
+  }
+
+  // Simpan term post ke post_terms, menggantikan hasil index sebelumnya
+  static async indexTerms(post) {
+    const terms = termFrequencies(post.title, post.content);
+    await executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM post_terms WHERE post_id = ?', [post.id]);
+        if (terms.size > 0) {
+          await connection.query(
+            'INSERT INTO post_terms (post_id, term, weight) VALUES ?',
+            [[...terms.entries()].map(([term, weight]) => [post.id, term, weight])]
+          );
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+    return terms;
+  }
+
+  // Post yang tidak lagi publik dikeluarkan dari index dan dari daftar related post lain
+  static async remove(postId) {
+    await executeQuery('DELETE FROM post_terms WHERE post_id = ?', [postId]);
+    await executeQuery('DELETE FROM post_related WHERE post_id = ? OR related_post_id = ?', [postId, postId]);
+    await clearCache(cacheKeys.RELATED_POSTS(''));
+  }
+
+  /**
+   * Nilai kandidat related untuk satu post lalu simpan yang terbaik ke post_related.
+   * Skor = label bersama (dibobot kelangkaan label) + kemiripan TF-IDF + kebaruan
+   * @param {Object|string} postOrId - Post (id, language) atau id-nya
+   * @param {Map<string, number>} [terms] - Term post; dibaca dari post_terms jika kosong
+   */
+  static async computeAndSave(postOrId, terms = null) {
+    let post = postOrId;
+    if (typeof postOrId !== 'object') {
+      [post] = await executeQuery(
+        "SELECT id, language FROM posts WHERE id = ? AND status = 'published' AND deleted_at IS NULL",
+        [postOrId]
+      );
+      if (!post) return [];
+    }
+    if (!terms) {
+      const rows = await executeQuery('SELECT term, weight FROM post_terms WHERE post_id = ?', [post.id]);
+      terms = new Map(rows.map(row => [row.term, row.weight]));
+    }
+
+    const related = await this.computeRelated(post, terms);
+    await this.saveRelated(post.id, related);
+    await clearCache(cacheKeys.RELATED_POSTS(post.id));
+    return related;
+  }
+
+  static async computeRelated(post, terms) {
+    const scope = candidateScope();
+    const [{ total }] = await executeQuery(`SELECT COUNT(*) as total FROM posts p WHERE ${scope}`, [post.language]);
+    const totalDocs = Number(total);
+
+    // Kandidat dari term bersama; jumlah baris per term sekaligus menjadi document frequency
+    const termCandidates = new Map();
+    const sourceTermFrequency = new Map();
+    if (terms.size > 0) {
+      const rows = await executeQuery(
+        `SELECT pt.post_id, pt.term, pt.weight
+        FROM post_terms pt
+        JOIN posts p ON p.id = pt.post_id
+        WHERE pt.term IN (?) AND pt.post_id != ? AND ${scope}`,
+        [[...terms.keys()], post.id, post.language]
+      );
+      rows.forEach(row => sourceTermFrequency.set(row.term, (sourceTermFrequency.get(row.term) || 0) + 1));
+      rows.forEach(row => {
+        const idf = inverseFrequency(totalDocs, sourceTermFrequency.get(row.term) + 1);
+        const overlap = row.weight * terms.get(row.term) * idf * idf;
+        termCandidates.set(row.post_id, (termCandidates.get(row.post_id) || 0) + overlap);
+      });
+    }
+
+    // Kandidat dari label bersama; label yang jarang dipakai bernilai lebih tinggi
+    const labelScores = new Map();
+    const labelRows = await executeQuery('SELECT label_id FROM post_labels WHERE post_id = ?', [post.id]);
+    if (labelRows.length > 0) {
+      const labelIds = labelRows.map(row => row.label_id);
+      const [frequencies, matches] = await Promise.all([
+        executeQuery(
+          `SELECT pl.label_id, COUNT(*) as total
+          FROM post_labels pl
+          JOIN posts p ON p.id = pl.post_id
+          WHERE pl.label_id IN (?) AND ${scope}
+          GROUP BY pl.label_id`,
+          [labelIds, post.language]
+        ),
+        executeQuery(
+          `SELECT pl.post_id, pl.label_id
+          FROM post_labels pl
+          JOIN posts p ON p.id = pl.post_id
+          WHERE pl.label_id IN (?) AND pl.post_id != ? AND ${scope}`,
+          [labelIds, post.id, post.language]
+        )
+      ]);
+
+      const labelIdf = new Map(labelIds.map(id => [id, inverseFrequency(totalDocs, 1)]));
+      frequencies.forEach(row => labelIdf.set(row.label_id, inverseFrequency(totalDocs, Number(row.total))));
+      const maxLabelScore = [...labelIdf.values()].reduce((sum, value) => sum + value, 0);
+
+      matches.forEach(row => {
+        labelScores.set(row.post_id, (labelScores.get(row.post_id) || 0) + labelIdf.get(row.label_id) / maxLabelScore);
+      });
+    }
+
+    const topIds = (scores) => [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CANDIDATE_LIMIT)
+      .map(([id]) => id);
+    const candidateIds = [...new Set([...topIds(termCandidates), ...topIds(labelScores)])];
+    if (candidateIds.length === 0) return [];
+
+    // Vektor TF-IDF lengkap kandidat untuk cosine similarity
+    const [candidateTerms, candidatePosts] = await Promise.all([
+      executeQuery('SELECT post_id, term, weight FROM post_terms WHERE post_id IN (?)', [candidateIds]),
+      executeQuery(
+        'SELECT id, COALESCE(publish_date, created_at) as published_at FROM posts WHERE id IN (?)',
+        [candidateIds]
+      )
+    ]);
+
+    const vocabulary = [...new Set([...terms.keys(), ...candidateTerms.map(row => row.term)])];
+    const documentFrequency = new Map();
+    if (vocabulary.length > 0) {
+      const rows = await executeQuery(
+        `SELECT pt.term, COUNT(*) as total
+        FROM post_terms pt
+        JOIN posts p ON p.id = pt.post_id
+        WHERE pt.term IN (?) AND ${scope}
+        GROUP BY pt.term`,
+        [vocabulary, post.language]
+      );
+      rows.forEach(row => documentFrequency.set(row.term, Number(row.total)));
+    }
+    const tfidf = (entries) => new Map(entries.map(([term, weight]) => [
+      term,
+      weight * inverseFrequency(totalDocs, documentFrequency.get(term) || 1)
+    ]));
+
+    const sourceVector = tfidf([...terms.entries()]);
+    const candidateVectors = new Map(candidateIds.map(id => [id, []]));
+    candidateTerms.forEach(row => candidateVectors.get(row.post_id).push([row.term, row.weight]));
+
+    const now = Date.now();
+    return candidatePosts
+      .map(candidate => {
+        const labelScore = Math.min(labelScores.get(candidate.id) || 0, 1);
+        const textScore = cosineSimilarity(sourceVector, tfidf(candidateVectors.get(candidate.id)));
+        const ageDays = candidate.published_at
+          ? Math.max(now - new Date(candidate.published_at).getTime(), 0) / 86400000
+          : Infinity;
+        const recencyScore = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+        return {
+          id: candidate.id,
+          label_score: labelScore,
+          text_score: textScore,
+          score: WEIGHTS.label * labelScore + WEIGHTS.text * textScore + WEIGHTS.recency * recencyScore
+        };
+      })
+      .filter(candidate => candidate.label_score > 0 || candidate.text_score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RELATED_LIMIT);
+  }
+
+  static async saveRelated(postId, related) {
+    await executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM post_related WHERE post_id = ?', [postId]);
+        if (related.length > 0) {
+          await connection.query(
+            'INSERT INTO post_related (post_id, related_post_id, score, label_score, text_score) VALUES ?',
+            [related.map(item => [postId, item.id, item.score, item.label_score, item.text_score])]
+          );
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Index ulang semua post terbit lalu hitung related-nya, misalnya setelah migrasi.
+   * Berjalan di background; hanya satu rebuild pada satu waktu
+   * @returns {boolean} false jika rebuild lain masih berjalan
+   */
+  static startRebuild() {
+    if (rebuildRunning) return false;
+    rebuildRunning = true;
+
+    setImmediate(async () => {
+      const startedAt = Date.now();
+      try {
+        await executeQuery(
+          `DELETE pt FROM post_terms pt
+          LEFT JOIN posts p ON p.id = pt.post_id
+          WHERE p.id IS NULL OR p.status != 'published' OR p.deleted_at IS NOT NULL`
+        );
+
+        let total = 0;
+        for (const pass of ['index', 'related']) {
+          for (let offset = 0; ; offset += REBUILD_BATCH_SIZE) {
+            const posts = await executeQuery(
+              `SELECT id, title, content, language FROM posts
+              WHERE status = 'published' AND deleted_at IS NULL
+              ORDER BY id
+              LIMIT ? OFFSET ?`,
+              [REBUILD_BATCH_SIZE, offset]
+            );
+            if (posts.length === 0) break;
+
+            for (const post of posts) {
+              if (pass === 'index') {
+                await this.indexTerms(post);
+                total++;
+              } else {
+                await this.computeAndSave(post);
+              }
+            }
+          }
+        }
+
+        logger.info('Related posts rebuild completed', { posts: total, durationMs: Date.now() - startedAt });
+      } catch (error) {
+        logger.error('Related posts rebuild failed:', error);
+      } finally {
+        rebuildRunning = false;
+      }
+    });
+
+    return true;
+  }
+}
+
+module.exports = RelatedPostsService;
@@ -0,0 +1,253 @@
+const moment = require('moment');
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { uploadFilename, deleteImageFile } = require('../utils/imageHandler');
+const { clearCache, cacheKeys } = require('../utils/cacheHandler');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_BATCH_SIZE = 50;
+
+// Tabel yang barisnya ikut dihapus bersama post
+const POST_TABLES = [
+  'post_labels',
+  'post_versions',
+  'post_views',
+  'post_popularity',
+  'post_view_daily',
+  'post_view_daily_referrers',
+  'post_view_daily_devices',
+  'post_authors',
+  'post_autosaves',
+  'post_edit_locks',
+  'post_preview_links',
+  'post_review_events',
+  'post_slug_history',
+  'post_terms',
+  'series_posts',
+  'likes',
+  'comments'
+];
+
+// Nama file upload yang dirujuk gambar utama dan isi HTML sebuah post
+const collectUploads = (image, contents) => {
+  const filenames = new Set();
+  if (image) {
+    const filename = image.includes('/') ? uploadFilename(image) : image;
+    if (filename) filenames.add(filename);
+  }
+  contents.filter(Boolean).forEach(content => {
+    content.replace(/\s(?:src|href)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi, (match, doubleQuoted, singleQuoted) => {
+      const filename = uploadFilename(doubleQuoted ?? singleQuoted);
+      if (filename) filenames.add(filename);
+      return match;
+    });
+  });
+  return filenames;
+};
+
+class TrashPurgeService {
+  /**
+   * Masa simpan post di trash dalam hari, dari TRASH_RETENTION_DAYS.
+   * Nilai 0 mematikan penghapusan otomatis
+   * @returns {number}
+   */
+  static get retentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+  }
+
+  // Post di trash yang deleted_at-nya sudah melewati masa retensi dan tidak dikecualikan
+  static async getExpiredPosts(limit = null) {
+    return executeQuery(
+      `SELECT p.id, p.title, p.slug, p.image, p.content, p.deleted_at, p.translation_group,
+        u.name as author_name
+      FROM posts p
+      LEFT JOIN users u ON p.author_id = u.id
+      WHERE p.deleted_at IS NOT NULL
+      AND p.deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      AND p.purge_exempt = 0
+      ORDER BY p.deleted_at ASC
+      ${limit ? 'LIMIT ?' : ''}`,
+      limit ? [this.retentionDays, limit] : [this.retentionDays]
+    );
+  }
+
+  // Semua file upload yang dirujuk post beserta revisinya
+  static async collectUploads(posts) {
+    const versions = await executeQuery(
+      'SELECT content FROM post_versions WHERE post_id IN (?)',
+      [posts.map(post => post.id)]
+    );
+    const filenames = new Set();
+    posts.forEach(post => {
+      collectUploads(post.image, [post.content]).forEach(filename => filenames.add(filename));
+    });
+    collectUploads(null, versions.map(version => version.content)).forEach(filename => filenames.add(filename));
+    return [...filenames];
+  }
+
+  // File yang tidak dirujuk post, revisi atau slide carousel mana pun selain excludeIds
+  static async findUnreferencedUploads(filenames, excludeIds = []) {
+    const excludePosts = excludeIds.length > 0 ? 'id NOT IN (?) AND' : '';
+    const excludeVersions = excludeIds.length > 0 ? 'post_id NOT IN (?) AND' : '';
+    const unreferenced = [];
+
+    for (const filename of filenames) {
+      const pattern = `%/${filename}%`;
+      const [references] = await executeQuery(
+        `SELECT
+          (SELECT COUNT(*) FROM posts
+            WHERE ${excludePosts} (image = ? OR image LIKE ? OR content LIKE ?)) +
+          (SELECT COUNT(*) FROM post_versions
+            WHERE ${excludeVersions} content LIKE ?) +
+          (SELECT COUNT(*) FROM carousel_slides WHERE image_url LIKE ?) as total`,
+        [
+          ...(excludeIds.length > 0 ? [excludeIds] : []), filename, pattern, pattern,
+          ...(excludeIds.length > 0 ? [excludeIds] : []), pattern,
+          pattern
+        ]
+      );
+      if (Number(references.total) === 0) unreferenced.push(filename);
+    }
+    return unreferenced;
+  }
+
+  /**
+   * Pratinjau post dan file yang akan dihapus pada purge berikutnya
+   * @returns {Promise<Object>}
+   */
+  static async preview() {
+    const retentionDays = this.retentionDays;
+    const posts = retentionDays > 0 ? await this.getExpiredPosts() : [];
+    const [exempt] = await executeQuery(
+      'SELECT COUNT(*) as total FROM posts WHERE deleted_at IS NOT NULL AND purge_exempt = 1'
+    );
+
+    return {
+      enabled: retentionDays > 0,
+      retention_days: retentionDays,
+      cutoff: retentionDays > 0 ? moment().subtract(retentionDays, 'days').format() : null,
+      total: posts.length,
+      exempt_count: Number(exempt.total),
+      posts: posts.map(post => ({
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        author_name: post.author_name || null,
+        deleted_at: post.deleted_at
+      })),
+      files: posts.length > 0
+        ? await this.findUnreferencedUploads(await this.collectUploads(posts), posts.map(post => post.id))
+        : []
+    };
+  }
+
+  /**
+   * Hapus permanen post di trash yang melewati masa retensi, per batch
+   * @returns {Promise<{posts: number, files: number}>}
+   */
+  static async purge() {
+    const result = { posts: 0, files: 0 };
+    if (this.retentionDays === 0) return result;
+
+    for (;;) {
+      const posts = await this.getExpiredPosts(PURGE_BATCH_SIZE);
+      if (posts.length === 0) break;
+
+      // File dikumpulkan sebelum baris revisinya ikut terhapus, lalu dicek ulang
+      // setelah post benar-benar hilang supaya file yang masih dipakai tidak ikut terhapus
+      const uploads = await this.collectUploads(posts);
+      const purgedIds = await this.deletePosts(posts.map(post => post.id));
+      if (purgedIds.length === 0) break;
+
+      for (const filename of await this.findUnreferencedUploads(uploads)) {
+        if (await deleteImageFile(filename)) result.files++;
+      }
+      result.posts += purgedIds.length;
+      logger.info('Post di trash dihapus permanen', { count: purgedIds.length, posts: purgedIds });
+
+      if (posts.length < PURGE_BATCH_SIZE) break;
+    }
+
+    return result;
+  }
+
+  // Hapus post beserta data turunannya dalam satu transaksi. Post yang sudah
+  // dipulihkan atau dikecualikan sejak dipilih dilewati
+  static async deletePosts(postIds) {
+    return executeQuery(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const [rows] = await connection.query(
+          `SELECT id, translation_group FROM posts
+          WHERE id IN (?) AND deleted_at IS NOT NULL AND purge_exempt = 0
+          FOR UPDATE`,
+          [postIds]
+        );
+        const ids = rows.map(row => row.id);
+        if (ids.length === 0) {
+          await connection.rollback();
+          return [];
+        }
+
+        for (const table of POST_TABLES) {
+          await connection.query(`DELETE FROM ${table} WHERE post_id IN (?)`, [ids]);
+        }
+        // Post yang dihapus juga dikeluarkan dari daftar related post lain
+        await connection.query(
+          'DELETE FROM post_related WHERE post_id IN (?) OR related_post_id IN (?)',
+          [ids, ids]
+        );
+        await connection.query('DELETE FROM posts WHERE id IN (?)', [ids]);
+
+        // Grup terjemahan yang tinggal satu anggota dibubarkan
+        const groups = [...new Set(rows.map(row => row.translation_group).filter(Boolean))];
+        if (groups.length > 0) {
+          const [remaining] = await connection.query(
+            `SELECT translation_group FROM posts
+            WHERE translation_group IN (?)
+            GROUP BY translation_group
+            HAVING COUNT(*) = 1`,
+            [groups]
+          );
+          if (remaining.length > 0) {
+            await connection.query(
+              'UPDATE posts SET translation_group = NULL WHERE translation_group IN (?)',
+              [remaining.map(row => row.translation_group)]
+            );
+          }
+        }
+
+        await connection.commit();
+        await clearCache(cacheKeys.RELATED_POSTS(''));
+        return ids;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Kecualikan post dari purge otomatis, atau cabut pengecualiannya
+   * @param {string} postId
+   * @param {boolean} exempt
+   * @returns {Promise<{id: string, purge_exempt: boolean, deleted_at: Date|null}>}
+   */
+  static async setExempt(postId, exempt) {
+    const result = await executeQuery(
+      'UPDATE posts SET purge_exempt = ? WHERE id = ?',
+      [exempt ? 1 : 0, postId]
+    );
+    if (result.affectedRows === 0) {
+      throw new AppError('Post tidak ditemukan', 404);
+    }
+
+    const [post] = await executeQuery('SELECT id, deleted_at FROM posts WHERE id = ?', [postId]);
+    logger.info('Post purge exemption updated', { postId, exempt });
+    return { id: post.id, purge_exempt: Boolean(exempt), deleted_at: post.deleted_at };
+  }
+}
+
+module.exports = TrashPurgeService;
@@ -0,0 +1,505 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const moment = require('moment');
+const { executeQuery } = require('../config/databaseConfig');
+const { logger } = require('../utils/logger');
+const { parseWxr } = require('../utils/wxrParser');
+const { uploadDir } = require('../uploadConfig');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const UniqueLabel = require('../models/UniqueLabel');
+
+// Status WordPress -> status post; yang tidak ada di sini (trash, auto-draft, inherit) dilewati
+const STATUS_MAP = {
+  publish: 'published',
+  future: 'scheduled',
+  draft: 'draft',
+  pending: 'submitted',
+  private: 'draft'
+};
+
+const ALLOWED_ATTACHMENT_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.pdf'];
+const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = 30000;
+const MAX_DOWNLOAD_REDIRECTS = 5;
+
+const BLOCK_TAG = /^<\/?(p|div|h[1-6]|ul|ol|li|blockquote|pre|table|figure|hr|iframe)[\s>]/i;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sanitizeFilename = (filename) => filename
+  .replace(/[^a-zA-Z0-9.-]/g, '_')
+  .toLowerCase();
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Path relatif di bawah wp-content/uploads, misalnya 2015/12/natal.jpg
+const uploadsRelativePath = (url) => {
+  const match = url.match(/\/wp-content\/uploads\/(.+)$/);
+  return match ? safeDecode(match[1].split(/[?#]/)[0]) : null;
+};
+
+// [caption] menjadi <figure>, shortcode media lain dibuang karena tidak bisa dirender di sini
+const convertShortcodes = (content) => content
+  .replace(/\[caption[^\]]*\]([\s\S]*?)\[\/caption\]/g, (match, inner) => {
+    const parts = inner.match(/^\s*((?:<a[^>]*>\s*)?<img[^>]*>(?:\s*<\/a>)?)([\s\S]*)$/);
+    if (!parts) return inner;
+    const caption = parts[2].trim();
+    return `<figure>${parts[1]}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+  })
+  .replace(/\[\/?(gallery|embed|audio|video|playlist)[^\]]*\]/g, '');
+
+// Versi ringkas wpautop: editor klasik WordPress menyimpan paragraf sebagai baris kosong
+const autoParagraph = (content) => {
+  if (/<p[\s>]/i.test(content)) return content;
+
+  return content
+    .split(/\n\s*\n/)
+    .map(chunk => chunk.trim())
+    .filter(Boolean)
+    .map(chunk => (BLOCK_TAG.test(chunk) ? chunk : `<p>${chunk.replace(/\n/g, '<br>')}</p>`))
+    .join('\n');
+};
+
+const buildExcerpt = (excerpt, content, maxLength = 200) => {
+  if (excerpt && excerpt.trim()) return excerpt.trim();
+  const plainText = content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return plainText.length > maxLength ? `${plainText.slice(0, maxLength)}...` : plainText;
+};
+
+// Hostname dari URL atau host polos ("cdn.example.com"); null jika tidak valid
+const hostnameOf = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value.trim()}`).hostname.toLowerCase() || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Host yang boleh dihubungi saat mengunduh attachment: host situs di file WXR
+ * ditambah host yang didaftarkan admin (misalnya CDN gambar)
+ * @param {Object} wpSite - data.site hasil parseWxr
+ * @param {string[]} extraHosts
+ * @returns {Set<string>}
+ */
+const attachmentHosts = (wpSite, extraHosts = []) => new Set(
+  [wpSite.base_url, ...extraHosts].map(hostnameOf).filter(Boolean)
+);
+
+// Tolak URL selain http(s) atau di luar host yang diizinkan, supaya file WXR tidak bisa
+// membuat server menghubungi alamat internal
+const assertDownloadAllowed = (url, allowedHosts) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('URL attachment tidak valid');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Hanya URL http(s) yang boleh diunduh');
+  }
+  if (!allowedHosts.has(parsed.hostname.toLowerCase())) {
+    throw new Error(`Host ${parsed.hostname} tidak ada dalam daftar host yang diizinkan`);
+  }
+  return parsed.href;
+};
+
+const parsePostDate = (item) => {
+  if (item.post_date_gmt && !item.post_date_gmt.startsWith('0000')) {
+    return moment.utc(item.post_date_gmt, 'YYYY-MM-DD HH:mm:ss').toDate();
+  }
+  if (item.post_date && !item.post_date.startsWith('0000')) {
+    return moment(item.post_date, 'YYYY-MM-DD HH:mm:ss').toDate();
+  }
+  return new Date();
+};
+
+class WordpressImportService {
+  /**
+   * Impor isi file WXR. Dengan dryRun tidak ada yang ditulis; laporan berisi apa yang akan dibuat.
+   * @param {string} xml - Isi file ekspor WordPress
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Hanya buat laporan
+   * @param {string} options.actorId - Admin yang menjalankan impor, dipakai jika penulis tidak bisa dipetakan
+   * @param {string|null} options.attachmentsDir - Salinan lokal wp-content/uploads; tanpa ini attachment diunduh
+   * @param {string[]} options.allowedHosts - Host tambahan selain base_url situs yang boleh dipakai mengunduh attachment
+   */
+  static async importWxr(xml, { dryRun = true, actorId, attachmentsDir = null, allowedHosts = [] } = {}) {
+    const data = parseWxr(xml);
+    const site = (data.site.base_url || data.site.link || 'wordpress').slice(0, 191);
+
+    const report = {
+      dry_run: dryRun,
+      site,
+      users: { matched: [], created: [], fallback: [] },
+      labels: { reused: [], created: [] },
+      posts: { created: [], skipped: [] },
+      attachments: { copied: [], downloaded: [], reused: [], failed: [] },
+      rewritten_urls: 0,
+      unmapped_urls: []
+    };
+
+    const posts = data.items.filter(item => item.post_type === 'post');
+    const attachments = new Map(data.items
+      .filter(item => item.post_type === 'attachment' && item.attachment_url)
+      .map(item => [item.id, item]));
+
+    const authorMap = await this.mapAuthors(data.authors, actorId, dryRun, report);
+    const labelMap = await this.mapLabels(data.categories, data.tags, posts, dryRun, report);
+
+    const importable = [];
+    for (const item of posts) {
+      const status = STATUS_MAP[item.status];
+      if (!status) {
+        report.posts.skipped.push({ wp_id: item.id, title: item.title, reason: `Status ${item.status} tidak diimpor` });
+        continue;
+      }
+      if (await this.findMapping(site, 'post', item.id)) {
+        report.posts.skipped.push({ wp_id: item.id, title: item.title, reason: 'Sudah pernah diimpor' });
+        continue;
+      }
+      importable.push({ item, status });
+    }
+
+    // Hanya attachment yang dipakai (gambar utama atau muncul di konten) yang dipindahkan
+    const usedAttachments = [...attachments.values()].filter(attachment => importable.some(({ item }) => {
+      if (String(item.meta._thumbnail_id) === String(attachment.id)) return true;
+      const relative = uploadsRelativePath(attachment.attachment_url);
+      return relative && item.content.includes(relative.replace(/\.[^.]+$/, ''));
+    }));
+
+    const urlMap = await this.transferAttachments(site, usedAttachments, {
+      dryRun,
+      attachmentsDir,
+      allowedHosts: attachmentHosts(data.site, allowedHosts),
+      report
+    });
+
+    for (const { item, status } of importable) {
+      const content = this.rewriteUrls(autoParagraph(convertShortcodes(item.content)), urlMap, data.site, report);
+      const thumbnail = urlMap.byId.get(parseInt(item.meta._thumbnail_id, 10));
+      const labels = [...item.categories, ...item.tags]
+        .map(term => labelMap.get(term.name.trim().toLowerCase()))
+        .filter(Boolean);
+
+      const postData = {
+        title: item.title || '(Tanpa judul)',
+        content,
+        excerpt: buildExcerpt(item.excerpt, content),
+        image: thumbnail ? `uploads/${thumbnail.filename}` : '',
+        status: status === 'scheduled' ? Post.resolveScheduledStatus('published', parsePostDate(item)) : status,
+        user_id: authorMap.get(item.creator) || actorId,
+        publish_date: parsePostDate(item),
+        is_featured: 0,
+        is_spotlight: 0,
+        slug: item.post_name ? safeDecode(item.post_name) : null,
+        labels: labels.filter(id => typeof id === 'number')
+      };
+
+      if (dryRun) {
+        report.posts.created.push({
+          wp_id: item.id,
+          title: postData.title,
+          slug: await Post.generateUniqueSlug(postData.slug || postData.title),
+          status: postData.status,
+          old_url: item.link
+        });
+        continue;
+      }
+
+      // Mapping disimpan dalam transaksi yang sama agar impor ulang tidak menduplikasi post
+      const post = await Post.createPost(postData, {
+        onCreated: (connection, postId) => this.saveMapping(site, 'post', item.id, postId, connection)
+      });
+      report.posts.created.push({
+        wp_id: item.id,
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        status: post.status,
+        old_url: item.link
+      });
+    }
+
+    report.summary = {
+      users_created: report.users.created.length,
+      labels_created: report.labels.created.length,
+      posts_created: report.posts.created.length,
+      posts_skipped: report.posts.skipped.length,
+      attachments_transferred: report.attachments.copied.length + report.attachments.downloaded.length,
+      attachments_failed: report.attachments.failed.length
+    };
+
+    logger.info('WordPress import finished:', { site, dryRun, ...report.summary });
+    return report;
+  }
+
+  // Penulis dicocokkan lewat email lalu username; yang belum ada dibuat sebagai writer yang belum disetujui
+  static async mapAuthors(authors, actorId, dryRun, report) {
+    const authorMap = new Map();
+
+    for (const author of authors) {
+      const existing = (author.email && await User.findByEmail(author.email)) ||
+        (author.login && await User.findByUsername(author.login));
+
+      if (existing) {
+        authorMap.set(author.login, existing.id);
+        report.users.matched.push({ login: author.login, user_id: existing.id });
+        continue;
+      }
+
+      if (!author.email) {
+        authorMap.set(author.login, actorId);
+        report.users.fallback.push({ login: author.login, reason: 'Tanpa email, post diberikan ke pengimpor' });
+        continue;
+      }
+
+      const name = author.display_name || [author.first_name, author.last_name].filter(Boolean).join(' ') || author.login;
+      if (dryRun) {
+        report.users.created.push({ login: author.login, email: author.email, name });
+        continue;
+      }
+
+      // Password acak: akun impor harus reset password sebelum bisa login
+      const user = await User.create({
+        username: author.login,
+        email: author.email,
+        password: crypto.randomBytes(24).toString('hex'),
+        name,
+        role: 'writer'
+      });
+      authorMap.set(author.login, user.id);
+      report.users.created.push({ login: author.login, email: author.email, name, user_id: user.id });
+    }
+
+    return authorMap;
+  }
+
+  // Kategori dan tag menjadi unique_labels. Kategori induk dibuat lebih dulu supaya parent_id bisa diisi;
+  // label dengan nama yang sudah ada dipakai ulang tanpa mengubah induknya
+  static async mapLabels(categories, tags, posts, dryRun, report) {
+    const labelMap = new Map();
+    const byNicename = new Map(categories.map(category => [category.nicename, category]));
+
+    // Kategori/tag yang hanya muncul di item juga diimpor
+    posts.forEach(item => {
+      item.categories.forEach(term => {
+        if (!byNicename.has(term.nicename)) byNicename.set(term.nicename, { nicename: term.nicename, name: term.name, parent: '' });
+      });
+    });
+    const tagNames = new Set(tags.map(tag => tag.name));
+    posts.forEach(item => item.tags.forEach(term => tagNames.add(term.name)));
+
+    const ensureLabel = async (name, parentName = null) => {
+      const key = name.trim().toLowerCase();
+      if (labelMap.has(key)) return labelMap.get(key);
+
+      const existing = await UniqueLabel.findByName(name);
+      if (existing) {
+        labelMap.set(key, existing.id);
+        report.labels.reused.push({ name, id: existing.id });
+        return existing.id;
+      }
+
+      const parentId = parentName ? labelMap.get(parentName.trim().toLowerCase()) : null;
+      if (dryRun) {
+        // Id sementara berupa string supaya anak kategori tetap bisa menunjuk induknya di laporan
+        labelMap.set(key, `new:${name}`);
+        report.labels.created.push({ name, parent: parentName });
+        return labelMap.get(key);
+      }
+
+      const label = await UniqueLabel.create(name, typeof parentId === 'number' ? parentId : null);
+      labelMap.set(key, label.id);
+      report.labels.created.push({ name, parent: parentName, id: label.id });
+      return label.id;
+    };
+
+    const pending = [...byNicename.values()];
+    const done = new Set();
+    while (pending.length) {
+      const index = pending.findIndex(category => !category.parent || done.has(category.parent) || !byNicename.has(category.parent));
+      const [category] = pending.splice(index === -1 ? 0 : index, 1);
+      const parent = byNicename.get(category.parent);
+      await ensureLabel(category.name, parent ? parent.name : null);
+      done.add(category.nicename);
+    }
+
+    for (const name of tagNames) {
+      await ensureLabel(name);
+    }
+
+    return labelMap;
+  }
+
+  // Salin dari direktori lokal atau unduh attachment ke uploads; hasilnya peta URL lama -> file baru
+  static async transferAttachments(site, attachments, { dryRun, attachmentsDir, allowedHosts = new Set(), report }) {
+    const urlMap = { byId: new Map(), entries: [] };
+
+    for (const attachment of attachments) {
+      const url = attachment.attachment_url;
+      const relative = uploadsRelativePath(url);
+      const extension = path.extname(relative || url).toLowerCase();
+
+      if (!ALLOWED_ATTACHMENT_EXTENSIONS.includes(extension)) {
+        report.attachments.failed.push({ url, error: `Tipe file ${extension || '(tanpa ekstensi)'} tidak didukung` });
+        continue;
+      }
+
+      const mapped = await this.findMapping(site, 'attachment', attachment.id);
+      let filename = mapped;
+
+      if (!filename) {
+        const baseName = sanitizeFilename(path.parse(relative || url).name);
+        filename = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}-${baseName}${extension}`;
+
+        try {
+          if (attachmentsDir && relative) {
+            const source = path.resolve(attachmentsDir, relative);
+            if (!source.startsWith(path.resolve(attachmentsDir) + path.sep)) {
+              throw new Error('Path attachment tidak valid');
+            }
+            await fs.access(source);
+            if (!dryRun) {
+              await fs.copyFile(source, path.join(uploadDir, filename));
+            }
+            report.attachments.copied.push({ url, filename });
+          } else {
+            assertDownloadAllowed(url, allowedHosts);
+            if (!dryRun) {
+              await this.download(url, path.join(uploadDir, filename), allowedHosts);
+            }
+            report.attachments.downloaded.push({ url, filename });
+          }
+
+          if (!dryRun) {
+            await this.saveMapping(site, 'attachment', attachment.id, filename);
+          }
+        } catch (error) {
+          report.attachments.failed.push({ url, error: error.message });
+          continue;
+        }
+      } else {
+        report.attachments.reused.push({ url, filename });
+      }
+
+      urlMap.byId.set(attachment.id, { filename });
+      if (relative) {
+        urlMap.entries.push({ relative, filename });
+      }
+    }
+
+    return urlMap;
+  }
+
+  /**
+   * Unduh attachment ke destination. Redirect diikuti manual agar setiap hop dicek
+   * terhadap allowedHosts, dan body dibaca bertahap sehingga unduhan dihentikan
+   * begitu melewati MAX_ATTACHMENT_SIZE
+   * @param {string} url
+   * @param {string} destination
+   * @param {Set<string>} allowedHosts
+   */
+  static async download(url, destination, allowedHosts) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT);
+
+    try {
+      let current = assertDownloadAllowed(url, allowedHosts);
+      let response;
+      for (let redirects = 0; ; redirects++) {
+        response = await fetch(current, { signal: controller.signal, redirect: 'manual' });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) break;
+        if (redirects >= MAX_DOWNLOAD_REDIRECTS) {
+          throw new Error('Terlalu banyak redirect');
+        }
+        current = assertDownloadAllowed(new URL(location, current).href, allowedHosts);
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const size = parseInt(response.headers.get('content-length'), 10);
+      if (size > MAX_ATTACHMENT_SIZE) {
+        throw new Error('File terlalu besar');
+      }
+
+      const chunks = [];
+      let received = 0;
+      for await (const chunk of response.body) {
+        received += chunk.length;
+        if (received > MAX_ATTACHMENT_SIZE) {
+          controller.abort();
+          throw new Error('File terlalu besar');
+        }
+        chunks.push(chunk);
+      }
+
+      await fs.writeFile(destination, Buffer.concat(chunks));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Ganti URL gambar WordPress (termasuk versi thumbnail -300x200) dengan file di uploads
+  static rewriteUrls(content, urlMap, wpSite, report) {
+    let result = content;
+
+    urlMap.entries.forEach(({ relative, filename }) => {
+      const extension = path.extname(relative);
+      const stem = relative.slice(0, -extension.length);
+      const pattern = new RegExp(
+        `(?:https?:)?//[^"'\\s)]+/wp-content/uploads/${escapeRegex(stem)}(?:-\\d+x\\d+)?${escapeRegex(extension)}`,
+        'g'
+      );
+      result = result.replace(pattern, () => {
+        report.rewritten_urls++;
+        return `${process.env.BASE_URL}/uploads/${filename}`;
+      });
+    });
+
+    // URL uploads WordPress yang tersisa tidak punya attachment di file ekspor
+    const host = (wpSite.base_url || wpSite.link || '').replace(/^https?:\/\//, '');
+    if (host) {
+      const leftover = result.match(new RegExp(`https?://${escapeRegex(host)}/wp-content/uploads/[^"'\\s)]+`, 'g')) || [];
+      leftover.forEach(url => {
+        if (!report.unmapped_urls.includes(url)) report.unmapped_urls.push(url);
+      });
+    }
+
+    return result;
+  }
+
+  static async findMapping(site, type, wpId) {
+    const rows = await executeQuery(
+      'SELECT target FROM wordpress_import_map WHERE site = ? AND wp_type = ? AND wp_id = ?',
+      [site, type, wpId]
+    );
+    return rows[0] ? rows[0].target : null;
+  }
+
+  static async saveMapping(site, type, wpId, target, connection = null) {
+    const query = `INSERT INTO wordpress_import_map (site, wp_type, wp_id, target, created_at)
+      VALUES (?, ?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE target = VALUES(target)`;
+    const params = [site, type, wpId, target];
+    if (connection) {
+      await connection.query(query, params);
+      return;
+    }
+    await executeQuery(query, params);
+  }
+}
+
+module.exports = WordpressImportService;
@@ -54,6 +54,7 @@ const cacheKeys = {
   SPOTLIGHT_POSTS: 'spotlight_posts',
   FEATURED_POSTS: 'featured_posts',
   POST_DETAIL: (id) => `post_${id}`,
+  RELATED_POSTS: (id) => `related_posts_${id}`,
   ALL_POSTS: (params) => `all_posts_${JSON.stringify(params)}`
 };
 
@@ -0,0 +1,118 @@
+// Kecepatan baca rata-rata untuk teks berbahasa Indonesia (kata per menit).
+// Kata dalam bahasa Indonesia rata-rata lebih panjang dari bahasa Inggris karena imbuhan,
+// jadi angkanya lebih rendah dari 200-250 wpm yang biasa dipakai.
+const WORDS_PER_MINUTE = 180;
+// Tambahan waktu untuk setiap gambar (detik)
+const SECONDS_PER_IMAGE = 10;
+// Heading yang masuk daftar isi
+const TOC_LEVELS = [2, 3, 4];
+
+const HEADING_PATTERN = /<h([1-6])((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/h\1\s*>/gi;
+
+const decodeBasicEntities = (text) => text
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&amp;/gi, '&')
+  .replace(/&quot;/gi, '"')
+  .replace(/&#39;|&apos;/gi, "'")
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>');
+
+const stripTags = (html) => decodeBasicEntities(
+  html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+).replace(/\s+/g, ' ').trim();
+
+const countWords = (text) => {
+  if (!text) return 0;
+  // Hanya hitung token yang mengandung huruf atau angka
+  return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+};
+
+// Anchor heading: huruf kecil tanpa diakritik, spasi jadi tanda hubung
+const slugifyHeading = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, '')
+  .trim()
+  .replace(/[\s-]+/g, '-')
+  .slice(0, 80) || 'bagian';
+
+/**
+ * Menganalisis konten post: jumlah kata, estimasi waktu baca dan daftar isi.
+ * Heading yang masuk daftar isi diberi id supaya anchor di frontend berfungsi;
+ * id yang sudah ada dipertahankan sehingga link ke anchor tetap stabil antar edit.
+ * @param {string} html - Konten post (sudah disanitasi)
+ * @returns {{html: string, word_count: number, reading_time: number, toc: Array<{level: number, text: string, anchor: string}>}}
+ */
+const analyzeContent = (html) => {
+  if (!html) {
+    return { html: html || '', word_count: 0, reading_time: 0, toc: [] };
+  }
+
+  const usedAnchors = new Set();
+  const toc = [];
+
+  // Kumpulkan id yang sudah ada lebih dulu supaya anchor baru tidak bentrok
+  html.replace(HEADING_PATTERN, (match, level, attributes) => {
+    const idMatch = attributes.match(/\sid\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    if (idMatch) usedAnchors.add(idMatch[1] ?? idMatch[2]);
+    return match;
+  });
+
+  const content = html.replace(HEADING_PATTERN, (match, level, attributes, inner) => {
+    const headingLevel = parseInt(level, 10);
+    const text = stripTags(inner);
+    if (!TOC_LEVELS.includes(headingLevel) || !text) {
+      return match;
+    }
+
+    const idMatch = attributes.match(/\sid\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    if (idMatch) {
+      toc.push({ level: headingLevel, text, anchor: idMatch[1] ?? idMatch[2] });
+      return match;
+    }
+
+    const base = slugifyHeading(text);
+    let anchor = base;
+    let counter = 2;
+    while (usedAnchors.has(anchor)) {
+      anchor = `${base}-${counter++}`;
+    }
+    usedAnchors.add(anchor);
+
+    toc.push({ level: headingLevel, text, anchor });
+    return `<h${level} id="${anchor}"${attributes}>${inner}</h${level}>`;
+  });
+
+  const wordCount = countWords(stripTags(content));
+  const imageCount = (content.match(/<img\b/gi) || []).length;
+  const minutes = wordCount / WORDS_PER_MINUTE + (imageCount * SECONDS_PER_IMAGE) / 60;
+
+  return {
+    html: content,
+    word_count: wordCount,
+    reading_time: wordCount > 0 ? Math.max(1, Math.ceil(minutes)) : 0,
+    toc
+  };
+};
+
+// Kolom toc disimpan sebagai teks JSON
+const parseToc = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+};
+
+module.exports = {
+  analyzeContent,
+  parseToc,
+  decodeBasicEntities,
+  stripTags,
+  WORDS_PER_MINUTE
+};
@@ -0,0 +1,300 @@
+// Sanitizer HTML berbasis allowlist untuk konten post.
+// Semua yang tidak ada di daftar dibuang, dan setiap pembuangan dicatat supaya editor tahu
+// kenapa konten hasil paste berubah.
+
+const GLOBAL_ATTRIBUTES = ['class', 'style', 'title'];
+
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [], div: [], span: [],
+  h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+  strong: [], b: [], em: [], i: [], u: [], s: [], strike: [], del: [], ins: [],
+  sub: [], sup: [], small: [], mark: [], blockquote: ['cite'], pre: [], code: [],
+  ul: [], ol: ['start', 'type', 'reversed'], li: ['value'],
+  a: ['href', 'target', 'rel', 'name'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  figure: [], figcaption: [],
+  table: ['border', 'cellpadding', 'cellspacing'], caption: [], colgroup: [], col: ['span'],
+  thead: [], tbody: [], tfoot: [], tr: [],
+  th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan']
+};
+
+const VOID_TAGS = ['br', 'hr', 'img', 'col'];
+
+// Tag yang isinya ikut dibuang, bukan hanya tag-nya
+const DROP_WITH_CONTENT = ['script', 'style', 'noscript', 'template', 'object', 'embed', 'applet',
+  'frameset', 'frame', 'svg', 'math', 'iframe', 'textarea', 'select', 'button', 'head', 'title'];
+
+const URL_ATTRIBUTES = ['href', 'src', 'cite'];
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+const ALLOWED_STYLES = ['text-align', 'color', 'background-color', 'font-weight', 'font-style',
+  'text-decoration', 'width', 'height', 'max-width', 'float', 'margin', 'margin-left', 'margin-right'];
+
+const IFRAME_ALLOW = 'accelerometer; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const escapeText = (text) => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = (value) => value
+  .replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Decode entity yang sering dipakai untuk menyamarkan "javascript:"
+const decodeEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+  .replace(/&#(\d+);?/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+  .replace(/&colon;/gi, ':')
+  .replace(/&tab;/gi, '\t')
+  .replace(/&newline;/gi, '\n')
+  .replace(/&amp;/gi, '&');
+
+const isSafeUrl = (value, tagName) => {
+  const normalized = decodeEntities(value).replace(/[\s\u0000-\u001f\u007f-\u009f]/g, '');
+  if (!normalized) return false;
+
+  if (tagName === 'img' && /^data:/i.test(normalized)) {
+    return SAFE_DATA_IMAGE.test(decodeEntities(value).trim());
+  }
+
+  const schemeMatch = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!schemeMatch) {
+    // URL relatif (/path, #anchor, ?query, path) dan protocol-relative (//host)
+    return true;
+  }
+  return SAFE_URL_SCHEMES.includes(`${schemeMatch[1].toLowerCase()}:`);
+};
+
+const sanitizeStyle = (value, report) => {
+  const declarations = decodeEntities(value).split(';');
+  const kept = [];
+
+  declarations.forEach(declaration => {
+    const separator = declaration.indexOf(':');
+    if (separator === -1) return;
+
+    const property = declaration.slice(0, separator).trim().toLowerCase();
+    const propertyValue = declaration.slice(separator + 1).trim();
+    if (!property) return;
+
+    if (!ALLOWED_STYLES.includes(property) || /url\s*\(|expression\s*\(|javascript:|[<>]/i.test(propertyValue)) {
+      report('style', property);
+      return;
+    }
+    kept.push(`${property}: ${propertyValue}`);
+  });
+
+  return kept.join('; ');
+};
+
+// Ubah URL YouTube/Google Maps ke bentuk embed yang diizinkan; selain itu iframe dibuang
+const normalizeEmbedSrc = (src) => {
+  if (!src) return null;
+
+  let url;
+  try {
+    url = new URL(decodeEntities(src).trim(), 'https://placeholder.invalid');
+  } catch (error) {
+    return null;
+  }
+
+  const host = url.hostname.replace(/^www\./, '').toLowerCase();
+  let videoId = null;
+
+  if (['youtube.com', 'm.youtube.com', 'youtube-nocookie.com'].includes(host)) {
+    const embedMatch = url.pathname.match(/^\/(?:embed|shorts|live)\/([\w-]{6,20})/);
+    videoId = embedMatch ? embedMatch[1] : url.searchParams.get('v');
+  } else if (host === 'youtu.be') {
+    videoId = url.pathname.slice(1).split('/')[0];
+  }
+
+  if (videoId !== null) {
+    if (!/^[\w-]{6,20}$/.test(videoId)) return null;
+    const start = parseInt(url.searchParams.get('start') || url.searchParams.get('t'), 10);
+    return {
+      provider: 'youtube',
+      src: `https://www.youtube-nocookie.com/embed/${videoId}${start > 0 ? `?start=${start}` : ''}`
+    };
+  }
+
+  if ((host === 'google.com' || host === 'maps.google.com') && url.pathname.startsWith('/maps/embed')) {
+    return {
+      provider: 'google-maps',
+      src: `https://www.google.com/maps/embed${url.pathname.slice('/maps/embed'.length)}${url.search}`
+    };
+  }
+
+  return null;
+};
+
+const buildIframe = (attributes, report) => {
+  const attrs = {};
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(attributes)) !== null) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+
+  const embed = normalizeEmbedSrc(attrs.src);
+  if (!embed) {
+    report('embed', attrs.src ? 'iframe' : 'iframe-without-src');
+    return '';
+  }
+
+  const width = /^\d{1,4}%?$/.test(attrs.width || '') ? attrs.width : '560';
+  const height = /^\d{1,4}%?$/.test(attrs.height || '') ? attrs.height : '315';
+
+  return `<iframe src="${escapeAttribute(embed.src)}" width="${width}" height="${height}" ` +
+    `frameborder="0" loading="lazy" allow="${IFRAME_ALLOW}" allowfullscreen ` +
+    `data-embed="${embed.provider}"></iframe>`;
+};
+
+const sanitizeAttributes = (tagName, rawAttributes, report) => {
+  const allowed = [...GLOBAL_ATTRIBUTES, ...ALLOWED_TAGS[tagName]];
+  const output = [];
+  let target = null;
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(rawAttributes)) !== null) {
+    const name = match[1].toLowerCase();
+    let value = match[2] ?? match[3] ?? match[4];
+
+    if (!allowed.includes(name)) {
+      report(name.startsWith('on') ? 'event_handler' : 'attribute', `${tagName}[${name}]`);
+      continue;
+    }
+
+    if (value === undefined) {
+      value = '';
+    }
+
+    if (URL_ATTRIBUTES.includes(name) && !isSafeUrl(value, tagName)) {
+      report('unsafe_url', `${tagName}[${name}]`);
+      continue;
+    }
+
+    if (name === 'style') {
+      value = sanitizeStyle(value, (type, property) => report(type, `${tagName}[style:${property}]`));
+      if (!value) continue;
+    }
+
+    if (name === 'target') {
+      target = value;
+    }
+
+    if (name === 'rel') continue;
+    output.push(`${name}="${escapeAttribute(value)}"`);
+  }
+
+  // Link yang membuka tab baru tidak boleh memberi akses window.opener
+  if (tagName === 'a' && target === '_blank') {
+    output.push('rel="noopener noreferrer"');
+  }
+
+  return output.length ? ` ${output.join(' ')}` : '';
+};
+
+/**
+ * Membersihkan HTML konten post berdasarkan allowlist
+ * @param {string} html - HTML dari editor
+ * @returns {{html: string, changed: boolean, removed: Array<{type: string, name: string, count: number}>}}
+ */
+const sanitizeHtml = (html) => {
+  if (html === null || html === undefined || html === '') {
+    return { html: html || '', changed: false, removed: [] };
+  }
+
+  const input = String(html);
+  const removedMap = new Map();
+  const report = (type, name) => {
+    const key = `${type}:${name}`;
+    const entry = removedMap.get(key) || { type, name, count: 0 };
+    entry.count++;
+    removedMap.set(key, entry);
+  };
+
+  let output = '';
+  let lastIndex = 0;
+  let dropping = null;
+  let dropDepth = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(input)) !== null) {
+    const [token, rawName, rawAttributes = ''] = match;
+    const text = input.slice(lastIndex, match.index);
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    if (!dropping && text) {
+      output += escapeText(text);
+    }
+
+    if (!rawName) {
+      // Komentar, doctype, CDATA dan processing instruction selalu dibuang
+      if (!dropping) report('comment', token.startsWith('<!--') ? 'comment' : 'markup');
+      continue;
+    }
+
+    const tagName = rawName.toLowerCase();
+    const isClosing = token.startsWith('</');
+
+    if (dropping) {
+      if (tagName === dropping) {
+        dropDepth += isClosing ? -1 : 1;
+        if (dropDepth === 0) dropping = null;
+      }
+      continue;
+    }
+
+    if (tagName === 'iframe' && !isClosing) {
+      const iframe = buildIframe(rawAttributes, report);
+      output += iframe;
+      dropping = 'iframe';
+      dropDepth = 1;
+      continue;
+    }
+
+    if (DROP_WITH_CONTENT.includes(tagName)) {
+      if (!isClosing) {
+        report('tag', tagName);
+        if (!/\/\s*$/.test(rawAttributes)) {
+          dropping = tagName;
+          dropDepth = 1;
+        }
+      }
+      continue;
+    }
+
+    if (!ALLOWED_TAGS[tagName]) {
+      if (!isClosing) report('tag', tagName);
+      continue;
+    }
+
+    if (isClosing) {
+      if (!VOID_TAGS.includes(tagName)) output += `</${tagName}>`;
+      continue;
+    }
+
+    output += `<${tagName}${sanitizeAttributes(tagName, rawAttributes, report)}>`;
+  }
+
+  if (!dropping) {
+    output += escapeText(input.slice(lastIndex));
+  }
+
+  const removed = Array.from(removedMap.values());
+  return {
+    html: output,
+    changed: removed.length > 0,
+    removed
+  };
+};
+
+module.exports = {
+  sanitizeHtml,
+  normalizeEmbedSrc
+};
@@ -0,0 +1,124 @@
+const { decodeBasicEntities } = require('./contentAnalysis');
+
+// Elemen tanpa padanan Markdown dipertahankan sebagai HTML mentah
+const RAW_HTML_PATTERN = /<(table|iframe|video|audio)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const INNERMOST_LIST_PATTERN = /<(ul|ol)\b[^>]*>((?:(?!<(?:ul|ol)\b)[\s\S])*?)<\/\1>/i;
+const INNERMOST_QUOTE_PATTERN = /<blockquote\b[^>]*>((?:(?!<blockquote\b)[\s\S])*?)<\/blockquote>/i;
+
+const getAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeBasicEntities(match[1] ?? match[2] ?? match[3]) : '';
+};
+
+const decodeEntities = (text) => decodeBasicEntities(text)
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)));
+
+const inlineText = (html) => html.replace(/\s+/g, ' ').trim();
+
+/**
+ * Mengubah konten HTML post menjadi Markdown.
+ * Cakupannya mengikuti elemen yang dihasilkan editor: heading, paragraf, list,
+ * kutipan, kode, gambar dan tautan; tabel dan embed dibiarkan sebagai HTML.
+ * @param {string} html - Konten post
+ * @returns {string} Markdown
+ */
+const htmlToMarkdown = (html) => {
+  if (!html) return '';
+
+  const blocks = [];
+  const keep = (markdown) => {
+    blocks.push(markdown);
+    return `\u0000${blocks.length - 1}\u0000`;
+  };
+
+  let text = html
+    .replace(/\r\n?/g, '\n')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  text = text.replace(RAW_HTML_PATTERN, match => `\n\n${keep(match.trim())}\n\n`);
+
+  // Blok kode dikeluarkan lebih dulu supaya isinya tidak ikut diubah
+  text = text.replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, inner) => {
+    const code = decodeEntities(inner.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')).replace(/\n+$/, '');
+    const fence = code.includes('```') ? '~~~' : '```';
+    return `\n\n${keep(`${fence}\n${code}\n${fence}`)}\n\n`;
+  });
+  text = text.replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, (match, inner) => {
+    const code = decodeEntities(inner.replace(/<[^>]+>/g, ''));
+    return keep(code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``);
+  });
+
+  // Indentasi sumber HTML akan terbaca sebagai blok kode di Markdown
+  text = text.replace(/^[ \t]+/gm, '');
+
+  text = text.replace(/<img\b([^>]*)>/gi, (match, attributes) => {
+    const src = getAttribute(attributes, 'src');
+    if (!src) return '';
+    const title = getAttribute(attributes, 'title');
+    return keep(`![${getAttribute(attributes, 'alt').replace(/[[\]]/g, '')}](${src}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`);
+  });
+
+  text = text.replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attributes, inner) => {
+    const href = getAttribute(attributes, 'href');
+    const label = inlineText(inner);
+    if (!href) return label;
+    return `[${label || href}](${href})`;
+  });
+
+  text = text
+    .replace(/<(strong|b)\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, inner) => (inlineText(inner) ? `**${inlineText(inner)}**` : ''))
+    .replace(/<(em|i)\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, inner) => (inlineText(inner) ? `_${inlineText(inner)}_` : ''))
+    .replace(/<(del|s|strike)\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, inner) => `~~${inlineText(inner)}~~`)
+    .replace(/<figcaption\b[^>]*>([\s\S]*?)<\/figcaption>/gi, (match, inner) => `\n\n_${inlineText(inner)}_\n\n`)
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n\n${'#'.repeat(parseInt(level, 10))} ${inlineText(inner.replace(/<[^>]+>/g, ''))}\n\n`)
+    .replace(/<br\s*\/?>/gi, '  \n')
+    .replace(/<hr\b[^>]*>/gi, '\n\n---\n\n')
+    .replace(/<\/?(p|div|figure|section|article)\b[^>]*>/gi, '\n\n');
+
+  // List terdalam diubah lebih dulu; baris lanjutan diindentasi agar tetap di dalam item induk
+  let listMatch;
+  while ((listMatch = text.match(INNERMOST_LIST_PATTERN))) {
+    const [whole, type, inner] = listMatch;
+    const items = [];
+    inner.replace(/<li\b[^>]*>([\s\S]*?)(?:<\/li>|(?=<li\b)|$)/gi, (match, content) => {
+      items.push(content);
+      return match;
+    });
+    const list = items.map((content, index) => {
+      const marker = type.toLowerCase() === 'ol' ? `${index + 1}. ` : '- ';
+      const lines = content.replace(/<[^>]+>/g, '').trim().split('\n').filter((line, i, all) => line.trim() || (i > 0 && all[i - 1].trim()));
+      return lines
+        .map((line, lineIndex) => (lineIndex === 0 ? `${marker}${line.trim()}` : `${' '.repeat(marker.length)}${line}`))
+        .join('\n');
+    }).join('\n');
+    text = text.replace(whole, () => `\n\n${list}\n\n`);
+  }
+
+  let quoteMatch;
+  while ((quoteMatch = text.match(INNERMOST_QUOTE_PATTERN))) {
+    const [whole, inner] = quoteMatch;
+    const quoted = inner.replace(/<[^>]+>/g, '').trim().replace(/\n{3,}/g, '\n\n')
+      .split('\n')
+      .map(line => (line ? `> ${line}` : '>'))
+      .join('\n');
+    text = text.replace(whole, () => `\n\n${quoted}\n\n`);
+  }
+
+  text = decodeEntities(text.replace(/<[^>]+>/g, ''))
+    .split('\n')
+    .map(line => (/^\s*$/.test(line) ? '' : line.replace(/[ \t]+$/, (trailing) => (trailing === '  ' ? trailing : ''))))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  // Placeholder bisa bersarang (gambar di dalam tautan), jadi ulangi sampai habis
+  while (/\u0000\d+\u0000/.test(text)) {
+    text = text.replace(/\u0000(\d+)\u0000/g, (match, index) => blocks[index]);
+  }
+
+  return text;
+};
+
+module.exports = { htmlToMarkdown };
@@ -11,6 +11,25 @@ const formatImageUrl = (imagePath) => {
   return `${process.env.BASE_URL}/uploads/${path.basename(imagePath)}`;
 };
 
+// Nama file di uploads yang dirujuk sebuah URL; URL dari host lain diabaikan
+const uploadFilename = (url) => {
+  if (!url) return null;
+  const baseUrl = (process.env.BASE_URL || '').replace(/\/+$/, '');
+  let pathname = url.trim();
+
+  if (/^(https?:)?\/\//i.test(pathname)) {
+    if (!baseUrl || !pathname.replace(/^https?:/i, '').startsWith(baseUrl.replace(/^https?:/i, ''))) {
+      return null;
+    }
+    pathname = pathname.slice(pathname.indexOf(baseUrl.replace(/^https?:/i, '')) + baseUrl.replace(/^https?:/i, '').length);
+  }
+
+  const match = pathname.split(/[?#]/)[0].match(/^\/?(?:uploads|storage)\/(.+)$/);
+  if (!match) return null;
+  const filename = path.basename(match[1]);
+  return filename && filename !== '.' && filename !== '..' ? filename : null;
+};
+
 // Optimize and save image
 const optimizeAndSaveImage = async (file) => {
   try {
@@ -104,6 +123,7 @@ const validateImage = async (imagePath) => {
 
 module.exports = {
   formatImageUrl,
+  uploadFilename,
   optimizeAndSaveImage,
   deleteImageFile,
   validateImage
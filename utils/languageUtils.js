@@ -0,0 +1,69 @@
+// Bahasa konten yang didukung. Kode mengikuti ISO 639-1 (jv untuk bahasa Jawa)
+const SUPPORTED_LANGUAGES = {
+  id: 'Bahasa Indonesia',
+  en: 'English',
+  jv: 'Basa Jawa'
+};
+
+const DEFAULT_LANGUAGE = 'id';
+
+// 'en-US' -> 'en'; kode yang tidak didukung menjadi null
+const normalizeLanguage = (code) => {
+  if (!code || typeof code !== 'string') return null;
+  const primary = code.trim().toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, primary) ? primary : null;
+};
+
+// Urutkan bahasa di header Accept-Language berdasarkan bobot q, lalu ambil yang didukung
+const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== 'string') return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params
+        .map(param => param.trim().match(/^q=([0-9.]+)$/))
+        .filter(Boolean)
+        .map(match => parseFloat(match[1]))[0];
+      return { code: normalizeLanguage(tag), quality: Number.isNaN(quality) ? 0 : quality ?? 1, index };
+    })
+    .filter(entry => entry.code && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.code)
+    .filter((code, index, codes) => codes.indexOf(code) === index);
+};
+
+/**
+ * Bahasa yang diminta request publik: parameter `lang` lebih dulu, lalu Accept-Language.
+ * `lang=all` berarti tanpa filter bahasa.
+ * @param {import('express').Request} req
+ * @param {Object} [options]
+ * @param {boolean} [options.useHeader=true] - Ikut membaca Accept-Language
+ * @returns {string|null} Kode bahasa, atau null jika tidak ada preferensi
+ */
+const resolveRequestLanguage = (req, { useHeader = true } = {}) => {
+  const requested = req.query && req.query.lang;
+  if (requested) {
+    return requested === 'all' ? null : normalizeLanguage(requested);
+  }
+  if (!useHeader) return null;
+  return parseAcceptLanguage(req.get ? req.get('Accept-Language') : null)[0] || null;
+};
+
+/**
+ * Bahasa yang didahulukan saat mengurutkan hasil publik. Berbeda dengan filter `lang`,
+ * Accept-Language hanya mengubah urutan sehingga post berbahasa lain tetap tampil
+ * @param {import('express').Request} req
+ * @returns {string} Kode bahasa, DEFAULT_LANGUAGE jika tidak ada preferensi
+ */
+const resolvePreferredLanguage = (req) => resolveRequestLanguage(req) || DEFAULT_LANGUAGE;
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  resolveRequestLanguage,
+  resolvePreferredLanguage
+};
@@ -0,0 +1,574 @@
+// Renderer Markdown ke HTML untuk post yang ditulis dalam mode Markdown.
+// Cakupannya CommonMark dasar ditambah tabel dan strikethrough ala GFM;
+// hasilnya tetap harus melewati sanitizeHtml sebelum disimpan.
+
+const HTML_BLOCK_PATTERN = /^<\/?(address|article|aside|blockquote|details|div|dl|fieldset|figure|footer|form|h[1-6]|header|hr|iframe|ol|p|pre|section|table|ul|video|audio)\b/i;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?=[ \t]|$)/;
+const HR_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const LIST_ITEM_PATTERN = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+const TABLE_SEPARATOR_CELL_PATTERN = /^:?-+:?$/;
+
+// Batas kedalaman blockquote/list bersarang; lebih dalam dari ini dirender sebagai paragraf biasa
+const MAX_NESTING_DEPTH = 20;
+
+const ESCAPABLE_CHARS = '\\`*_{}[]()#+-.!~|>';
+const INLINE_SPECIAL_PATTERN = /[`\\<!\[\]*_~\n]/g;
+const AUTOLINK_PATTERN = /<((?:https?|mailto):[^\s<>]+)>/iy;
+const INLINE_TAG_PATTERN = /<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s[^<>]*)?\/?>/y;
+
+const escapeHtml = (text) => text
+  .replace(/&(?![a-zA-Z][a-zA-Z0-9]*;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeCode = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const isWhitespace = (char) => !char || /\s/.test(char);
+const isPunctuation = (char) => Boolean(char) && /[!-/:-@[-`{-~]|\p{P}|\p{S}/u.test(char);
+
+// Posisi setiap deretan backtick, dikelompokkan per panjang, untuk mencari penutup kode inline
+const collectBacktickRuns = (text) => {
+  const runs = new Map();
+  const pattern = /`+/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (!runs.has(match[0].length)) runs.set(match[0].length, { positions: [], next: 0 });
+    runs.get(match[0].length).positions.push(match.index);
+  }
+  return runs;
+};
+
+/**
+ * Urai "(url "judul")" tepat setelah label link. URL berhenti di kurung siku
+ * sehingga setiap bagian teks paling banyak dipindai sekali oleh percobaan yang gagal
+ * @returns {{href: string, title: string|null, end: number}|null}
+ */
+const parseLinkTarget = (text, start) => {
+  if (text[start] !== '(') return null;
+  let pos = start + 1;
+  while (pos < text.length && isWhitespace(text[pos])) pos++;
+
+  const hrefStart = pos;
+  let depth = 0;
+  while (pos < text.length && !isWhitespace(text[pos])) {
+    if (text[pos] === '[' || text[pos] === ']') return null;
+    if (text[pos] === '(') depth++;
+    if (text[pos] === ')') {
+      if (!depth) break;
+      depth--;
+    }
+    pos++;
+  }
+  const href = text.slice(hrefStart, pos).replace(/^<|>$/g, '');
+  if (!href) return null;
+
+  while (pos < text.length && isWhitespace(text[pos])) pos++;
+  let title = null;
+  if (text[pos] === '"') {
+    const titleEnd = text.indexOf('"', pos + 1);
+    if (titleEnd === -1 || text.slice(pos + 1, titleEnd).includes('\n')) return null;
+    title = text.slice(pos + 1, titleEnd);
+    pos = titleEnd + 1;
+    while (pos < text.length && isWhitespace(text[pos])) pos++;
+  }
+
+  return pos < text.length && text[pos] === ')' ? { href, title, end: pos + 1 } : null;
+};
+
+const linkAttributes = (target) => `"${escapeHtml(target.href)}"${target.title ? ` title="${escapeHtml(target.title)}"` : ''}`;
+
+const renderNode = (node) => (node.char
+  ? node.close.join('') + node.char.repeat(node.count) + node.open.join('')
+  : node.html);
+
+/**
+ * Render inline Markdown dalam satu kali pemindaian. Emphasis memakai delimiter stack
+ * ala CommonMark sehingga waktu proses tetap linear terhadap panjang teks
+ * @param {string} text
+ * @returns {string}
+ */
+const renderInline = (text) => {
+  const nodes = [];
+  const brackets = [];
+  const backtickRuns = collectBacktickRuns(text);
+  let buffer = '';
+  let lastDelimiter = null;
+  // Link tidak boleh berada di dalam link: label "[" sebelum posisi ini sudah tidak aktif
+  let inactiveLinksBefore = -1;
+
+  const flush = () => {
+    if (buffer) nodes.push({ html: escapeHtml(buffer) });
+    buffer = '';
+  };
+  const pushHtml = (html) => {
+    flush();
+    nodes.push({ html });
+  };
+  const removeDelimiter = (delimiter) => {
+    if (delimiter.prev) delimiter.prev.next = delimiter.next;
+    if (delimiter.next) delimiter.next.prev = delimiter.prev;
+    else lastDelimiter = delimiter.prev;
+  };
+
+  // Pasangkan delimiter *, _ dan ~~ di atas `bottom`, lalu sisanya menjadi teks biasa
+  const processEmphasis = (bottom) => {
+    if (lastDelimiter === bottom) return;
+    let closer = lastDelimiter;
+    while (closer.prev !== bottom) closer = closer.prev;
+
+    const openersBottom = {};
+    while (closer) {
+      if (!closer.canClose) {
+        closer = closer.next;
+        continue;
+      }
+
+      const stop = openersBottom[closer.char] !== undefined ? openersBottom[closer.char] : bottom;
+      let opener = closer.prev;
+      while (opener && opener !== stop && opener !== bottom
+        && !(opener.char === closer.char && opener.canOpen)) {
+        opener = opener.prev;
+      }
+
+      if (opener && opener !== stop && opener !== bottom) {
+        const strong = closer.char === '~' || (opener.count >= 2 && closer.count >= 2);
+        const tag = closer.char === '~' ? 'del' : strong ? 'strong' : 'em';
+        const used = strong ? 2 : 1;
+        opener.count -= used;
+        closer.count -= used;
+        opener.open.unshift(`<${tag}>`);
+        closer.close.push(`</${tag}>`);
+        opener.next = closer;
+        closer.prev = opener;
+        if (!opener.count) removeDelimiter(opener);
+        if (!closer.count) {
+          const next = closer.next;
+          removeDelimiter(closer);
+          closer = next;
+        }
+      } else {
+        openersBottom[closer.char] = closer.prev;
+        const next = closer.next;
+        if (!closer.canOpen) removeDelimiter(closer);
+        closer = next;
+      }
+    }
+
+    while (lastDelimiter && lastDelimiter !== bottom) removeDelimiter(lastDelimiter);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    INLINE_SPECIAL_PATTERN.lastIndex = i;
+    const special = INLINE_SPECIAL_PATTERN.exec(text);
+    if (!special) {
+      buffer += text.slice(i);
+      break;
+    }
+    buffer += text.slice(i, special.index);
+    i = special.index;
+    const char = text[i];
+
+    if (char === '`') {
+      let length = 1;
+      while (text[i + length] === '`') length++;
+      // Kode inline: cari deretan backtick berikutnya dengan panjang yang sama
+      const run = backtickRuns.get(length);
+      if (run) {
+        while (run.next < run.positions.length && run.positions[run.next] <= i) run.next++;
+      }
+      if (run && run.next < run.positions.length) {
+        const closeAt = run.positions[run.next];
+        pushHtml(`<code>${escapeCode(text.slice(i + length, closeAt).trim())}</code>`);
+        i = closeAt + length;
+      } else {
+        buffer += text.slice(i, i + length);
+        i += length;
+      }
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = text[i + 1];
+      if (next === '\n') {
+        pushHtml('<br>\n');
+        i += 2;
+      } else if (next && ESCAPABLE_CHARS.includes(next)) {
+        buffer += next;
+        i += 2;
+      } else {
+        buffer += char;
+        i++;
+      }
+      continue;
+    }
+
+    if (char === '<') {
+      AUTOLINK_PATTERN.lastIndex = i;
+      INLINE_TAG_PATTERN.lastIndex = i;
+      const autolink = AUTOLINK_PATTERN.exec(text);
+      // Tag HTML inline dibiarkan; sanitizer yang memutuskan boleh tidaknya
+      const tag = autolink ? null : INLINE_TAG_PATTERN.exec(text);
+      if (autolink) {
+        pushHtml(`<a href="${escapeHtml(autolink[1])}">${escapeHtml(autolink[1])}</a>`);
+        i += autolink[0].length;
+      } else if (tag) {
+        pushHtml(tag[0]);
+        i += tag[0].length;
+      } else {
+        buffer += char;
+        i++;
+      }
+      continue;
+    }
+
+    if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+      const image = char === '!';
+      flush();
+      brackets.push({ node: nodes.length, image, bottom: lastDelimiter });
+      nodes.push({ html: image ? '![' : '[' });
+      i += image ? 2 : 1;
+      continue;
+    }
+
+    if (char === ']') {
+      const opener = brackets.pop();
+      const target = opener && (opener.image || opener.node > inactiveLinksBefore)
+        ? parseLinkTarget(text, i + 1)
+        : null;
+      if (!target) {
+        buffer += char;
+        i++;
+        continue;
+      }
+
+      flush();
+      processEmphasis(opener.bottom);
+      if (opener.image) {
+        const alt = nodes.splice(opener.node + 1).map(renderNode).join('').replace(/<[^>]*>/g, '');
+        nodes[opener.node] = { html: `<img src=${linkAttributes(target)} alt="${alt}">` };
+      } else {
+        nodes[opener.node] = { html: `<a href=${linkAttributes(target)}>` };
+        nodes.push({ html: '</a>' });
+        inactiveLinksBefore = opener.node;
+      }
+      i = target.end;
+      continue;
+    }
+
+    if (char === '*' || char === '_' || char === '~') {
+      let count = 1;
+      while (text[i + count] === char) count++;
+      // Strikethrough hanya untuk tepat dua tilde
+      if (char === '~' && count !== 2) {
+        buffer += text.slice(i, i + count);
+        i += count;
+        continue;
+      }
+
+      const before = text[i - 1];
+      const after = text[i + count];
+      const leftFlanking = !isWhitespace(after)
+        && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+      const rightFlanking = !isWhitespace(before)
+        && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+      const delimiter = {
+        char,
+        count,
+        canOpen: char === '_' ? leftFlanking && (!rightFlanking || isPunctuation(before)) : leftFlanking,
+        canClose: char === '_' ? rightFlanking && (!leftFlanking || isPunctuation(after)) : rightFlanking,
+        open: [],
+        close: [],
+        prev: lastDelimiter,
+        next: null
+      };
+      flush();
+      if (lastDelimiter) lastDelimiter.next = delimiter;
+      lastDelimiter = delimiter;
+      nodes.push(delimiter);
+      i += count;
+      continue;
+    }
+
+    if (char === '\n') {
+      // Dua spasi atau lebih di akhir baris menjadi hard line break
+      let end = buffer.length;
+      while (end > 0 && buffer[end - 1] === ' ') end--;
+      if (buffer.length - end >= 2) {
+        buffer = buffer.slice(0, end);
+        pushHtml('<br>\n');
+      } else {
+        buffer += char;
+      }
+      i++;
+      continue;
+    }
+
+    // "!" yang tidak diikuti "["
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  processEmphasis(null);
+  return nodes.map(renderNode).join('').trim();
+};
+
+const splitTableRow = (line) => line
+  .trim()
+  .replace(/^\|/, '')
+  .replace(/\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.trim());
+
+// Hapus indentasi sebanyak `width` spasi dari baris lanjutan item list
+const dedent = (line, width) => {
+  const expanded = line.replace(/\t/g, '    ');
+  const indent = expanded.match(/^ */)[0].length;
+  return expanded.slice(Math.min(indent, width));
+};
+
+// Pembuka code fence; info string fence backtick tidak boleh mengandung backtick
+const matchFence = (line) => {
+  const fence = line.match(FENCE_PATTERN);
+  if (!fence) return null;
+  const info = line.slice(fence[0].length).trim();
+  if (fence[1][0] === '`' && info.includes('`')) return null;
+  return { char: fence[1][0], length: fence[1].length, language: info.match(/^[\w+#.-]*/)[0] };
+};
+
+const closesFence = (line, fence) => {
+  if (/^ {4}/.test(line)) return false;
+  const marker = line.trim();
+  return marker.length >= fence.length && marker[0] === fence.char && /^(?:`+|~+)$/.test(marker);
+};
+
+const matchHeading = (line) => {
+  const heading = line.match(HEADING_PATTERN);
+  if (!heading) return null;
+  // Buang deretan "#" penutup yang didahului spasi
+  let text = line.slice(heading[0].length).trim();
+  let end = text.length;
+  while (end > 0 && text[end - 1] === '#') end--;
+  if (end === 0 || (end < text.length && /[ \t]/.test(text[end - 1]))) text = text.slice(0, end).trim();
+  return { level: heading[1].length, text };
+};
+
+const isTableSeparator = (line) => !/^ {4}/.test(line)
+  && line.includes('-')
+  && /^[ \t|:-]+$/.test(line)
+  && splitTableRow(line).every(cell => TABLE_SEPARATOR_CELL_PATTERN.test(cell));
+
+// Indeks baris tidak kosong pertama mulai dari `from`, atau lines.length
+const nextNonBlank = (lines, from) => {
+  let index = from;
+  while (index < lines.length && !lines[index].trim()) index++;
+  return index;
+};
+
+const startsBlock = (line) => Boolean(matchFence(line))
+  || HEADING_PATTERN.test(line)
+  || HR_PATTERN.test(line)
+  || QUOTE_PATTERN.test(line)
+  || LIST_ITEM_PATTERN.test(line) && line.replace(LIST_ITEM_PATTERN, '').trim() !== ''
+  || HTML_BLOCK_PATTERN.test(line.trim());
+
+const renderBlocks = (lines, depth = 0) => {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = matchFence(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !closesFence(lines[i], fence)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const language = fence.language ? ` class="language-${escapeHtml(fence.language)}"` : '';
+      html.push(`<pre><code${language}>${escapeCode(code.join('\n'))}${code.length ? '\n' : ''}</code></pre>`);
+      continue;
+    }
+
+    const heading = matchHeading(line);
+    if (heading) {
+      html.push(`<h${heading.level}>${renderInline(heading.text)}</h${heading.level}>`);
+      i++;
+      continue;
+    }
+
+    if (HR_PATTERN.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line) && depth < MAX_NESTING_DEPTH) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && (QUOTE_PATTERN.test(lines[i]) || !startsBlock(lines[i]))) {
+        quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+        i++;
+      }
+      html.push(`<blockquote>\n${renderBlocks(quoted, depth + 1)}\n</blockquote>`);
+      continue;
+    }
+
+    const listItem = depth < MAX_NESTING_DEPTH && line.match(LIST_ITEM_PATTERN);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[2]);
+      const items = [];
+      let loose = false;
+
+      while (i < lines.length) {
+        const itemMatch = lines[i].match(LIST_ITEM_PATTERN);
+        if (!itemMatch || /\d/.test(itemMatch[2]) !== ordered) break;
+
+        const contentIndent = itemMatch[0].replace(/\t/g, '    ').length;
+        const itemLines = [lines[i].slice(itemMatch[0].length)];
+        i++;
+
+        while (i < lines.length) {
+          const next = lines[i];
+          if (!next.trim()) {
+            // Baris kosong hanya bagian dari item jika diikuti baris yang masih terindentasi
+            const following = nextNonBlank(lines, i);
+            if (following < lines.length && lines[following].replace(/\t/g, '    ').match(/^ */)[0].length >= contentIndent) {
+              for (; i < following; i++) itemLines.push('');
+              loose = true;
+              continue;
+            }
+            break;
+          }
+
+          const indent = next.replace(/\t/g, '    ').match(/^ */)[0].length;
+          if (indent >= contentIndent) {
+            itemLines.push(dedent(next, contentIndent));
+          } else if (LIST_ITEM_PATTERN.test(next) || startsBlock(next)) {
+            break;
+          } else {
+            // Lazy continuation: teks paragraf yang tidak diindentasi
+            itemLines.push(next.trim());
+          }
+          i++;
+        }
+
+        items.push(itemLines);
+
+        // Baris kosong di antara item membuat list menjadi "loose" (isi item dibungkus <p>)
+        if (i < lines.length && !lines[i].trim()) {
+          const following = nextNonBlank(lines, i);
+          const followingItem = following < lines.length && lines[following].match(LIST_ITEM_PATTERN);
+          if (followingItem && /\d/.test(followingItem[2]) === ordered) {
+            loose = true;
+            i = following;
+          }
+        }
+      }
+
+      const start = ordered && parseInt(listItem[2], 10) !== 1 ? ` start="${parseInt(listItem[2], 10)}"` : '';
+      const tag = ordered ? 'ol' : 'ul';
+      const rendered = items.map(itemLines => {
+        let content = renderBlocks(itemLines, depth + 1);
+        if (!loose) {
+          content = content.replace(/^<p>([\s\S]*?)<\/p>/, '$1').replace(/\n<p>([\s\S]*?)<\/p>/g, '\n$1');
+        }
+        return `<li>${content}</li>`;
+      });
+      html.push(`<${tag}${start}>\n${rendered.join('\n')}\n</${tag}>`);
+      continue;
+    }
+
+    if (HTML_BLOCK_PATTERN.test(line.trim())) {
+      const block = [];
+      while (i < lines.length && lines[i].trim()) {
+        block.push(lines[i]);
+        i++;
+      }
+      html.push(block.join('\n'));
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+      const headers = splitTableRow(line);
+      const alignments = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+      });
+      const cellTag = (tag, cell, index) => {
+        const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+        return `<${tag}${align}>${renderInline(cell || '')}</${tag}>`;
+      };
+
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(`<tr>${headers.map((header, index) => cellTag('td', cells[index], index)).join('')}</tr>`);
+        i++;
+      }
+
+      html.push([
+        '<table>',
+        `<thead><tr>${headers.map((header, index) => cellTag('th', header, index)).join('')}</tr></thead>`,
+        rows.length ? `<tbody>${rows.join('')}</tbody>` : '',
+        '</table>'
+      ].filter(Boolean).join('\n'));
+      continue;
+    }
+
+    // Paragraf: baris berurutan sampai baris kosong atau awal blok lain
+    const paragraph = [line.replace(/^[ \t]+/, '')];
+    i++;
+    let setextLevel = null;
+    while (i < lines.length && lines[i].trim()) {
+      if (/^ {0,3}=+[ \t]*$/.test(lines[i])) {
+        setextLevel = 1;
+        i++;
+        break;
+      }
+      if (/^ {0,3}-+[ \t]*$/.test(lines[i])) {
+        setextLevel = 2;
+        i++;
+        break;
+      }
+      if (startsBlock(lines[i])) break;
+      paragraph.push(lines[i].replace(/^[ \t]+/, ''));
+      i++;
+    }
+
+    const inline = renderInline(paragraph.join('\n'));
+    html.push(setextLevel ? `<h${setextLevel}>${inline}</h${setextLevel}>` : `<p>${inline}</p>`);
+  }
+
+  return html.join('\n');
+};
+
+/**
+ * Render sumber Markdown menjadi HTML
+ * @param {string} markdown - Sumber Markdown dari editor
+ * @returns {string} HTML yang belum disanitasi
+ */
+const renderMarkdown = (markdown) => {
+  if (!markdown) return '';
+  // NUL diganti U+FFFD seperti CommonMark
+  return renderBlocks(String(markdown).replace(/\u0000/g, '\uFFFD').replace(/\r\n?/g, '\n').split('\n'));
+};
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,128 @@
+const Post = require('../models/Post');
+const RelatedPostsService = require('../services/relatedPostsService');
+const { clearPostsCache } = require('../middleware/cacheMiddleware');
+const { logger } = require('../utils/logger');
+
+/**
+ * Menerbitkan post terjadwal yang publish_date-nya sudah lewat
+ * @returns {Promise<{success: boolean, count: number}>} Hasil operasi publish
+ */
+const publishScheduledPosts = async () => {
+  try {
+    const publishedPosts = await Post.publishDueScheduledPosts();
+
+    if (publishedPosts.length > 0) {
+      // Daftar post publik berubah, cache response harus dibuang
+      await clearPostsCache();
+      RelatedPostsService.schedule(publishedPosts.map(post => post.id));
+
+      logger.info('Post terjadwal berhasil diterbitkan', {
+        count: publishedPosts.length,
+        posts: publishedPosts.map(post => ({ id: post.id, slug: post.slug }))
+      });
+    }
+
+    return {
+      success: true,
+      count: publishedPosts.length
+    };
+  } catch (error) {
+    logger.error('Gagal menerbitkan post terjadwal', {
+      error: error.message,
+      stack: error.stack,
+      code: error.code
+    });
+
+    return {
+      success: false,
+      count: 0,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Memproses post yang sudah melewati expires_at: diarsipkan atau hanya ditandai kedaluwarsa
+ * @returns {Promise<{success: boolean, count: number}>} Hasil operasi expiry
+ */
+const expirePosts = async () => {
+  try {
+    const expiredPosts = await Post.expireDuePosts();
+
+    if (expiredPosts.length > 0) {
+      await clearPostsCache();
+      // Post yang diarsipkan keluar dari daftar related; yang hanya ditandai tetap dihitung
+      RelatedPostsService.schedule(expiredPosts.map(post => post.id));
+
+      logger.info('Post kedaluwarsa berhasil diproses', {
+        count: expiredPosts.length,
+        posts: expiredPosts.map(post => ({ id: post.id, slug: post.slug, action: post.expiry_action }))
+      });
+    }
+
+    return {
+      success: true,
+      count: expiredPosts.length
+    };
+  } catch (error) {
+    logger.error('Gagal memproses post kedaluwarsa', {
+      error: error.message,
+      stack: error.stack,
+      code: error.code
+    });
+
+    return {
+      success: false,
+      count: 0,
+      error: error.message
+    };
+  }
+};
+
+// Satu putaran jadwal: terbitkan dulu, lalu proses yang kedaluwarsa
+const runSchedule = async () => {
+  await publishScheduledPosts();
+  await expirePosts();
+};
+
+// Periksa post terjadwal setiap menit
+const ONE_MINUTE = 60 * 1000;
+let publishInterval;
+
+/**
+ * Memulai pengecekan post terjadwal secara berkala
+ * @param {number} interval - Interval dalam milidetik
+ */
+const startPublishSchedule = (interval = ONE_MINUTE) => {
+  logger.info('Memulai jadwal publish post', { intervalSeconds: interval / 1000 });
+  if (publishInterval) {
+    clearInterval(publishInterval);
+  }
+
+  // Terbitkan dan kedaluwarsakan post yang terlewat selama server mati
+  runSchedule();
+
+  publishInterval = setInterval(runSchedule, interval);
+
+  return publishInterval;
+};
+
+/**
+ * Menghentikan pengecekan post terjadwal
+ */
+const stopPublishSchedule = () => {
+  if (publishInterval) {
+    clearInterval(publishInterval);
+    publishInterval = null;
+    logger.info('Jadwal publish post dihentikan');
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  publishScheduledPosts,
+  expirePosts,
+  startPublishSchedule,
+  stopPublishSchedule
+};
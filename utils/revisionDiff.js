@@ -0,0 +1,182 @@
+// Batas jumlah sel tabel LCS supaya diff artikel panjang tidak menghabiskan memori
+const MAX_LCS_CELLS = 2000000;
+
+// Ubah HTML konten menjadi daftar paragraf teks
+const splitParagraphs = (html) => {
+  if (!html) return [];
+  return html
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|pre|tr)>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .split(/\n+/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+};
+
+const splitWords = (text) => (text ? text.split(/\s+/).filter(Boolean) : []);
+
+// Diff dua array memakai longest common subsequence
+// Hasilnya daftar operasi { type: 'equal' | 'added' | 'removed', value }
+const diffSequences = (from, to) => {
+  if (from.length * to.length > MAX_LCS_CELLS) {
+    return [
+      ...from.map(value => ({ type: 'removed', value })),
+      ...to.map(value => ({ type: 'added', value }))
+    ];
+  }
+
+  const rows = from.length + 1;
+  const cols = to.length + 1;
+  const table = new Array(rows);
+  for (let i = 0; i < rows; i++) {
+    table[i] = new Uint32Array(cols);
+  }
+
+  for (let i = from.length - 1; i >= 0; i--) {
+    for (let j = to.length - 1; j >= 0; j--) {
+      table[i][j] = from[i] === to[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < from.length && j < to.length) {
+    if (from[i] === to[j]) {
+      ops.push({ type: 'equal', value: from[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'removed', value: from[i++] });
+    } else {
+      ops.push({ type: 'added', value: to[j++] });
+    }
+  }
+  while (i < from.length) ops.push({ type: 'removed', value: from[i++] });
+  while (j < to.length) ops.push({ type: 'added', value: to[j++] });
+
+  return ops;
+};
+
+// Diff level kata, kata yang berurutan dengan tipe sama digabung
+const diffWords = (fromText, toText) => {
+  const merged = [];
+  for (const op of diffSequences(splitWords(fromText), splitWords(toText))) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.value += ` ${op.value}`;
+    } else {
+      merged.push({ ...op });
+    }
+  }
+  return merged;
+};
+
+// Diff field teks pendek seperti title dan excerpt
+const diffField = (fromValue, toValue) => {
+  // Versi lama hanya menyimpan content, field lain tidak bisa dibandingkan
+  if (fromValue === null || fromValue === undefined || toValue === null || toValue === undefined) {
+    return null;
+  }
+
+  const changed = fromValue !== toValue;
+  return {
+    changed,
+    from: fromValue,
+    to: toValue,
+    words: changed ? diffWords(fromValue, toValue) : []
+  };
+};
+
+// Diff konten per paragraf; pasangan paragraf yang dihapus lalu ditambah dianggap "changed"
+// dan diberi diff level kata
+const diffContent = (fromHtml, toHtml) => {
+  const ops = diffSequences(splitParagraphs(fromHtml), splitParagraphs(toHtml));
+  const paragraphs = [];
+  const stats = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index].type === 'equal') {
+      paragraphs.push({ type: 'unchanged', text: ops[index].value });
+      stats.unchanged++;
+      index++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (index < ops.length && ops[index].type !== 'equal') {
+      (ops[index].type === 'removed' ? removed : added).push(ops[index].value);
+      index++;
+    }
+
+    const pairs = Math.min(removed.length, added.length);
+    for (let k = 0; k < pairs; k++) {
+      paragraphs.push({
+        type: 'changed',
+        from: removed[k],
+        to: added[k],
+        words: diffWords(removed[k], added[k])
+      });
+      stats.changed++;
+    }
+    removed.slice(pairs).forEach(text => {
+      paragraphs.push({ type: 'removed', text });
+      stats.removed++;
+    });
+    added.slice(pairs).forEach(text => {
+      paragraphs.push({ type: 'added', text });
+      stats.added++;
+    });
+  }
+
+  return {
+    changed: stats.added + stats.removed + stats.changed > 0,
+    stats,
+    paragraphs
+  };
+};
+
+// Diff label berdasarkan id
+const diffLabels = (fromLabels, toLabels) => {
+  if (!Array.isArray(fromLabels) || !Array.isArray(toLabels)) {
+    return null;
+  }
+
+  const fromIds = new Set(fromLabels.map(label => String(label.id)));
+  const toIds = new Set(toLabels.map(label => String(label.id)));
+
+  const added = toLabels.filter(label => !fromIds.has(String(label.id)));
+  const removed = fromLabels.filter(label => !toIds.has(String(label.id)));
+  const unchanged = toLabels.filter(label => fromIds.has(String(label.id)));
+
+  return {
+    changed: added.length > 0 || removed.length > 0,
+    added,
+    removed,
+    unchanged
+  };
+};
+
+/**
+ * Membandingkan dua revisi post
+ * @param {Object} from - Revisi asal ({ title, excerpt, content, labels })
+ * @param {Object} to - Revisi tujuan dengan bentuk yang sama
+ * @returns {Object} Diff per field; field yang tidak tersimpan di revisi lama bernilai null
+ */
+const diffRevisions = (from, to) => ({
+  title: diffField(from.title, to.title),
+  excerpt: diffField(from.excerpt, to.excerpt),
+  content: diffContent(from.content || '', to.content || ''),
+  labels: diffLabels(from.labels, to.labels)
+});
+
+module.exports = {
+  diffRevisions,
+  diffContent,
+  diffWords
+};
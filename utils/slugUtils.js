@@ -1,15 +1,15 @@
 const { executeQuery } = require('../config/databaseConfig');
+const { DEFAULT_LANGUAGE } = require('./languageUtils');
 
-async function slugAlreadyExists(slug, postId = null) {
+// Slug unik per bahasa: terjemahan boleh memakai slug yang sama dengan post aslinya
+async function slugAlreadyExists(slug, postId = null, language = DEFAULT_LANGUAGE) {
   try {
     return await executeQuery(async (connection) => {
-      let query = 'SELECT COUNT(*) as count FROM posts WHERE slug = ?';
-      let params = [slug];
-
-      if (postId) {
-        query += ' AND id != ?';
-        params.push(postId);
-      }
+      // Slug lama post lain juga dianggap terpakai supaya redirect-nya tidak berpindah
+      const query = `SELECT
+        (SELECT COUNT(*) FROM posts WHERE slug = ? AND language = ? AND id != ?) +
+        (SELECT COUNT(*) FROM post_slug_history WHERE slug = ? AND language = ? AND post_id != ?) as count`;
+      const params = [slug, language, postId || '', slug, language, postId || ''];
 
       const [rows] = await connection.query(query, params);
       return rows[0].count > 0;
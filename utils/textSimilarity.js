@@ -0,0 +1,87 @@
+const { stripTags } = require('./contentAnalysis');
+
+// Kata fungsi bahasa Indonesia (ditambah beberapa kata Inggris yang sering muncul)
+// yang tidak membedakan satu tulisan dengan yang lain
+const STOPWORDS = new Set([
+  'ada', 'adalah', 'adanya', 'agar', 'akan', 'akhirnya', 'aku', 'amat', 'anda', 'antara', 'apa', 'apabila',
+  'apakah', 'atas', 'atau', 'bagai', 'bagaimana', 'bagi', 'bahkan', 'bahwa', 'baik', 'banyak', 'baru',
+  'beberapa', 'begitu', 'belum', 'benar', 'berada', 'berapa', 'berbagai', 'bersama', 'biasa', 'bila',
+  'bisa', 'boleh', 'bukan', 'cukup', 'dalam', 'dan', 'dapat', 'dari', 'daripada', 'demi', 'dengan',
+  'di', 'dia', 'diri', 'dimana', 'dua', 'guna', 'hal', 'hanya', 'harus', 'hingga', 'ia', 'ialah',
+  'ini', 'itu', 'jadi', 'jika', 'juga', 'jumlah', 'justru', 'kalau', 'kali', 'kami', 'kamu', 'kan',
+  'karena', 'kata', 'ke', 'kecuali', 'kemudian', 'kepada', 'ketika', 'kita', 'lagi', 'lain', 'lalu',
+  'lebih', 'maka', 'masih', 'masing', 'mau', 'melakukan', 'melalui', 'memang', 'memiliki', 'menjadi',
+  'menurut', 'mereka', 'merupakan', 'meski', 'mungkin', 'namun', 'nanti', 'oleh', 'pada', 'para',
+  'pula', 'pun', 'saat', 'saja', 'salah', 'sama', 'sampai', 'sangat', 'satu', 'saya', 'se', 'sebagai',
+  'sebelum', 'sebuah', 'sedang', 'sehingga', 'sejak', 'sekarang', 'sekitar', 'selain', 'selama',
+  'seluruh', 'semua', 'sendiri', 'seperti', 'serta', 'sesuai', 'setelah', 'setiap', 'sudah', 'supaya',
+  'tak', 'tanpa', 'tapi', 'telah', 'tentang', 'terhadap', 'termasuk', 'tersebut', 'tetapi', 'tidak',
+  'untuk', 'waktu', 'ya', 'yaitu', 'yakni', 'yang',
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'have', 'has', 'will',
+  'not', 'but', 'you', 'your', 'our', 'their', 'they', 'its', 'into', 'about'
+]);
+
+const MIN_TERM_LENGTH = 3;
+
+/**
+ * Pecah teks (boleh HTML) menjadi kata dasar yang bermakna: huruf kecil,
+ * tanpa angka murni dan tanpa stopword
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+  return stripTags(String(text))
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length >= MIN_TERM_LENGTH
+      && term.length <= 64
+      && !/^\p{N}+$/u.test(term)
+      && !STOPWORDS.has(term));
+};
+
+/**
+ * Frekuensi term ternormalisasi (0-1, dibagi frekuensi tertinggi) untuk judul dan isi post.
+ * Judul diberi bobot lebih karena paling mewakili topik
+ * @param {string} title
+ * @param {string} content - HTML isi post
+ * @param {Object} [options]
+ * @param {number} [options.titleWeight=3]
+ * @param {number} [options.maxTerms=100] - Hanya term terbanyak yang disimpan
+ * @returns {Map<string, number>}
+ */
+const termFrequencies = (title, content, { titleWeight = 3, maxTerms = 100 } = {}) => {
+  const counts = new Map();
+  tokenize(title).forEach(term => counts.set(term, (counts.get(term) || 0) + titleWeight));
+  tokenize(content).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+  const top = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, maxTerms);
+  const max = top.length ? top[0][1] : 1;
+  return new Map(top.map(([term, count]) => [term, count / max]));
+};
+
+// Cosine similarity dua vektor term -> bobot
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((weight, term) => {
+    normA += weight * weight;
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+  b.forEach(weight => {
+    normB += weight * weight;
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  termFrequencies,
+  cosineSimilarity
+};
@@ -172,7 +172,7 @@ let cleanupInterval;
  * @param {number} interval - Interval dalam milidetik
  */
 const startCleanupSchedule = (interval = ONE_HOUR) => {
-  logger.info('Memulai jadwal cleanup', { id, intervalMinutes: interval/1000/60 });
+  logger.info('Memulai jadwal cleanup', { intervalMinutes: interval/1000/60 });
   if (cleanupInterval) {
     clearInterval(cleanupInterval);
   }
@@ -0,0 +1,86 @@
+const TrashPurgeService = require('../services/trashPurgeService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Menghapus permanen post di trash yang sudah melewati masa retensi
+ * @returns {Promise<{success: boolean, count: number, files: number}>} Hasil operasi purge
+ */
+const purgeTrash = async () => {
+  try {
+    const result = await TrashPurgeService.purge();
+
+    if (result.posts > 0) {
+      logger.info('Purge trash selesai', {
+        count: result.posts,
+        files: result.files,
+        retentionDays: TrashPurgeService.retentionDays
+      });
+    }
+
+    return {
+      success: true,
+      count: result.posts,
+      files: result.files
+    };
+  } catch (error) {
+    logger.error('Purge trash gagal', {
+      error: error.message,
+      stack: error.stack,
+      code: error.code
+    });
+
+    return {
+      success: false,
+      count: 0,
+      files: 0,
+      error: error.message
+    };
+  }
+};
+
+// Trash dibersihkan setiap 6 jam; masa retensinya dalam hari sehingga tidak perlu lebih sering
+const SIX_HOURS = 6 * 60 * 60 * 1000;
+let purgeInterval;
+
+/**
+ * Memulai purge trash secara berkala
+ * @param {number} interval - Interval dalam milidetik
+ */
+const startPurgeSchedule = (interval = SIX_HOURS) => {
+  if (TrashPurgeService.retentionDays === 0) {
+    logger.info('Purge trash otomatis dimatikan (TRASH_RETENTION_DAYS=0)');
+    return null;
+  }
+
+  logger.info('Memulai jadwal purge trash', {
+    intervalHours: interval / 1000 / 60 / 60,
+    retentionDays: TrashPurgeService.retentionDays
+  });
+  if (purgeInterval) {
+    clearInterval(purgeInterval);
+  }
+
+  purgeTrash();
+  purgeInterval = setInterval(purgeTrash, interval);
+
+  return purgeInterval;
+};
+
+/**
+ * Menghentikan purge trash berkala
+ */
+const stopPurgeSchedule = () => {
+  if (purgeInterval) {
+    clearInterval(purgeInterval);
+    purgeInterval = null;
+    logger.info('Jadwal purge trash dihentikan');
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  purgeTrash,
+  startPurgeSchedule,
+  stopPurgeSchedule
+};
@@ -0,0 +1,36 @@
+// Klasifikasi kasar User-Agent untuk analitik; bukan deteksi perangkat yang presisi
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|monitor|curl|wget|python-requests|headless/i;
+const TABLET_PATTERN = /ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i;
+const MOBILE_PATTERN = /mobi|iphone|ipod|android|blackberry|opera mini|iemobile|windows phone/i;
+
+const DEVICE_CLASSES = ['desktop', 'mobile', 'tablet', 'bot', 'unknown'];
+
+/**
+ * @param {string} userAgent
+ * @returns {'desktop'|'mobile'|'tablet'|'bot'|'unknown'}
+ */
+const classifyDevice = (userAgent) => {
+  if (!userAgent || typeof userAgent !== 'string') return 'unknown';
+  if (BOT_PATTERN.test(userAgent)) return 'bot';
+  if (TABLET_PATTERN.test(userAgent)) return 'tablet';
+  if (MOBILE_PATTERN.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+// 'https://www.google.com/search?q=..' -> 'google.com'; URL tidak valid menjadi null
+const referrerDomain = (referrer) => {
+  if (!referrer || typeof referrer !== 'string') return null;
+  try {
+    const { hostname, protocol } = new URL(referrer);
+    if (!/^https?:$/.test(protocol) || !hostname) return null;
+    return hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DEVICE_CLASSES,
+  classifyDevice,
+  referrerDomain
+};
@@ -0,0 +1,74 @@
+const PostPopularity = require('../models/PostPopularity');
+const PostViewDaily = require('../models/PostViewDaily');
+const { clearCache } = require('../middleware/cacheMiddleware');
+const { logger } = require('../utils/logger');
+
+/**
+ * Menjumlahkan post_views ke tabel rollup popularitas dan rollup harian untuk analitik
+ * @returns {Promise<{success: boolean}>} Hasil operasi rollup
+ */
+const rollupViews = async () => {
+  try {
+    const result = await PostPopularity.rollup();
+    const daily = await PostViewDaily.rollup();
+
+    // Daftar trending dan terpopuler di-cache per URL; buang supaya angka baru langsung dipakai
+    await Promise.all([
+      clearCache('/api/posts/trending'),
+      clearCache('/api/posts/most-read')
+    ]);
+
+    logger.debug('Rollup view selesai', { rolledUpTo: result.rolledUpTo, dailyFrom: daily.fromDate });
+    return { success: true };
+  } catch (error) {
+    logger.error('Rollup view gagal', {
+      error: error.message,
+      stack: error.stack,
+      code: error.code
+    });
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Rollup setiap 10 menit
+const TEN_MINUTES = 10 * 60 * 1000;
+let rollupInterval;
+
+/**
+ * Memulai rollup view secara berkala
+ * @param {number} interval - Interval dalam milidetik
+ */
+const startViewRollupSchedule = (interval = TEN_MINUTES) => {
+  logger.info('Memulai jadwal rollup view', { intervalMinutes: interval / 1000 / 60 });
+  if (rollupInterval) {
+    clearInterval(rollupInterval);
+  }
+
+  rollupViews();
+  rollupInterval = setInterval(rollupViews, interval);
+
+  return rollupInterval;
+};
+
+/**
+ * Menghentikan rollup view berkala
+ */
+const stopViewRollupSchedule = () => {
+  if (rollupInterval) {
+    clearInterval(rollupInterval);
+    rollupInterval = null;
+    logger.info('Jadwal rollup view dihentikan');
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  rollupViews,
+  startViewRollupSchedule,
+  stopViewRollupSchedule
+};
@@ -0,0 +1,138 @@
+// Parser sederhana untuk file ekspor WordPress (WXR).
+// WXR adalah RSS dengan struktur datar dan isi panjang di dalam CDATA, jadi cukup dibaca
+// per elemen tanpa parser XML penuh.
+
+// Referensi karakter di luar rentang Unicode diganti U+FFFD, bukan melempar RangeError
+const fromCodePoint = (codePoint) => (codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '\uFFFD');
+
+const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => fromCodePoint(parseInt(dec, 10)))
+  .replace(/&amp;/g, '&');
+
+// Isi elemen: gabungan CDATA (WordPress memecah "]]>" menjadi beberapa CDATA) atau teks biasa
+const readValue = (raw) => {
+  if (raw === undefined || raw === null) return '';
+  if (raw.includes('<![CDATA[')) {
+    let value = '';
+    raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) => {
+      value += data;
+      return '';
+    });
+    return value;
+  }
+  return decodeXmlEntities(raw).trim();
+};
+
+const escapeTag = (tag) => tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getElements = (xml, tag) => {
+  const pattern = new RegExp(`<${escapeTag(tag)}(\\s[^>]*)?>([\\s\\S]*?)</${escapeTag(tag)}>`, 'g');
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    elements.push({ attributes: match[1] || '', body: match[2] });
+  }
+  return elements;
+};
+
+const getValue = (xml, tag) => {
+  const [element] = getElements(xml, tag);
+  return element ? readValue(element.body) : '';
+};
+
+const getAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : null;
+};
+
+// Elemen tingkat item saja; isi <item> lain tidak boleh ikut terbaca saat mencari kategori channel
+const stripItems = (xml) => xml.replace(/<item>[\s\S]*?<\/item>/g, '');
+
+const parseItem = (body) => {
+  const meta = {};
+  getElements(body, 'wp:postmeta').forEach(({ body: metaBody }) => {
+    const key = getValue(metaBody, 'wp:meta_key');
+    if (key) meta[key] = getValue(metaBody, 'wp:meta_value');
+  });
+
+  const terms = getElements(body, 'category').map(({ attributes, body: termBody }) => ({
+    domain: getAttribute(attributes, 'domain'),
+    nicename: getAttribute(attributes, 'nicename'),
+    name: readValue(termBody)
+  }));
+
+  return {
+    id: parseInt(getValue(body, 'wp:post_id'), 10) || null,
+    title: getValue(body, 'title'),
+    link: getValue(body, 'link'),
+    creator: getValue(body, 'dc:creator'),
+    content: getValue(body, 'content:encoded'),
+    excerpt: getValue(body, 'excerpt:encoded'),
+    post_name: getValue(body, 'wp:post_name'),
+    post_type: getValue(body, 'wp:post_type'),
+    status: getValue(body, 'wp:status'),
+    post_date: getValue(body, 'wp:post_date'),
+    post_date_gmt: getValue(body, 'wp:post_date_gmt'),
+    post_parent: parseInt(getValue(body, 'wp:post_parent'), 10) || 0,
+    attachment_url: getValue(body, 'wp:attachment_url'),
+    categories: terms.filter(term => term.domain === 'category'),
+    tags: terms.filter(term => term.domain === 'post_tag'),
+    meta
+  };
+};
+
+/**
+ * Membaca file WXR menjadi objek biasa
+ * @param {string} xml - Isi file ekspor WordPress
+ * @returns {{site: {title: string, link: string, base_url: string}, authors: Array, categories: Array, tags: Array, items: Array}}
+ */
+const parseWxr = (xml) => {
+  if (!xml || !/<rss[\s>]/.test(xml) || !xml.includes('wordpress.org/export/')) {
+    throw new Error('File bukan ekspor WordPress (WXR) yang valid');
+  }
+
+  const channel = stripItems(xml);
+
+  const authors = getElements(channel, 'wp:author').map(({ body }) => ({
+    id: parseInt(getValue(body, 'wp:author_id'), 10) || null,
+    login: getValue(body, 'wp:author_login'),
+    email: getValue(body, 'wp:author_email'),
+    display_name: getValue(body, 'wp:author_display_name'),
+    first_name: getValue(body, 'wp:author_first_name'),
+    last_name: getValue(body, 'wp:author_last_name')
+  }));
+
+  const categories = getElements(channel, 'wp:category').map(({ body }) => ({
+    nicename: getValue(body, 'wp:category_nicename'),
+    parent: getValue(body, 'wp:category_parent'),
+    name: getValue(body, 'wp:cat_name')
+  }));
+
+  const tags = getElements(channel, 'wp:tag').map(({ body }) => ({
+    slug: getValue(body, 'wp:tag_slug'),
+    name: getValue(body, 'wp:tag_name')
+  }));
+
+  const items = getElements(xml, 'item').map(({ body }) => parseItem(body));
+
+  return {
+    site: {
+      title: getValue(channel, 'title'),
+      link: getValue(channel, 'link'),
+      base_url: getValue(channel, 'wp:base_blog_url') || getValue(channel, 'wp:base_site_url')
+    },
+    authors,
+    categories,
+    tags,
+    items
+  };
+};
+
+module.exports = {
+  parseWxr
+};
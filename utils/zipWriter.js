@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+// Format yang sudah terkompresi disimpan apa adanya, deflate hanya membuang waktu
+const STORED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.zip', '.pdf', '.mp4'];
+
+// Tanpa ZIP64: satu arsip dibatasi 4 GB dan 65535 entri
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Penulis arsip zip sederhana yang langsung menulis ke file, jadi isi arsip
+ * tidak perlu ditampung seluruhnya di memori.
+ */
+class ZipWriter {
+  constructor(handle) {
+    this.handle = handle;
+    this.offset = 0;
+    this.entries = [];
+    this.names = new Set();
+  }
+
+  static async create(filePath) {
+    const handle = await fs.open(filePath, 'w');
+    return new ZipWriter(handle);
+  }
+
+  hasEntry(name) {
+    return this.names.has(name);
+  }
+
+  async write(buffer) {
+    await this.handle.write(buffer, 0, buffer.length, this.offset);
+    this.offset += buffer.length;
+  }
+
+  /**
+   * Menambahkan satu file ke arsip
+   * @param {string} name - Path di dalam arsip, memakai '/'
+   * @param {Buffer|string} content - Isi file
+   * @param {Date} [modifiedAt] - Waktu modifikasi file
+   */
+  async addFile(name, content, modifiedAt = new Date()) {
+    if (this.names.has(name)) {
+      throw new Error(`Entri zip duplikat: ${name}`);
+    }
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error('Jumlah file melebihi batas arsip zip');
+    }
+
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const extension = name.slice(name.lastIndexOf('.')).toLowerCase();
+    const method = STORED_EXTENSIONS.includes(extension) ? 0 : 8;
+    const payload = method === 8 ? await deflateRaw(data) : data;
+
+    if (this.offset + payload.length > MAX_OFFSET) {
+      throw new Error('Ukuran arsip melebihi batas 4 GB');
+    }
+
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const checksum = crc32(data);
+    const { time, date } = toDosDateTime(modifiedAt instanceof Date && !isNaN(modifiedAt) ? modifiedAt : new Date());
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    // Bit 11: nama file UTF-8
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(checksum, 14);
+    header.writeUInt32LE(payload.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    this.entries.push({
+      nameBuffer,
+      method,
+      time,
+      date,
+      checksum,
+      compressedSize: payload.length,
+      size: data.length,
+      offset: this.offset
+    });
+    this.names.add(name);
+
+    await this.write(Buffer.concat([header, nameBuffer]));
+    await this.write(payload);
+  }
+
+  // Menulis central directory lalu menutup file
+  async close() {
+    try {
+      const centralStart = this.offset;
+      for (const entry of this.entries) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(0x0800, 8);
+        record.writeUInt16LE(entry.method, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.date, 14);
+        record.writeUInt32LE(entry.checksum, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBuffer.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        await this.write(Buffer.concat([record, entry.nameBuffer]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(this.entries.length, 8);
+      end.writeUInt16LE(this.entries.length, 10);
+      end.writeUInt32LE(this.offset - centralStart, 12);
+      end.writeUInt32LE(centralStart, 16);
+      await this.write(end);
+    } finally {
+      await this.handle.close();
+    }
+  }
+
+  // Menutup file tanpa menyelesaikan arsip, dipakai saat ekspor gagal
+  async abort() {
+    await this.handle.close().catch(() => {});
+  }
+}
+
+module.exports = ZipWriter;